@@ -0,0 +1,54 @@
+// public/tile-sw.js
+/* Offline tile cache (registered by src/lib/tiles.js when VITE_TILE_CACHE=1).
+ *
+ * Map tiles (any GET ending in /{z}/{x}/{y}[.ext]) are served from the
+ * cache when present and refreshed in the background (stale-while-
+ * revalidate), so recently viewed areas keep working without network.
+ * Everything else (app, API) goes to the network untouched.
+ * The cache keeps at most ?max= tiles, dropping the oldest first.
+ */
+
+const CACHE = "tiles-v1";
+const MAX_ENTRIES = Number(new URL(self.location.href).searchParams.get("max")) || 3000;
+const TILE_PATH = /\/\d+\/\d+\/\d+(@2x)?(\.(png|jpe?g|webp))?$/;
+const TRIM_EVERY = 50;
+
+let putsSinceTrim = 0;
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET" || !TILE_PATH.test(new URL(req.url).pathname)) return;
+  event.respondWith(serveTile(event));
+});
+
+async function serveTile(event) {
+  const req = event.request;
+  const cache = await caches.open(CACHE);
+  const cached = await cache.match(req);
+
+  // Only cache real (CORS) answers: opaque ones can't be checked and
+  // count for a lot of quota
+  const network = fetch(req).then(res => {
+    if (res.ok) {
+      event.waitUntil(cache.put(req, res.clone()).then(() => maybeTrim(cache)));
+    }
+    return res;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));   // refresh it for next time
+    return cached;
+  }
+  return network;
+}
+
+async function maybeTrim(cache) {
+  if (++putsSinceTrim < TRIM_EVERY) return;
+  putsSinceTrim = 0;
+  const keys = await cache.keys();   // insertion order: oldest first
+  const extra = keys.length - MAX_ENTRIES;
+  for (let i = 0; i < extra; i++) await cache.delete(keys[i]);
+}
@@ -1,20 +1,38 @@
 // src/App.jsx
 import { useEffect, useRef, useState } from "react";
-import { API_BASE, COGNITO_CLIENT_ID, COGNITO_DOMAIN, REDIRECT_URI } from "./config";
+import {
+  COGNITO_CLIENT_ID, COGNITO_DOMAIN, MOCK_MODE, REDIRECT_URI, TOKEN_REFRESH_MARGIN_MS, TOKEN_RETRY_MS,
+} from "./config";
+import { api } from "./api";
+import { clearSession, getSession, isExpired, refreshSession, saveTokens, subscribe } from "./auth/session";
+import { consumeAttempt, purgeStaleAttempts, startAttempt } from "./auth/pkce";
+import { isAppHref, navigate } from "./lib/router";
 import MapView from "./components/MapView";
+import PreferencesSwitcher from "./components/PreferencesSwitcher";
+import useI18n from "./hooks/useI18n";
 
 /**
  * Build the Hosted UI authorization URL.
  * - We ask Cognito for an OAuth2 "authorization code".
  * - After sign-in, Cognito will redirect the browser back to REDIRECT_URI
- *   with ?code=... in the URL.
+ *   with ?code=...&state=... in the URL.
+ * - Each call starts a new login attempt (state + PKCE verifier, see auth/pkce.js)
+ *   that remembers `returnTo`, the page to open once signed in.
+ * - Mock mode: skip the Hosted UI and "come back" at once with a fake code,
+ *   so the state/PKCE checks and the exchange still run (against src/mock).
  */
-function buildAuthorizeUrl() {
+async function buildAuthorizeUrl(returnTo) {
+  const { state, codeChallenge } = await startAttempt(returnTo);
+  if (MOCK_MODE) return `${REDIRECT_URI}?${new URLSearchParams({ code: "mock-code", state })}`;
+
   const q = new URLSearchParams({
     client_id: COGNITO_CLIENT_ID,
     response_type: "code",            // "code" = Authorization Code Flow
     scope: "openid email profile",    // what info/permissions we request
     redirect_uri: REDIRECT_URI,       // must exactly match the app client settings
+    state,                            // checked on the way back (login CSRF)
+    code_challenge: codeChallenge,    // PKCE: SHA-256 of the verifier we keep
+    code_challenge_method: "S256",
   });
   return `${COGNITO_DOMAIN}/oauth2/authorize?${q.toString()}`;
 }
@@ -22,9 +40,10 @@ function buildAuthorizeUrl() {
 /**
  * Build the Hosted UI logout URL.
  * - This ends the Cognito Hosted UI session and then sends you back
- *   to REDIRECT_URI when done.
+ *   to REDIRECT_URI when done (mock mode: straight back).
  */
 function buildLogoutUrl() {
+  if (MOCK_MODE) return REDIRECT_URI;
   const q = new URLSearchParams({
     client_id: COGNITO_CLIENT_ID,
     logout_uri: REDIRECT_URI,
@@ -33,93 +52,161 @@ function buildLogoutUrl() {
 }
 
 /**
- * Exchange the authorization "code" for tokens by calling our backend.
- * Security reason: the backend (Lambda) knows the client secret and talks to Cognito.
- * Frontend should NEVER hold secrets.
- *
- * Returns a JSON object like:
- *   { id_token, access_token, refresh_token, token_type, expires_in }
+ * Leave the Cognito callback URL (?code=... / ?error=...) for the page the
+ * login attempt started from, or REDIRECT_URI when we don't know it.
+ * Replaces the history entry, so a reload doesn't try to re-exchange the code.
  */
-async function exchangeCodeForTokens(code) {
-  const r = await fetch(`${API_BASE}/auth/exchange`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    // No "credentials: include" here: we only need the JSON tokens response
-    body: JSON.stringify({ code, redirectUri: REDIRECT_URI, clientId: COGNITO_CLIENT_ID }),
-  });
-
-  // Read as text first (helps when the server returns a non-JSON error string)
-  const txt = await r.text();
-  let data;
-  try { data = JSON.parse(txt); } catch { data = { raw: txt }; }
-
-  if (!r.ok) {
-    // If backend sent an error with details, surface it. Otherwise show the raw.
-    throw new Error(data?.detail || JSON.stringify(data));
-  }
-
-  return data;
+function leaveCallback(returnTo) {
+  navigate(isAppHref(returnTo) ? returnTo : REDIRECT_URI, { replace: true });
 }
 
 /**
  * Root component:
- * - On load, checks if the URL contains ?code=... (coming back from Cognito).
- * - If found, it exchanges the code for tokens via our backend.
- * - Stores idToken in state and renders the authenticated MapView.
+ * - On load, checks if the URL contains ?code=... or ?error=... (coming back
+ *   from Cognito) and that its state matches a login attempt we started.
+ * - If so, it exchanges the code (+ PKCE verifier) for tokens via our
+ *   backend (api.auth.exchange: the backend holds the client secret) and stores
+ *   them in the session layer (auth/session.js).
+ * - Otherwise it resumes the stored session, refreshing it first if needed.
+ * - Renews the tokens shortly before they expire.
+ * - Deep links survive the login: the page the user asked for (e.g.
+ *   /devices/:id/history?...) is stored with the login attempt and
+ *   reopened after the exchange.
+ * - Renders the authenticated MapView while a session exists.
  */
 export default function App() {
-  // Simple UI state machine: "idle" -> "loading" -> "ok" or "error"
-  const [status, setStatus]   = useState("idle"); // idle | loading | ok | error
-  const [error, setError]     = useState(null);
+  const { t } = useI18n();
+
+  // Tokens of the signed-in user (null when signed out)
+  const [session, setSession] = useState(getSession);
 
-  // JWT used to call protected API routes (Authorization: Bearer <idToken>)
-  const [idToken, setIdToken] = useState(null);
+  // Simple UI state machine: "idle" -> "loading" -> "ok" or "error";
+  // "expired" when the refresh token is dead and the user must sign in again.
+  const [status, setStatus]   = useState(() => {
+    const s = getSession();
+    if (!s) return "idle";
+    return isExpired(s, TOKEN_REFRESH_MARGIN_MS) ? "loading" : "ok";
+  });
+  // { title, detail } shown on the error card. title is a message key
+  // (app.errors.*) so it follows a language change; detail is the raw
+  // error text, or { key } for our own explanations.
+  const [error, setError]     = useState(null);
+  const fail = (title, detail) => { setStatus("error"); setError({ title, detail }); };
 
   // Prevents double exchange when React/Vite HMR or re-renders occur
   const exchangedRef = useRef(false);
 
+  // Follow the session layer: new tokens after a refresh, or null when
+  // the refresh token was rejected (then we show the sign-in card again).
+  useEffect(() => subscribe(s => {
+    setSession(s);
+    if (!s) setStatus(prev => (prev === "ok" || prev === "loading" ? "expired" : prev));
+  }), []);
+
   useEffect(() => {
-    // Read the "code" parameter that Cognito appended to the URL after login
+    purgeStaleAttempts();
+
+    // Read the parameters that Cognito appended to the URL after login
     const params = new URLSearchParams(window.location.search);
     const code = params.get("code");
-    if (!code) return;                 // Not coming back from login yet
+    const cognitoError = params.get("error");
+
+    // Cognito came back with an error (user cancelled, misconfigured client...)
+    if (cognitoError) {
+      leaveCallback(consumeAttempt(params.get("state"))?.returnTo);
+      fail(
+        cognitoError === "access_denied" ? "app.errors.cancelled" : "app.errors.refused",
+        params.get("error_description") || cognitoError
+      );
+      return;
+    }
+
+    if (!code) {
+      // Resume a stored session whose tokens are (almost) expired
+      const s = getSession();
+      if (s && isExpired(s, TOKEN_REFRESH_MARGIN_MS)) {
+        refreshSession()
+          .then(fresh => { if (fresh) setStatus("ok"); })
+          .catch(e => fail("app.errors.sessionUnavailable", e.message));
+      }
+      return;                          // Not coming back from login
+    }
     if (exchangedRef.current) return;  // Avoid double exchange in dev
     exchangedRef.current = true;
 
+    // Only exchange codes from a login attempt started in this tab
+    const attempt = consumeAttempt(params.get("state"));
+    if (!attempt) {
+      leaveCallback(null);
+      fail("app.errors.unverified", { key: "app.errors.unverifiedDetail" });
+      return;
+    }
+
     (async () => {
       try {
         setStatus("loading");
 
         // Ask our backend to swap the code for tokens
-        const tokens = await exchangeCodeForTokens(code);
+        const tokens = await api.auth.exchange(code, attempt.verifier);
 
-        // We only keep id_token on the client for calling protected APIs.
-        // (access_token could be used too depending on your API config.)
-        setIdToken(tokens.id_token);
+        // Keep id/refresh tokens and the expiry in the session layer
+        saveTokens(tokens);
 
         // Optional: tiny log to verify we got something
         console.log("[auth] idToken (first 20 chars) =", tokens.id_token?.slice(0,20));
 
+        // Back to the page asked for before signing in (this also drops the
+        // code from the URL so refreshing the page doesn't re-exchange it)
+        leaveCallback(attempt.returnTo);
         setStatus("ok");
-
-        // Clean the URL so refreshing the page doesn't try to re-exchange the code
-        window.history.replaceState({}, "", REDIRECT_URI);
       } catch (e) {
-        setStatus("error");
-        setError(e.message);
+        // The code is single-use: drop it from the URL so "retry" starts fresh
+        // (from the same page)
+        leaveCallback(attempt.returnTo);
+        fail("app.errors.exchangeFailed", e.message);
       }
     })();
   }, []);
 
-  // Start the Hosted UI login (full-page redirect)
-  const goToLogin = () => window.location.assign(buildAuthorizeUrl());
-
-  // End Hosted UI session and return to our app
-  const logout = () => window.location.assign(buildLogoutUrl());
+  // Renew the tokens a little before they expire (retrying on network errors).
+  // Each successful refresh changes the session, which re-arms this timer.
+  useEffect(() => {
+    if (!session) return;
+    let timer;
+    function schedule(ms) {
+      timer = setTimeout(() => {
+        refreshSession().catch(e => {
+          console.warn("[auth] token refresh failed:", e);
+          schedule(TOKEN_RETRY_MS);
+        });
+      }, ms);
+    }
+    schedule(Math.max(0, session.expiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS));
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  // Start the Hosted UI login (full-page redirect), coming back to this page
+  const goToLogin = async () => {
+    setStatus("loading");
+    try {
+      const here = window.location.pathname + window.location.search;
+      window.location.assign(await buildAuthorizeUrl(isAppHref(here) ? here : null));
+    } catch (e) {
+      // e.g. crypto.subtle is missing outside https/localhost
+      fail("app.errors.loginFailed", e.message);
+    }
+  };
+
+  // Forget our tokens, end Hosted UI session and return to our app
+  const logout = () => {
+    setStatus("idle");
+    clearSession();
+    window.location.assign(buildLogoutUrl());
+  };
 
   // If authenticated and we have a token, render the map application
-  if (status === "ok" && idToken) {
-    return <MapView idToken={idToken} onLogout={logout} />;
+  if (status === "ok" && session?.idToken) {
+    return <MapView idToken={session.idToken} onLogout={logout} />;
   }
 
   // Otherwise, render a simple centered sign-in card
@@ -129,17 +216,27 @@ export default function App() {
       background:"#0a1320ff", color:"#fff", padding:16
     }}>
       <div style={{ width:360, maxWidth:"90vw", background:"#3360a3ff", padding:24, borderRadius:12 }}>
-        <h3 style={{marginTop:0}}>Sign in</h3>
-        <p>Veuillez vous connecter pour afficher la carte.</p>
+        <div style={{display:"flex", alignItems:"flex-start", gap:8}}>
+          <h3 style={{marginTop:0, flex:1}}>{status === "error" ? t(error?.title) : t("app.signIn")}</h3>
+          <PreferencesSwitcher />
+        </div>
+        <p>{t("app.prompt")}</p>
+        {status === "error" && (
+          <p style={{ background:"#7f1d1d", color:"#fee2e2", padding:"8px 10px", borderRadius:8 }}>
+            {error?.detail?.key ? t(error.detail.key) : String(error?.detail)}
+          </p>
+        )}
         <button
           style={{width:"100%", padding:"10px 12px", borderRadius:8, border:0, cursor:"pointer", fontWeight:700}}
           onClick={goToLogin}
           disabled={status === "loading"}
         >
-          {status === "loading" ? "Connexion…" : "Continue with Cognito"}
+          {status === "loading" ? t("app.signingIn")
+            : status === "error" ? t("app.retry")
+            : MOCK_MODE ? t("app.continueMock") : t("app.continueCognito")}
         </button>
-        {status === "error" && (
-          <p style={{ color: "#f88", marginTop: 12 }}>Erreur: {String(error)}</p>
+        {status === "expired" && (
+          <p style={{ color: "#fde68a", marginTop: 12 }}>{t("app.expired")}</p>
         )}
       </div>
     </div>
@@ -0,0 +1,140 @@
+// src/api/client.js
+import { API_BASE, API_TIMEOUT_MS } from "../config";
+import { t } from "../i18n";
+
+/**
+ * ApiError:
+ * The one error type every API call rejects with, so the UI can act on it
+ * instead of parsing strings.
+ * - status: HTTP status (0 when no response: network error, timeout, abort)
+ * - code: machine-readable reason ("timeout", "aborted", "network",
+ *   "bad_response", or the backend's own code, else "http_<status>")
+ * - message: human-readable text (backend "message"/"detail" when present)
+ * - details: parsed response body, if any
+ */
+export class ApiError extends Error {
+  constructor({ status = 0, code, message, details = null }) {
+    super(message || code);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * isAbort:
+ * True for errors caused by our own cancellation (unmount, newer request).
+ * Callers usually ignore those.
+ */
+export function isAbort(e) {
+  return e instanceof ApiError && e.code === "aborted";
+}
+
+/**
+ * describeError:
+ * Message to show the user for any error thrown by an API call.
+ */
+export function describeError(e) {
+  if (!(e instanceof ApiError)) return e?.message || String(e);
+  switch (e.code) {
+    case "timeout": return t("errors.timeout");
+    case "network": return t("errors.network");
+    case "bad_response": return e.message;
+    default: break;
+  }
+  if (e.status === 403) return t("errors.forbidden");
+  if (e.status === 404) return t("errors.notFound", { message: e.message });
+  if (e.status >= 500) return t("errors.server", { status: String(e.status), message: e.message });
+  return e.message;
+}
+
+/**
+ * Auth hooks, provided by the session layer (auth/session.js) at startup.
+ * Kept as plain callbacks so this module doesn't depend on the session.
+ * - getToken(): current id token or null
+ * - refresh(): resolves a new id token, or null when the user must sign in again
+ */
+let auth = { getToken: () => null, refresh: async () => null };
+export function configureAuth(hooks) {
+  auth = { ...auth, ...hooks };
+}
+
+/**
+ * Build an ApiError from a non-2xx response body.
+ */
+function httpError(r, text) {
+  let body = null;
+  try { body = JSON.parse(text); } catch { body = text ? { raw: text } : null; }
+  return new ApiError({
+    status: r.status,
+    code: body?.code || body?.error || `http_${r.status}`,
+    message: body?.message || body?.detail || body?.error_description || body?.raw || `${r.status} ${r.statusText}`,
+    details: body,
+  });
+}
+
+/**
+ * request:
+ * Calls the backend and returns the parsed JSON (or text / null for empty bodies).
+ * - path: e.g. "/devices" (appended to API_BASE)
+ * - method, body (sent as JSON), query (object -> ?a=b)
+ * - signal: AbortSignal to cancel (e.g. on unmount)
+ * - timeoutMs: give up after this long (ApiError code "timeout")
+ * - auth: attach Authorization: Bearer <id token> (default true);
+ *   on 401 we refresh the session once and retry.
+ * - validate(data): optional response check/normalizer; it should throw
+ *   (see api/validate.js) when the payload has the wrong shape.
+ */
+export async function request(path, {
+  method = "GET", body, query, signal, timeoutMs = API_TIMEOUT_MS, auth: withAuth = true, validate,
+} = {}, retried = false) {
+  const url = new URL(`${API_BASE}${path}`, window.location.origin);
+  if (query) Object.entries(query).forEach(([k, v]) => { if (v != null) url.searchParams.set(k, String(v)); });
+
+  const headers = {};
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  const token = withAuth ? auth.getToken() : null;
+  if (token) headers["Authorization"] = `Bearer ${token}`;
+
+  // One controller for both the caller's signal and our timeout
+  const ctrl = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => { timedOut = true; ctrl.abort(); }, timeoutMs);
+  const onAbort = () => ctrl.abort();
+  if (signal?.aborted) ctrl.abort();
+  signal?.addEventListener("abort", onAbort);
+
+  let r, text;
+  try {
+    r = await fetch(url, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: ctrl.signal,
+    });
+    // Read as text first (helps when the server returns a non-JSON error string)
+    text = await r.text();
+  } catch (e) {
+    if (timedOut) throw new ApiError({ code: "timeout", message: `Request timed out after ${timeoutMs / 1000} s` });
+    if (ctrl.signal.aborted) throw new ApiError({ code: "aborted", message: "Request cancelled" });
+    throw new ApiError({ code: "network", message: e.message || "Network error" });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+
+  // Token expired or revoked: refresh once and replay the same request
+  if (r.status === 401 && token && !retried) {
+    const fresh = await auth.refresh();
+    if (fresh) return request(path, { method, body, query, signal, timeoutMs, auth: withAuth, validate }, true);
+  }
+
+  if (!r.ok) throw httpError(r, text);
+
+  let data = null;
+  if (text) {
+    try { data = JSON.parse(text); } catch { data = text; }   // some endpoints return plain text
+  }
+  return validate ? validate(data) : data;
+}
@@ -0,0 +1,178 @@
+// src/api/index.js
+import { COGNITO_CLIENT_ID, REDIRECT_URI } from "../config";
+import { request } from "./client";
+import {
+  validateAlertRule, validateAlertRules, validateAlerts, validateDevices, validateGeofence, validateGeofences,
+  validatePreferences, validateShare, validateSharedView, validateShares, validateStatus, validateStatuses,
+  validateTokens, validateTrack,
+} from "./validate";
+
+export { ApiError, describeError, isAbort } from "./client";
+
+/**
+ * API client:
+ * One function per backend route. All of them accept an optional
+ * { signal } to cancel the call, and reject with ApiError.
+ * Protected routes get the id token from the session layer automatically.
+ */
+const enc = encodeURIComponent;
+
+export const api = {
+  auth: {
+    /**
+     * Exchange the Hosted UI authorization code (+ PKCE verifier) for tokens.
+     * The backend (Lambda) knows the client secret and talks to Cognito.
+     */
+    exchange: (code, codeVerifier, opts = {}) => request("/auth/exchange", {
+      ...opts,
+      method: "POST",
+      auth: false,
+      body: { code, codeVerifier, redirectUri: REDIRECT_URI, clientId: COGNITO_CLIENT_ID },
+      validate: validateTokens,
+    }),
+
+    /**
+     * Swap a refresh token for new tokens.
+     */
+    refresh: (refreshToken, opts = {}) => request("/auth/refresh", {
+      ...opts,
+      method: "POST",
+      auth: false,
+      body: { refreshToken, clientId: COGNITO_CLIENT_ID },
+      validate: validateTokens,
+    }),
+  },
+
+  devices: {
+    list: (opts = {}) => request("/devices", { ...opts, validate: validateDevices }),
+
+    status: (id, opts = {}) => request(`/devices/${enc(id)}/status`, { ...opts, validate: validateStatus }),
+
+    /**
+     * Statuses of several devices in one call: { [id]: status }.
+     * Devices the backend doesn't know are left out.
+     */
+    statuses: (ids, opts = {}) => request("/devices/status", {
+      ...opts,
+      query: { ids: ids.join(",") },
+      validate: validateStatuses,
+    }),
+
+    /**
+     * Past positions between from/to (epoch seconds).
+     */
+    history: (id, from, to, opts = {}) => request(`/devices/${enc(id)}/history`, {
+      ...opts,
+      query: { from, to },
+      validate: validateTrack,
+    }),
+  },
+
+  geofence: {
+    get: (id, opts = {}) => request(`/geofence/${enc(id)}`, { ...opts, validate: validateGeofence }),
+
+    /**
+     * Geofences of several devices in one call: { [id]: geofence }.
+     */
+    list: (ids, opts = {}) => request("/geofences", {
+      ...opts,
+      query: { ids: ids.join(",") },
+      validate: validateGeofences,
+    }),
+
+    /**
+     * Replace the whole geofence document (main circle + zones).
+     */
+    put: (id, doc, opts = {}) => request(`/geofence/${enc(id)}`, { ...opts, method: "PUT", body: doc }),
+  },
+
+  profile: {
+    /**
+     * Display preferences of the signed-in user ({ locale, units }).
+     */
+    preferences: (opts = {}) => request("/profile/preferences", { ...opts, validate: validatePreferences }),
+
+    savePreferences: ({ locale, units }, opts = {}) => request("/profile/preferences", {
+      ...opts,
+      method: "PUT",
+      body: { locale, units },
+    }),
+  },
+
+  alerts: {
+    /**
+     * Alert rules of the signed-in user (see lib/alerts.js for their shape).
+     */
+    rules: (opts = {}) => request("/alert-rules", { ...opts, validate: validateAlertRules }),
+
+    /**
+     * Create (no id yet) or replace a rule; resolves with the saved rule.
+     */
+    saveRule: (rule, opts = {}) => request(rule.id ? `/alert-rules/${enc(rule.id)}` : "/alert-rules", {
+      ...opts,
+      method: rule.id ? "PUT" : "POST",
+      body: rule,
+      validate: validateAlertRule,
+    }),
+
+    deleteRule: (id, opts = {}) => request(`/alert-rules/${enc(id)}`, { ...opts, method: "DELETE" }),
+
+    /**
+     * Triggered alerts, newest first. status: "active" (open + acknowledged,
+     * the default) or "all".
+     */
+    list: ({ status = "active" } = {}, opts = {}) => request("/alerts", {
+      ...opts,
+      query: { status },
+      validate: validateAlerts,
+    }),
+
+    acknowledge: (id, opts = {}) => request(`/alerts/${enc(id)}/ack`, { ...opts, method: "POST" }),
+
+    resolve: (id, opts = {}) => request(`/alerts/${enc(id)}/resolve`, { ...opts, method: "POST" }),
+  },
+
+  shares: {
+    /**
+     * Share links of a device that are still valid.
+     */
+    list: (deviceId, opts = {}) => request("/shares", {
+      ...opts,
+      query: { device_id: deviceId },
+      validate: validateShares,
+    }),
+
+    /**
+     * Create a read-only link to a device; expiresIn in seconds.
+     */
+    create: ({ deviceId, expiresIn, includeFence }, opts = {}) => request("/shares", {
+      ...opts,
+      method: "POST",
+      body: { device_id: deviceId, expires_in: expiresIn, include_fence: includeFence },
+      validate: validateShare,
+    }),
+
+    revoke: (token, opts = {}) => request(`/shares/${enc(token)}`, { ...opts, method: "DELETE" }),
+
+    /**
+     * Public side: what a share link shows. No token needed; answers 410
+     * once the share expired or was revoked.
+     */
+    view: (token, opts = {}) => request(`/public/shares/${enc(token)}`, {
+      ...opts,
+      auth: false,
+      validate: validateSharedView,
+    }),
+  },
+
+  trackers: {
+    /**
+     * Create or move a tracker (the backend scopes tracker_id with the user sub).
+     */
+    save: ({ tracker_id, lat, lon }, opts = {}) => request("/trackers", {
+      ...opts,
+      method: "POST",
+      body: { tracker_id, lat, lon },
+    }),
+  },
+};
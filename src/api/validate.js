@@ -0,0 +1,279 @@
+// src/api/validate.js
+import { ApiError } from "./client";
+import { normalizeTrack } from "../lib/track";
+import { num } from "../lib/num";
+import { validateZone } from "../lib/zones";
+import { t } from "../i18n";
+
+/**
+ * Response validators.
+ * Each one takes the parsed payload, returns a normalized copy the UI can
+ * trust, and throws ApiError("bad_response") when the payload can't be used.
+ * Optional fields that are malformed are dropped rather than failing the call,
+ * so one odd value from the backend can't crash the map.
+ */
+
+/**
+ * @typedef {{ id: string, name: string }} Device
+ * @typedef {{ device_id?: string, last_lat: number|null, last_lon: number|null,
+ *             last_update_ts: number|null, device_state: string|null,
+ *             course_deg: number|null, speed_mps: number|null, accuracy_m: number|null,
+ *             battery_pct: number|null, signal_dbm: number|null }} DeviceStatus
+ * @typedef {{ center_lat: number|null, center_lon: number|null, radius_m: number|null,
+ *             zones: object[], stored_zones: object[] }} Geofence
+ * @typedef {{ id_token: string, access_token?: string, refresh_token?: string,
+ *             expires_in?: number }} TokenResponse
+ * @typedef {{ locale: string|null, units: string|null }} Preferences
+ * @typedef {{ id: string, name: string, device_id: string, type: string, enabled: boolean,
+ *             zone_id: string|null, minutes: number|null, speed_mps: number|null, state: string|null,
+ *             channels: { in_app: boolean, email: string|null, webhook: string|null },
+ *             quiet_hours: { start: string, end: string }|null }} AlertRule
+ * @typedef {{ id: string, rule_id: string, rule_name: string, device_id: string, type: string,
+ *             status: "open"|"acknowledged"|"resolved", triggered_ts: number,
+ *             acknowledged_ts: number|null, resolved_ts: number|null,
+ *             muted: boolean, in_app: boolean, value: number|string|null }} Alert
+ * @typedef {{ token: string, device_id: string, created_ts: number|null, expires_ts: number,
+ *             include_fence: boolean }} Share
+ * @typedef {{ name: string, expires_ts: number, status: DeviceStatus,
+ *             geofence: Geofence|null }} SharedView
+ */
+
+function bad(what, data) {
+  return new ApiError({ code: "bad_response", message: t("errors.badResponse", { what }), details: data });
+}
+
+function isObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+
+/**
+ * The /devices endpoint may answer with a bare array or { devices: [...] },
+ * and each entry may be a plain id string or an object.
+ * @returns {Device[]}
+ */
+export function validateDevices(data) {
+  const list = Array.isArray(data) ? data : data?.devices;
+  if (!Array.isArray(list)) throw bad("device list", data);
+  return list
+    .map(d => {
+      if (typeof d === "string") return { id: d, name: d };
+      const id = d?.device_id ?? d?.tracker_id ?? d?.id;
+      return id ? { id: String(id), name: d.name || String(id) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * A position is only kept when both coordinates are valid.
+ * Telemetry (course, speed, accuracy, battery, signal) is optional.
+ * @returns {DeviceStatus}
+ */
+export function validateStatus(data) {
+  if (!isObject(data)) throw bad("device status", data);
+  const lat = num(data.last_lat, -90, 90);
+  const lon = num(data.last_lon, -180, 180);
+  const hasPos = lat !== null && lon !== null;
+  return {
+    ...data,
+    last_lat: hasPos ? lat : null,
+    last_lon: hasPos ? lon : null,
+    last_update_ts: num(data.last_update_ts, 0),
+    device_state: typeof data.device_state === "string" ? data.device_state : null,
+    course_deg: num(data.course_deg, 0, 360),
+    speed_mps: num(data.speed_mps, 0),
+    accuracy_m: num(data.accuracy_m, 0),
+    battery_pct: num(data.battery_pct, 0, 100),
+    signal_dbm: num(data.signal_dbm, -200, 0),
+  };
+}
+
+/**
+ * Batch answers: an array of items carrying their device_id, or the same
+ * array under `key`. Keyed by device id; items without an id or that fail
+ * validation are skipped, so one odd device doesn't fail the whole batch.
+ */
+function byDevice(data, key, validateOne, what) {
+  const list = Array.isArray(data) ? data : data?.[key];
+  if (!Array.isArray(list)) throw bad(what, data);
+  const out = {};
+  list.forEach(item => {
+    const id = item?.device_id ?? item?.tracker_id;
+    if (id == null) return;
+    try { out[String(id)] = validateOne(item); } catch { /* malformed item: skipped */ }
+  });
+  return out;
+}
+
+/**
+ * @returns {{ [id: string]: DeviceStatus }}
+ */
+export function validateStatuses(data) {
+  return byDevice(data, "statuses", validateStatus, "device statuses");
+}
+
+/**
+ * The main circle is kept only when center and radius are all valid.
+ * zones only holds the zones the map can draw; stored_zones is the list as
+ * stored (with the others), which saves start from so they don't drop them.
+ * @returns {Geofence}
+ */
+export function validateGeofence(data) {
+  if (!isObject(data)) throw bad("geofence", data);
+  const lat = num(data.center_lat, -90, 90);
+  const lon = num(data.center_lon, -180, 180);
+  const radius = num(data.radius_m, 0);
+  const hasCircle = lat !== null && lon !== null && radius !== null && radius > 0;
+  const stored = Array.isArray(data.zones) ? data.zones : [];
+  return {
+    ...data,
+    center_lat: hasCircle ? lat : null,
+    center_lon: hasCircle ? lon : null,
+    radius_m: hasCircle ? radius : null,
+    zones: stored.filter(z => validateZone(z) === null),
+    stored_zones: stored,
+  };
+}
+
+/**
+ * @returns {{ [id: string]: Geofence }}
+ */
+export function validateGeofences(data) {
+  return byDevice(data, "geofences", validateGeofence, "geofences");
+}
+
+/**
+ * Past positions, sorted by time (invalid points are skipped).
+ */
+export function validateTrack(data) {
+  if (!Array.isArray(data) && !Array.isArray(data?.points)) throw bad("history", data);
+  return normalizeTrack(data);
+}
+
+/**
+ * @returns {TokenResponse}
+ */
+export function validateTokens(data) {
+  if (!isObject(data) || typeof data.id_token !== "string" || !data.id_token) throw bad("token", data);
+  return data;
+}
+
+/**
+ * Display preferences of the user profile; unknown values are checked by
+ * the i18n layer (normalizePrefs), we only drop what isn't a string.
+ * @returns {Preferences}
+ */
+export function validatePreferences(data) {
+  if (data !== null && !isObject(data)) throw bad("preferences", data);
+  return {
+    locale: typeof data?.locale === "string" ? data.locale : null,
+    units: typeof data?.units === "string" ? data.units : null,
+  };
+}
+
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+
+/**
+ * One alert rule. Parameters that don't belong to the rule type are kept
+ * as null; the UI checks rules before saving (lib/alerts.js validateRule).
+ * @returns {AlertRule}
+ */
+export function validateAlertRule(data) {
+  if (!isObject(data) || !data.id || !data.device_id || typeof data.type !== "string") throw bad("alert rule", data);
+  const ch = isObject(data.channels) ? data.channels : {};
+  const qh = data.quiet_hours;
+  return {
+    id: String(data.id),
+    name: str(data.name) || String(data.id),
+    device_id: String(data.device_id),
+    type: data.type,
+    enabled: data.enabled !== false,
+    zone_id: str(data.zone_id),
+    minutes: num(data.minutes, 1),
+    speed_mps: num(data.speed_mps, 0),
+    state: str(data.state),
+    channels: { in_app: ch.in_app !== false, email: str(ch.email), webhook: str(ch.webhook) },
+    quiet_hours: isObject(qh) && HHMM.test(qh.start) && HHMM.test(qh.end) ? { start: qh.start, end: qh.end } : null,
+  };
+}
+
+/**
+ * Rule list: bare array or { rules: [...] }; malformed rules are skipped.
+ * @returns {AlertRule[]}
+ */
+export function validateAlertRules(data) {
+  const list = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(list)) throw bad("alert rules", data);
+  return list.flatMap(r => { try { return [validateAlertRule(r)]; } catch { return []; } });
+}
+
+/**
+ * Triggered alerts, newest first: bare array or { alerts: [...] }.
+ * @returns {Alert[]}
+ */
+export function validateAlerts(data) {
+  const list = Array.isArray(data) ? data : data?.alerts;
+  if (!Array.isArray(list)) throw bad("alerts", data);
+  return list
+    .filter(a => isObject(a) && a.id && num(a.triggered_ts, 0) !== null)
+    .map(a => ({
+      id: String(a.id),
+      rule_id: String(a.rule_id ?? ""),
+      rule_name: str(a.rule_name) || "",
+      device_id: String(a.device_id ?? ""),
+      type: typeof a.type === "string" ? a.type : "",
+      status: ["open", "acknowledged", "resolved"].includes(a.status) ? a.status : "open",
+      triggered_ts: num(a.triggered_ts, 0),
+      acknowledged_ts: num(a.acknowledged_ts, 0),
+      resolved_ts: num(a.resolved_ts, 0),
+      muted: a.muted === true,
+      in_app: a.in_app !== false,
+      value: num(a.value) ?? str(a.value),
+    }))
+    .sort((a, b) => b.triggered_ts - a.triggered_ts);
+}
+
+/**
+ * One share link (see lib/share.js).
+ * @returns {Share}
+ */
+export function validateShare(data) {
+  if (!isObject(data) || typeof data.token !== "string" || !data.token || num(data.expires_ts, 0) === null) {
+    throw bad("share", data);
+  }
+  return {
+    token: data.token,
+    device_id: String(data.device_id ?? ""),
+    created_ts: num(data.created_ts, 0),
+    expires_ts: num(data.expires_ts, 0),
+    include_fence: data.include_fence === true,
+  };
+}
+
+/**
+ * Share list: bare array or { shares: [...] }, soonest to expire first.
+ * @returns {Share[]}
+ */
+export function validateShares(data) {
+  const list = Array.isArray(data) ? data : data?.shares;
+  if (!Array.isArray(list)) throw bad("shares", data);
+  return list
+    .flatMap(s => { try { return [validateShare(s)]; } catch { return []; } })
+    .sort((a, b) => a.expires_ts - b.expires_ts);
+}
+
+/**
+ * What a public share page gets: the device name, its status and, when the
+ * share includes it, its geofence.
+ * @returns {SharedView}
+ */
+export function validateSharedView(data) {
+  if (!isObject(data) || num(data.expires_ts, 0) === null) throw bad("shared device", data);
+  return {
+    name: str(data.name) || "",
+    expires_ts: num(data.expires_ts, 0),
+    status: validateStatus(data.status),
+    geofence: isObject(data.geofence) ? validateGeofence(data.geofence) : null,
+  };
+}
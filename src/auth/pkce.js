@@ -0,0 +1,76 @@
+// src/auth/pkce.js
+
+/**
+ * Login attempt hardening for the Hosted UI (Authorization Code Flow):
+ * - state: random value sent to /oauth2/authorize and checked when Cognito
+ *   redirects back, so a code injected by another site (login CSRF) is refused.
+ * - PKCE: a random "code verifier" is kept in the browser; only its SHA-256
+ *   hash ("code challenge", S256) goes to Cognito. The backend must present
+ *   the verifier when exchanging the code, so a stolen code is useless alone.
+ *
+ * Each attempt is stored in sessionStorage under its state value, so several
+ * tabs can sign in at the same time without overwriting each other. It also
+ * remembers the page the user was on, to land there again after signing in.
+ */
+const PREFIX = "auth.attempt.";
+const MAX_AGE_MS = 10 * 60 * 1000; // Hosted UI codes are short-lived anyway
+
+function base64url(bytes) {
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function randomString(byteLength = 32) {
+  return base64url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function s256(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return base64url(new Uint8Array(digest));
+}
+
+/**
+ * startAttempt:
+ * Creates and stores a new login attempt.
+ * - returnTo: app URL (path + query) to open once signed in
+ * Returns { state, codeChallenge } to put in the authorize URL.
+ */
+export async function startAttempt(returnTo = null) {
+  const state = randomString(16);
+  const verifier = randomString(32);
+  sessionStorage.setItem(PREFIX + state, JSON.stringify({ verifier, returnTo, createdAt: Date.now() }));
+  return { state, codeChallenge: await s256(verifier) };
+}
+
+/**
+ * consumeAttempt:
+ * Looks up (and forgets) the attempt matching the state Cognito sent back.
+ * Returns { verifier, returnTo }, or null when the state is unknown or too
+ * old (state mismatch: this redirect was not started by us in this tab).
+ */
+export function consumeAttempt(state) {
+  if (!state) return null;
+  const key = PREFIX + state;
+  let attempt = null;
+  try { attempt = JSON.parse(sessionStorage.getItem(key)); } catch { attempt = null; }
+  sessionStorage.removeItem(key);
+  if (!attempt?.verifier || Date.now() - attempt.createdAt > MAX_AGE_MS) return null;
+  return { verifier: attempt.verifier, returnTo: attempt.returnTo ?? null };
+}
+
+/**
+ * Drop attempts that never came back (closed Hosted UI, errors...).
+ */
+export function purgeStaleAttempts() {
+  for (let i = sessionStorage.length - 1; i >= 0; i--) {
+    const key = sessionStorage.key(i);
+    if (!key?.startsWith(PREFIX)) continue;
+    try {
+      const { createdAt } = JSON.parse(sessionStorage.getItem(key));
+      if (Date.now() - createdAt > MAX_AGE_MS) sessionStorage.removeItem(key);
+    } catch {
+      sessionStorage.removeItem(key);
+    }
+  }
+}
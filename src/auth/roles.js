@@ -0,0 +1,65 @@
+// src/auth/roles.js
+
+/**
+ * Roles:
+ * The role of the signed-in user comes from the `cognito:groups` claim of
+ * the id token. A user in several groups gets the highest role; a user in
+ * none of them is a viewer.
+ *
+ *   viewer   - sees the map, history, zones and alerts; exports
+ *   operator - + moves trackers, edits geofences/zones and labels,
+ *              acknowledges and resolves alerts, creates share links
+ *   admin    - + manages alert rules
+ *
+ * The backend enforces the same model (403 otherwise): hiding buttons here
+ * is only so users aren't offered actions that would be refused.
+ */
+export const ROLES = ["viewer", "operator", "admin"];
+
+const PERMISSIONS = {
+  viewer: [],
+  operator: ["tracker.move", "geofence.edit", "labels.edit", "alerts.manage", "devices.share"],
+  admin: ["tracker.move", "geofence.edit", "labels.edit", "alerts.manage", "devices.share", "alertRules.edit"],
+};
+
+/**
+ * claimsOf:
+ * Payload of a JWT, or null when it can't be read. Not a verification:
+ * the token came from our backend and the API checks it on every call.
+ */
+export function claimsOf(jwt) {
+  try {
+    const part = jwt.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const bytes = Uint8Array.from(atob(part), c => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * roleOf:
+ * Highest known role among the user's Cognito groups ("viewer" by default).
+ */
+export function roleOf(idToken) {
+  return roleOfClaims(claimsOf(idToken));
+}
+
+/**
+ * roleOfClaims:
+ * Same as roleOf, from already decoded claims (the mock backend has those).
+ */
+export function roleOfClaims(claims) {
+  const raw = claims?.["cognito:groups"];
+  const groups = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(/[,\s]+/) : [];
+  const ranks = groups.map(g => ROLES.indexOf(String(g).toLowerCase())).filter(i => i >= 0);
+  return ROLES[Math.max(0, ...ranks)];
+}
+
+/**
+ * can:
+ * Whether a role may perform an action ("geofence.edit", "alertRules.edit"...).
+ */
+export function can(role, action) {
+  return (PERMISSIONS[role] || []).includes(action);
+}
@@ -0,0 +1,119 @@
+// src/auth/session.js
+import { api } from "../api";
+import { configureAuth } from "../api/client";
+
+/**
+ * Session layer:
+ * Keeps the Cognito tokens returned by /auth/exchange (and /auth/refresh)
+ * so a page reload doesn't send the user back to the sign-in card, and
+ * renews them through the backend before they expire.
+ *
+ * Storage: sessionStorage, not localStorage. Tokens survive reloads of the
+ * tab but are dropped when the tab is closed and are not shared with other
+ * tabs, which limits how long a stolen token (e.g. via XSS) stays useful.
+ *
+ * Session shape: { idToken, accessToken, refreshToken, expiresAt (ms epoch) }
+ */
+const STORAGE_KEY = "auth.session";
+
+let current;                  // undefined = not read from storage yet
+let refreshing = null;        // in-flight refresh promise (shared by callers)
+const listeners = new Set();
+
+/**
+ * getSession:
+ * Current session, or null when signed out.
+ */
+export function getSession() {
+  if (current === undefined) {
+    try { current = JSON.parse(sessionStorage.getItem(STORAGE_KEY)); } catch { current = null; }
+    if (!current?.idToken) current = null;
+  }
+  return current;
+}
+
+function setSession(next) {
+  current = next;
+  if (next) sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  else sessionStorage.removeItem(STORAGE_KEY);
+  listeners.forEach(fn => fn(next));
+}
+
+/**
+ * saveTokens:
+ * Store a token response ({ id_token, access_token, refresh_token, expires_in }).
+ * Cognito doesn't send a new refresh_token on refresh, so we keep the old one.
+ */
+export function saveTokens(tokens) {
+  const prev = getSession();
+  const session = {
+    idToken: tokens.id_token,
+    accessToken: tokens.access_token ?? null,
+    refreshToken: tokens.refresh_token ?? prev?.refreshToken ?? null,
+    expiresAt: Date.now() + Number(tokens.expires_in || 3600) * 1000,
+  };
+  setSession(session);
+  return session;
+}
+
+export function clearSession() {
+  setSession(null);
+}
+
+/**
+ * subscribe:
+ * Be told when the session changes (new tokens, or null after sign-out /
+ * dead refresh token). Returns the unsubscribe function.
+ */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+/**
+ * isExpired:
+ * True when the id token is expired, or will be within skewMs.
+ */
+export function isExpired(session, skewMs = 0) {
+  return !session || Date.now() + skewMs >= session.expiresAt;
+}
+
+/**
+ * refreshSession:
+ * Ask our backend to swap the refresh token for new tokens.
+ * - Resolves with the new session.
+ * - Resolves with null (and clears the session) when the refresh token is
+ *   missing, expired or revoked: the user has to sign in again.
+ * - Rejects on network/server errors, keeping the session for a later retry.
+ * Concurrent callers (e.g. several 401s at once) share one request.
+ */
+export function refreshSession() {
+  if (refreshing) return refreshing;
+
+  refreshing = (async () => {
+    const session = getSession();
+    if (!session?.refreshToken) {
+      clearSession();
+      return null;
+    }
+
+    try {
+      return saveTokens(await api.auth.refresh(session.refreshToken));
+    } catch (e) {
+      if (e.status === 400 || e.status === 401 || e.status === 403) {
+        // Refresh token is dead: back to the login screen
+        clearSession();
+        return null;
+      }
+      throw e;
+    }
+  })().finally(() => { refreshing = null; });
+
+  return refreshing;
+}
+
+// Let the API client attach our token and refresh it on 401
+configureAuth({
+  getToken: () => getSession()?.idToken ?? null,
+  refresh: async () => (await refreshSession())?.idToken ?? null,
+});
@@ -0,0 +1,19 @@
+// src/components/AddressLine.jsx
+import useI18n from "../hooks/useI18n";
+import useAddress from "../hooks/useAddress";
+
+/**
+ * AddressLine:
+ * Address of a position (reverse geocoding), as one popup line.
+ * - lat, lon: the position
+ *
+ * Renders nothing when no address is known or geocoding is off.
+ */
+export default function AddressLine({ lat, lon }) {
+  const { t } = useI18n();
+  const { address, loading } = useAddress(lat, lon);
+
+  if (loading) return <><span style={{opacity:.6}}>{t("search.addressLoading")}</span><br /></>;
+  if (!address) return null;
+  return <><span style={{display:"inline-block", maxWidth:240}}>{address}</span><br /></>;
+}
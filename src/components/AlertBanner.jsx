@@ -0,0 +1,39 @@
+// src/components/AlertBanner.jsx
+import useI18n from "../hooks/useI18n";
+
+/**
+ * AlertBanner:
+ * The "in-app" alert channel: a red bar under the top chips while alerts
+ * of rules with that channel are open (not acknowledged, not muted).
+ * - alerts: triggered alerts (see useAlerts)
+ * - labelOf(id): device labels
+ * - onShow(): open the alerts panel
+ */
+export default function AlertBanner({ alerts, labelOf, onShow }) {
+  const { t } = useI18n();
+  const open = alerts.filter(a => a.status === "open" && a.in_app && !a.muted);
+  if (open.length === 0) return null;
+  const latest = open[0];
+
+  return (
+    <div role="alert" style={bar}>
+      <span aria-hidden>⚠</span>
+      <span style={{flex:1}}>
+        {t("alerts.banner", { count: open.length })}{" "}
+        <b>{latest.rule_name}</b> — {labelOf(latest.device_id)}
+      </span>
+      <button onClick={onShow} style={btn}>{t("alerts.show")}</button>
+    </div>
+  );
+}
+
+const bar = {
+  position:"absolute", top:64, left:"50%", transform:"translateX(-50%)", zIndex: 1000,
+  display:"flex", alignItems:"center", gap:8, maxWidth:"min(560px, 90vw)",
+  background:"#b91c1c", color:"#fff", borderRadius:10, padding:"8px 12px",
+  boxShadow:"0 6px 24px rgba(0,0,0,.2)", fontSize:14
+};
+const btn = {
+  background:"#fff", color:"#b91c1c", border:0, borderRadius:8,
+  padding:"4px 10px", cursor:"pointer", fontWeight:700, fontSize:13
+};
@@ -0,0 +1,157 @@
+// src/components/AlertRuleForm.jsx
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { ALERT_STATES, ALERT_TYPES, validateRule } from "../lib/alerts";
+import { btnPrimary, btnGhost } from "../styles";
+
+// Speed shown in the user's units, saved in m/s
+const SPEED_FACTOR = { metric: 3.6, imperial: 2.236936 };
+
+/**
+ * AlertRuleForm:
+ * Editor of one alert rule (new or existing).
+ * - rule: the rule to edit (see lib/alerts.js newRule)
+ * - devices: [{ id }] and labelOf(id): device choice
+ * - areasOf(id): areas of a device, for "leaves zone" rules
+ * - onSave(rule): resolves true once saved (the form then closes)
+ * - onCancel
+ */
+export default function AlertRuleForm({ rule, devices, labelOf, areasOf, onSave, onCancel }) {
+  const { t, units, stateLabel } = useI18n();
+  const [draft, setDraft] = useState(rule);
+  const [speed, setSpeed] = useState(() => String(Math.round(rule.speed_mps * SPEED_FACTOR[units])));
+  const [problem, setProblem] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const areas = draft.device_id ? areasOf(draft.device_id) : [];
+  const update = (patch) => { setDraft(d => ({ ...d, ...patch })); setProblem(""); };
+  const updateChannel = (patch) => update({ channels: { ...draft.channels, ...patch } });
+
+  async function save() {
+    const r = {
+      ...draft,
+      name: draft.name.trim(),
+      minutes: Number(draft.minutes),
+      speed_mps: Number(speed.replace(",", ".")) / SPEED_FACTOR[units],
+      channels: {
+        in_app: draft.channels.in_app,
+        email: draft.channels.email?.trim() || null,
+        webhook: draft.channels.webhook?.trim() || null,
+      },
+    };
+    const p = validateRule(r, areas.map(a => a.id));
+    if (p) { setProblem(p); return; }
+    setSaving(true);
+    const ok = await onSave(r);
+    setSaving(false);
+    if (ok) onCancel();
+  }
+
+  return (
+    <>
+      <div style={{fontWeight:700, marginBottom:6}}>{rule.id ? t("alerts.editRule") : t("alerts.newRule")}</div>
+
+      <label style={field}>
+        {t("alerts.name")}
+        <input value={draft.name} onChange={(e)=>update({ name: e.target.value })} style={input} />
+      </label>
+      <label style={field}>
+        {t("alerts.device")}
+        <select value={draft.device_id || ""} onChange={(e)=>update({ device_id: e.target.value, zone_id: "main" })} style={input}>
+          <option value="" disabled>{t("alerts.choose")}</option>
+          {devices.map(d => <option key={d.id} value={d.id}>{labelOf(d.id)}</option>)}
+        </select>
+      </label>
+      <label style={field}>
+        {t("alerts.when")}
+        <select value={draft.type} onChange={(e)=>update({ type: e.target.value })} style={input}>
+          {ALERT_TYPES.map(type => <option key={type} value={type}>{t(`alerts.type.${type}`)}</option>)}
+        </select>
+      </label>
+
+      {draft.type === "zone_exit" && (
+        <label style={field}>
+          {t("alerts.zone")}
+          <select value={draft.zone_id || ""} onChange={(e)=>update({ zone_id: e.target.value })} style={input}>
+            {areas.map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+          </select>
+        </label>
+      )}
+      {draft.type === "no_report" && (
+        <label style={field}>
+          {t("alerts.minutes")}
+          <input type="number" min={1} value={draft.minutes} onChange={(e)=>update({ minutes: e.target.value })} style={input} />
+        </label>
+      )}
+      {draft.type === "speed_above" && (
+        <label style={field}>
+          {t(`alerts.speed.${units}`)}
+          <input inputMode="decimal" value={speed} onChange={(e)=>{ setSpeed(e.target.value); setProblem(""); }} style={input} />
+        </label>
+      )}
+      {draft.type === "state_is" && (
+        <label style={field}>
+          {t("alerts.state")}
+          <select value={draft.state || ""} onChange={(e)=>update({ state: e.target.value })} style={input}>
+            {ALERT_STATES.map(s => <option key={s} value={s}>{stateLabel(s)}</option>)}
+          </select>
+        </label>
+      )}
+
+      <div style={section}>{t("alerts.channels")}</div>
+      <label style={{...field, justifyContent:"flex-start"}}>
+        <input type="checkbox" checked={draft.channels.in_app} onChange={(e)=>updateChannel({ in_app: e.target.checked })} />
+        {t("alerts.inApp")}
+      </label>
+      <label style={field}>
+        {t("alerts.email")}
+        <input type="email" value={draft.channels.email || ""} placeholder={t("alerts.optional")}
+          onChange={(e)=>updateChannel({ email: e.target.value })} style={input} />
+      </label>
+      <label style={field}>
+        {t("alerts.webhook")}
+        <input type="url" value={draft.channels.webhook || ""} placeholder="https://…"
+          onChange={(e)=>updateChannel({ webhook: e.target.value })} style={input} />
+      </label>
+
+      <div style={section}>
+        <label style={{display:"flex", alignItems:"center", gap:6}}>
+          <input
+            type="checkbox"
+            checked={!!draft.quiet_hours}
+            onChange={(e)=>update({ quiet_hours: e.target.checked ? { start: "22:00", end: "07:00" } : null })}
+          />
+          {t("alerts.quietHours")}
+        </label>
+      </div>
+      {draft.quiet_hours && (
+        <>
+          <label style={field}>
+            {t("alerts.quietFrom")}
+            <input type="time" value={draft.quiet_hours.start} onChange={(e)=>update({ quiet_hours: { ...draft.quiet_hours, start: e.target.value } })} style={input} />
+          </label>
+          <label style={field}>
+            {t("alerts.quietTo")}
+            <input type="time" value={draft.quiet_hours.end} onChange={(e)=>update({ quiet_hours: { ...draft.quiet_hours, end: e.target.value } })} style={input} />
+          </label>
+          <div style={{fontSize:12, opacity:.7, marginTop:4}}>{t("alerts.quietHint")}</div>
+        </>
+      )}
+
+      <label style={{...field, justifyContent:"flex-start", marginTop:10}}>
+        <input type="checkbox" checked={draft.enabled} onChange={(e)=>update({ enabled: e.target.checked })} />
+        {t("alerts.enabled")}
+      </label>
+
+      {problem && <div style={{color:"#b91c1c", fontSize:13, marginTop:6}}>{problem}</div>}
+      <div style={{display:"flex", gap:8, marginTop:10}}>
+        <button onClick={save} disabled={saving} style={btnPrimary}>{saving ? t("common.saving") : t("common.save")}</button>
+        <button onClick={onCancel} style={btnGhost}>{t("common.cancel")}</button>
+      </div>
+    </>
+  );
+}
+
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:6 };
+const input = { width:180 };
+const section = { fontWeight:700, fontSize:13, marginTop:12 };
@@ -0,0 +1,140 @@
+// src/components/AlertsPanel.jsx
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { describeAlert, describeRule, newRule } from "../lib/alerts";
+import AlertRuleForm from "./AlertRuleForm";
+import { btnPrimary, btnGhost, floatingPanel, btnClose } from "../styles";
+
+const STATUS_COLORS = { open: "#dc2626", acknowledged: "#d97706", resolved: "#6b7280" };
+
+/**
+ * AlertsPanel:
+ * Triggered alerts (acknowledge / resolve) and the alert rules editor.
+ * - alerts: from useAlerts (rules, alerts, actions...)
+ * - devices: [{ id }], labelOf(id): device labels
+ * - areasOf(id): areas of a device (zone rules and alert texts)
+ * - selectedId: device preselected for a new rule
+ * - canManage: the user may acknowledge / resolve alerts
+ * - canEditRules: the user may create, edit and delete rules
+ * - onSelect(id): an alert row was clicked
+ * - onClose
+ */
+export default function AlertsPanel({ alerts: a, devices, labelOf, areasOf, selectedId, canManage, canEditRules, onSelect, onClose }) {
+  const { t, formatDateTime } = useI18n();
+  const [tab, setTab] = useState("alerts"); // "alerts" | "rules"
+  const [editing, setEditing] = useState(null); // rule in the editor
+
+  const zoneName = (deviceId, zoneId) => areasOf(deviceId).find(z => z.id === zoneId)?.name || zoneId;
+
+  function startNew() {
+    setEditing(newRule(selectedId || devices[0]?.id || "", t("alerts.defaultName", { n: a.rules.length + 1 })));
+  }
+  function startEdit(r) {
+    // Parameters of other rule types come back as null: use the defaults
+    const set = Object.fromEntries(Object.entries(r).filter(([, v]) => v !== null));
+    setEditing({ ...newRule(r.device_id, r.name), ...set });
+  }
+  async function remove(r) {
+    if (window.confirm(t("alerts.confirmDelete", { name: r.name }))) await a.deleteRule(r.id);
+  }
+
+  if (editing) {
+    return (
+      <div style={panel}>
+        <AlertRuleForm
+          rule={editing}
+          devices={devices}
+          labelOf={labelOf}
+          areasOf={areasOf}
+          onSave={a.saveRule}
+          onCancel={() => setEditing(null)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", gap:6, marginBottom:8}}>
+        <button onClick={() => setTab("alerts")} style={tab === "alerts" ? tabOn : tabOff} aria-pressed={tab === "alerts"}>
+          {t("alerts.alertsTab")}
+        </button>
+        <button onClick={() => setTab("rules")} style={tab === "rules" ? tabOn : tabOff} aria-pressed={tab === "rules"}>
+          {t("alerts.rulesTab")}
+        </button>
+        <span style={{flex:1}} />
+        <button onClick={onClose} style={btnClose} aria-label={t("alerts.close")}>✕</button>
+      </div>
+
+      {tab === "alerts" ? (
+        <>
+          <label style={{display:"flex", alignItems:"center", gap:6, fontSize:12, marginBottom:6}}>
+            <input type="checkbox" checked={a.showResolved} onChange={(e) => a.setShowResolved(e.target.checked)} />
+            {t("alerts.showResolved")}
+          </label>
+          {a.alerts.length === 0 && <div style={{fontSize:13, opacity:.8}}>{t("alerts.noAlert")}</div>}
+          {a.alerts.map(x => (
+            <div key={x.id} style={row}>
+              <div style={{display:"flex", alignItems:"center", gap:6}}>
+                <span style={{...badge, background: STATUS_COLORS[x.status]}}>{t(`alerts.status.${x.status}`)}</span>
+                <button onClick={() => onSelect(x.device_id)} style={linkBtn}>{labelOf(x.device_id)}</button>
+                {x.muted && <span style={{fontSize:11, opacity:.7}} title={t("alerts.mutedHint")}>{t("alerts.muted")}</span>}
+              </div>
+              <div style={{fontSize:13, marginTop:2}}>
+                <b>{x.rule_name}</b> — {describeAlert(x, zoneName)}
+              </div>
+              <div style={{display:"flex", alignItems:"center", gap:6, marginTop:4}}>
+                <span style={{fontSize:12, opacity:.7, flex:1}}>{formatDateTime(x.triggered_ts)}</span>
+                {canManage && x.status === "open" && (
+                  <button onClick={() => a.acknowledge(x.id)} style={smallBtn}>{t("alerts.acknowledge")}</button>
+                )}
+                {canManage && x.status !== "resolved" && (
+                  <button onClick={() => a.resolve(x.id)} style={smallBtn}>{t("alerts.resolve")}</button>
+                )}
+              </div>
+            </div>
+          ))}
+        </>
+      ) : (
+        <>
+          {a.rules.length === 0 && <div style={{fontSize:13, opacity:.8}}>{t("alerts.noRule")}</div>}
+          {a.rules.map(r => (
+            <div key={r.id} style={{...row, opacity: r.enabled ? 1 : .6}}>
+              <div style={{display:"flex", alignItems:"center", gap:6}}>
+                <span style={{flex:1}}>
+                  <b>{r.name}</b> <span style={{fontSize:12, opacity:.7}}>({labelOf(r.device_id)})</span>
+                </span>
+                {canEditRules && (
+                  <>
+                    <button onClick={() => startEdit(r)} style={smallBtn}>{t("alerts.edit")}</button>
+                    <button onClick={() => remove(r)} style={smallBtn}>{t("alerts.delete")}</button>
+                  </>
+                )}
+              </div>
+              <div style={{fontSize:12, opacity:.8, marginTop:2}}>
+                {describeRule(r, zoneName)}
+                {!r.enabled && ` · ${t("alerts.disabled")}`}
+                {r.quiet_hours && ` · ${t("alerts.quietRange", r.quiet_hours)}`}
+              </div>
+            </div>
+          ))}
+          {canEditRules ? (
+            <div style={{display:"flex", gap:8, marginTop:10}}>
+              <button onClick={startNew} disabled={devices.length === 0} style={btnPrimary}>{t("alerts.newRule")}</button>
+            </div>
+          ) : (
+            <div style={{fontSize:12, opacity:.7, marginTop:8}}>{t("roles.readOnlyRules")}</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:360, maxHeight:"60vh", overflowY:"auto", fontSize:14 };
+const tabOff = { ...btnGhost, padding:"4px 10px", fontSize:13 };
+const tabOn = { ...btnPrimary, padding:"4px 10px", fontSize:13 };
+const row = { borderTop:"1px solid #e5e7eb", padding:"6px 0" };
+const badge = { color:"#fff", borderRadius:6, padding:"1px 6px", fontSize:11, fontWeight:700 };
+const linkBtn = { background:"transparent", border:0, padding:0, cursor:"pointer", fontWeight:600, fontSize:13, color:"#1e40af" };
+const smallBtn = { ...btnGhost, padding:"4px 8px", fontWeight:500, fontSize:12 };
@@ -0,0 +1,54 @@
+// src/components/BaseLayers.jsx
+import { LayersControl, TileLayer, useMapEvents } from "react-leaflet";
+import useI18n from "../hooks/useI18n";
+import { TILE_PROVIDERS, initialBaseLayer, saveBaseLayer } from "../lib/tiles";
+
+/**
+ * BaseLayers:
+ * Tile layers of the configured providers (lib/tiles.js) with Leaflet's
+ * layer switcher, inside the MapContainer. The chosen layer is remembered.
+ *
+ * The control is rebuilt when the language changes, since Leaflet reads
+ * the layer names only once.
+ */
+export default function BaseLayers() {
+  const { t, locale } = useI18n();
+  const nameOf = (p) => t(`layers.${p.id}`, { defaultValue: p.name });
+  const initial = initialBaseLayer();
+
+  useMapEvents({
+    baselayerchange(e) {
+      const p = TILE_PROVIDERS.find(p => nameOf(p) === e.name);
+      if (p) saveBaseLayer(p.id);
+    },
+  });
+
+  // A single provider needs no switcher
+  if (TILE_PROVIDERS.length === 1) return <Tile provider={TILE_PROVIDERS[0]} />;
+
+  return (
+    <LayersControl key={locale} position="topleft">
+      {TILE_PROVIDERS.map(p => (
+        <LayersControl.BaseLayer key={p.id} name={nameOf(p)} checked={p.id === initial}>
+          <Tile provider={p} />
+        </LayersControl.BaseLayer>
+      ))}
+    </LayersControl>
+  );
+}
+
+/**
+ * crossOrigin so the tile cache service worker gets readable (CORS)
+ * responses it can store.
+ */
+function Tile({ provider: p }) {
+  return (
+    <TileLayer
+      url={p.url}
+      attribution={p.attribution}
+      maxZoom={p.maxZoom ?? 19}
+      subdomains={p.subdomains ?? "abc"}
+      crossOrigin=""
+    />
+  );
+}
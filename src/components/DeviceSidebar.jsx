@@ -0,0 +1,67 @@
+// src/components/DeviceSidebar.jsx
+import useI18n from "../hooks/useI18n";
+import { stateColor } from "../lib/markers";
+
+/**
+ * DeviceSidebar:
+ * Lists every device of the account and lets the user pick the "active" one.
+ * - devices: [{ id, name }]
+ * - statuses: { [id]: status } (used for the state dot and last update)
+ * - transport: how statuses arrive ("ws" | "sse" | "poll"), shown as a hint
+ * - selectedId: id of the active device
+ * - onSelect(id): called when a row is clicked
+ * - labelOf(id): UI label (nickname) to display for a device
+ */
+export default function DeviceSidebar({ devices, statuses, transport, selectedId, onSelect, labelOf }) {
+  const { t, stateLabel } = useI18n();
+  return (
+    <div style={panel}>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+        <span style={{ fontWeight: 700, flex: 1 }}>{t("sidebar.title", { count: devices.length })}</span>
+        {transport && (
+          <span style={{ fontSize: 11, opacity: .7 }} title={t("sidebar.updatesHint")}>
+            {transport === "poll" ? t("sidebar.polling") : t("sidebar.live", { transport })}
+          </span>
+        )}
+      </div>
+      {devices.length === 0 && (
+        <div style={{ fontSize: 13, opacity: .7 }}>{t("sidebar.empty")}</div>
+      )}
+      <div style={{ display: "flex", flexDirection: "column", gap: 4, overflowY: "auto" }}>
+        {devices.map(d => {
+          const s = statuses[d.id];
+          const active = d.id === selectedId;
+          return (
+            <button
+              key={d.id}
+              type="button"
+              onClick={() => onSelect(d.id)}
+              style={{ ...row, background: active ? "#1e40af" : "transparent" }}
+              aria-pressed={active}
+            >
+              <span
+                style={{ ...dot, background: stateColor(s?.device_state) }}
+                aria-hidden
+              />
+              <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis" }}>{labelOf(d.id)}</span>
+              <span style={{ fontSize: 12, opacity: .7 }}>{stateLabel(s?.device_state)}</span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const panel = {
+  position: "absolute", top: 16, right: 16, zIndex: 1000,
+  background: "#0b1220", color: "#fff", borderRadius: 12, padding: 12,
+  width: 240, maxHeight: "60vh", display: "flex", flexDirection: "column",
+  boxShadow: "0 4px 18px rgba(0,0,0,.25)", fontSize: 14
+};
+const row = {
+  display: "flex", alignItems: "center", gap: 8, width: "100%",
+  color: "#fff", border: 0, borderRadius: 8, padding: "6px 8px",
+  cursor: "pointer", textAlign: "left", fontSize: 14
+};
+const dot = { width: 10, height: 10, borderRadius: "50%", flex: "0 0 auto" };
@@ -0,0 +1,128 @@
+// src/components/DeviceStatusPanel.jsx
+import { useEffect, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { stateColor } from "../lib/markers";
+
+/**
+ * DeviceStatusPanel:
+ * Collapsible card (left, under the search box) with everything the status
+ * endpoint reports for the active device, and its state changes.
+ * - name: UI label of the device
+ * - status: validated status of the device (or null while loading)
+ * - timeline: state changes, newest first (see useStateTimeline)
+ *
+ * Telemetry rows (speed, heading, accuracy, battery, signal) only show
+ * when the tracker reports them.
+ */
+export default function DeviceStatusPanel({ name, status: s, timeline }) {
+  const { t, stateLabel, formatNumber, formatDateTime, formatDistance, formatSpeed, formatDuration, formatAgo } = useI18n();
+  const [open, setOpen] = useState(true);
+  const [copy, setCopy] = useState(null); // "copied" | "failed" | null, shown for a moment
+
+  useEffect(() => {
+    if (!copy) return;
+    const timer = setTimeout(() => setCopy(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copy]);
+
+  const hasPos = s?.last_lat != null && s?.last_lon != null;
+  const coords = hasPos ? `${s.last_lat.toFixed(6)}, ${s.last_lon.toFixed(6)}` : "";
+  const now = Math.floor(Date.now() / 1000);
+
+  async function copyCoords() {
+    try {
+      await navigator.clipboard.writeText(coords);
+      setCopy("copied");
+    } catch {
+      setCopy("failed");
+    }
+  }
+
+  const rows = s ? [
+    [t("status.lastFix"), s.last_update_ts ? `${formatDateTime(s.last_update_ts)} (${formatAgo(Math.max(0, now - s.last_update_ts))})` : "—"],
+    s.speed_mps != null && [t("status.speed"), formatSpeed(s.speed_mps)],
+    s.course_deg != null && [t("status.course"), formatNumber(s.course_deg, { style: "unit", unit: "degree", maximumFractionDigits: 0 })],
+    s.accuracy_m != null && [t("status.accuracy"), `±${formatDistance(s.accuracy_m)}`],
+    s.battery_pct != null && [t("status.battery"), (
+      <span style={{color: s.battery_pct <= LOW_BATTERY_PCT ? "#f87171" : undefined}}>
+        {formatNumber(s.battery_pct / 100, { style: "percent" })}
+      </span>
+    )],
+    s.signal_dbm != null && [t("status.signal"), `${formatNumber(s.signal_dbm)} dBm`],
+  ].filter(Boolean) : [];
+
+  return (
+    <div style={panel}>
+      <button type="button" onClick={() => setOpen(v => !v)} style={header} aria-expanded={open}>
+        <span style={{...dot, background: stateColor(s?.device_state)}} aria-hidden />
+        <span style={{flex:1, textAlign:"left", overflow:"hidden", textOverflow:"ellipsis", whiteSpace:"nowrap"}}>{name}</span>
+        <span style={{fontWeight:400, fontSize:12, opacity:.8}}>{stateLabel(s?.device_state)}</span>
+        <span aria-hidden>{open ? "▾" : "▸"}</span>
+      </button>
+
+      {open && (
+        <div style={{padding:"0 12px 10px", overflowY:"auto"}}>
+          {!s && <div style={{fontSize:13, opacity:.7}}>{t("common.loading")}</div>}
+
+          {hasPos && (
+            <div style={{display:"flex", alignItems:"center", gap:8, marginBottom:6}}>
+              <code style={{flex:1, fontSize:12}}>{coords}</code>
+              <button type="button" onClick={copyCoords} style={smallBtn} title={t("status.copyHint")}>
+                {copy === "copied" ? t("status.copied") : copy === "failed" ? t("status.copyFailed") : t("status.copy")}
+              </button>
+            </div>
+          )}
+
+          {rows.map(([label, value]) => (
+            <div key={label} style={row}>
+              <span style={{opacity:.7}}>{label}</span>
+              <span>{value}</span>
+            </div>
+          ))}
+
+          <div style={{fontWeight:700, fontSize:13, margin:"10px 0 4px"}}>{t("status.timeline")}</div>
+          {timeline.length === 0 && <div style={{fontSize:12, opacity:.7}}>{t("status.noChange")}</div>}
+          {timeline.map((e, i) => (
+            <div key={e.key} style={{...row, alignItems:"center"}}>
+              <span style={{display:"flex", alignItems:"center", gap:6}}>
+                <span style={{...dot, background: stateColor(e.state)}} aria-hidden />
+                {stateLabel(e.state)}
+              </span>
+              <span style={{opacity:.8}}>
+                {formatDateTime(e.ts)}
+                {" · "}
+                {i === 0
+                  ? t("status.since", { duration: formatDuration(now - e.ts) })
+                  : formatDuration(timeline[i - 1].ts - e.ts)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Battery level shown in red at or below this
+const LOW_BATTERY_PCT = 15;
+
+const panel = {
+  position:"absolute", top:72, left:60, zIndex: 999, width:316,
+  maxHeight:"calc(100vh - 320px)", display:"flex", flexDirection:"column",
+  background:"#0b1220", color:"#fff", borderRadius:12,
+  boxShadow:"0 4px 18px rgba(0,0,0,.25)", fontSize:14
+};
+const header = {
+  display:"flex", alignItems:"center", gap:8, width:"100%",
+  background:"transparent", color:"#fff", border:0, padding:"10px 12px",
+  cursor:"pointer", fontWeight:700, fontSize:14
+};
+const row = {
+  display:"flex", justifyContent:"space-between", gap:8,
+  borderTop:"1px solid #1f2937", padding:"4px 0", fontSize:13
+};
+const dot = { width:10, height:10, borderRadius:"50%", flex:"0 0 auto" };
+const smallBtn = {
+  background:"#1f2937", color:"#fff", border:0, borderRadius:6,
+  padding:"4px 8px", cursor:"pointer", fontSize:12
+};
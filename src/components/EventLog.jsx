@@ -0,0 +1,78 @@
+// src/components/EventLog.jsx
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * EventLog:
+ * Collapsible list of geofence enter/exit events (newest first).
+ * - events: from useGeofenceEvents
+ * - notify / onNotifyChange: desktop notifications toggle
+ * - onClear: empty the log
+ * - onSelect(deviceId): called when an event row is clicked
+ */
+export default function EventLog({ events, notify, onNotifyChange, onClear, onSelect }) {
+  const { t, formatDateTime } = useI18n();
+  const [open, setOpen] = useState(false);
+  const notifSupported = typeof Notification !== "undefined";
+
+  return (
+    <div style={panel}>
+      <button type="button" onClick={() => setOpen(v => !v)} style={header} aria-expanded={open}>
+        <span style={{flex:1, textAlign:"left"}}>{t("events.title", { count: events.length })}</span>
+        <span aria-hidden>{open ? "▾" : "▴"}</span>
+      </button>
+
+      {open && (
+        <>
+          <div style={{display:"flex", alignItems:"center", gap:8, padding:"0 10px 8px", fontSize:12}}>
+            <label style={{flex:1, display:"flex", alignItems:"center", gap:6, opacity: notifSupported ? 1 : .5}}>
+              <input
+                type="checkbox"
+                checked={notify}
+                disabled={!notifSupported}
+                onChange={(e) => onNotifyChange(e.target.checked)}
+              />
+              {t("events.notifications")}
+            </label>
+            <button type="button" onClick={onClear} style={clearBtn} disabled={events.length === 0}>{t("common.clear")}</button>
+          </div>
+          <div style={{maxHeight:240, overflowY:"auto", padding:"0 10px 10px"}}>
+            {events.length === 0 && <div style={{fontSize:13, opacity:.7}}>{t("events.empty")}</div>}
+            {events.map(e => (
+              <button key={e.key} type="button" onClick={() => onSelect(e.deviceId)} style={row}>
+                <span style={{color: e.type === "enter" ? "#22c55e" : "#f87171", fontWeight:700}}>
+                  {e.type === "enter" ? t("events.in") : t("events.out")}
+                </span>
+                <span style={{flex:1}}>
+                  <b>{e.device}</b> {t(e.type === "enter" ? "events.entered" : "events.left", { area: e.area })}
+                  <br />
+                  <span style={{opacity:.7, fontSize:12}}>{formatDateTime(e.ts)}</span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const panel = {
+  position:"absolute", right:16, bottom:28, zIndex: 1000,
+  background:"#0b1220", color:"#fff", borderRadius:12, width:300,
+  boxShadow:"0 4px 18px rgba(0,0,0,.25)", fontSize:14
+};
+const header = {
+  display:"flex", alignItems:"center", gap:8, width:"100%",
+  background:"transparent", color:"#fff", border:0, padding:"10px 12px",
+  cursor:"pointer", fontWeight:700, fontSize:14
+};
+const row = {
+  display:"flex", gap:8, alignItems:"flex-start", width:"100%", textAlign:"left",
+  background:"transparent", color:"#fff", border:0, borderTop:"1px solid #1f2937",
+  padding:"6px 0", cursor:"pointer", fontSize:13
+};
+const clearBtn = {
+  background:"#1f2937", color:"#fff", border:0, borderRadius:6,
+  padding:"4px 8px", cursor:"pointer", fontSize:12
+};
@@ -0,0 +1,76 @@
+// src/components/FleetFences.jsx
+import { memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Circle, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { zonesOf } from "../lib/zones";
+import ZoneLayer from "./ZoneLayer";
+
+/**
+ * Area covered by a geofence document (main circle + zones), or null when
+ * it has nothing to draw.
+ */
+function fenceBounds(fence) {
+  const parts = [];
+  if (fence?.center_lat) parts.push(L.latLng(fence.center_lat, fence.center_lon).toBounds(fence.radius_m * 2));
+  zonesOf(fence).forEach(z => {
+    if (z.type === "circle") parts.push(L.latLng(z.center).toBounds(z.radius_m * 2));
+    else if (z.points?.length) parts.push(L.latLngBounds(z.points));
+  });
+  if (!parts.length) return null;
+  return parts.reduce((all, b) => all.extend(b), L.latLngBounds(parts[0].getSouthWest(), parts[0].getNorthEast()));
+}
+
+/**
+ * DeviceFences:
+ * Main circle and zones of one device, re-rendered only when its geofence
+ * document changes (useFleet keeps the other ones as they are).
+ */
+const DeviceFences = memo(function DeviceFences({ id, fence, onPick }) {
+  return (
+    <>
+      {fence?.center_lat && (
+        <Circle
+          center={[fence.center_lat, fence.center_lon]}
+          radius={fence.radius_m}
+          pathOptions={{ color: "#64748b", fillOpacity: 0.08, weight: 2 }}
+          eventHandlers={{ click: () => onPick(id) }}
+        />
+      )}
+      <ZoneLayer zones={zonesOf(fence)} color="#64748b" onZoneClick={() => onPick(id)} />
+    </>
+  );
+});
+
+/**
+ * FleetFences:
+ * Geofences of the devices other than the active one, inside the
+ * MapContainer (drawn on its canvas, see preferCanvas in MapView). Only
+ * the ones in (or near) the view are rendered.
+ * - devices: [{ id }], fences: { [id]: fence | null }
+ * - selectedId: the active device (drawn by MapView, with its edit handles)
+ * - onPick(id): a fence or zone was clicked
+ */
+export default function FleetFences({ devices, fences, selectedId, onPick }) {
+  const map = useMap();
+  const [bounds, setBounds] = useState(() => map.getBounds());
+
+  useMapEvents({
+    moveend: () => setBounds(map.getBounds()),
+  });
+
+  // Stable callback for the memoized fences, calling the latest onPick
+  const onPickRef = useRef(onPick);
+  useEffect(() => { onPickRef.current = onPick; });
+  const pick = useCallback((id) => onPickRef.current(id), []);
+
+  // Area of each fence, computed again only when the fences change
+  const areas = useMemo(
+    () => devices.map(d => ({ id: d.id, fence: fences[d.id], bounds: fenceBounds(fences[d.id]) })).filter(a => a.bounds),
+    [devices, fences]
+  );
+
+  const area = bounds.pad(0.25);
+  return areas.filter(a => a.id !== selectedId && area.intersects(a.bounds)).map(a => (
+    <DeviceFences key={a.id} id={a.id} fence={a.fence} onPick={pick} />
+  ));
+}
@@ -0,0 +1,134 @@
+// src/components/FleetLayer.jsx
+import { memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Marker, Popup, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import useI18n from "../hooks/useI18n";
+import { CLUSTER_MAX_ZOOM, clusterPoints } from "../lib/cluster";
+import { clusterIcon, fixOpacity } from "../lib/markers";
+import TrackerMarker from "./TrackerMarker";
+
+// How often markers of silent devices are faded a bit more (see fixOpacity)
+const FADE_REFRESH_MS = 30 * 1000;
+
+/**
+ * DeviceMarker:
+ * One tracker (TrackerMarker + popup). It only re-renders when its status,
+ * its selection or its fading step changes; the one whose popup is open
+ * always does, so the popup shows live data.
+ */
+const DeviceMarker = memo(function DeviceMarker({ id, status, selected, onPick, onPopupChange, renderPopup }) {
+  return (
+    <TrackerMarker
+      status={status}
+      selected={selected}
+      onClick={() => onPick(id)}
+      onPopupChange={(open) => onPopupChange(id, open)}
+    >
+      <Popup>{renderPopup(id)}</Popup>
+    </TrackerMarker>
+  );
+}, (a, b) => !a.open && !b.open && a.status === b.status && a.selected === b.selected && a.fade === b.fade);
+
+/**
+ * ClusterMarker:
+ * Several devices close together at this zoom: count + state ring, the
+ * breakdown on hover. A click zooms in on them.
+ * - locale: only compared by memo, so a language change redraws the labels
+ */
+const ClusterMarker = memo(function ClusterMarker({ cluster, onZoom }) {
+  const { t, formatNumber, stateLabel } = useI18n();
+
+  return (
+    <Marker
+      position={[cluster.lat, cluster.lon]}
+      icon={clusterIcon({ label: formatNumber(cluster.count), states: cluster.states })}
+      eventHandlers={{ click: () => onZoom(cluster) }}
+    >
+      <Tooltip direction="top" offset={[0, -20]}>
+        <b>{t("cluster.devices", { count: cluster.count })}</b>
+        {Object.entries(cluster.states).map(([state, n]) => (
+          <div key={state}>{stateLabel(state)}: {formatNumber(n)}</div>
+        ))}
+        <div style={{opacity:.7}}>{t("cluster.zoomHint")}</div>
+      </Tooltip>
+    </Marker>
+  );
+}, (a, b) => a.cluster.sig === b.cluster.sig && a.locale === b.locale);
+
+/**
+ * FleetLayer:
+ * Current position of every tracker inside the MapContainer, built to stay
+ * smooth with a large fleet:
+ * - markers close together are clustered (lib/cluster.js) until CLUSTER_MAX_ZOOM
+ * - only what is in (or near) the view is rendered
+ * - a device's marker only updates when its own status does
+ *
+ * - devices: [{ id }], statuses: { [id]: status }
+ * - selectedId: the active device (never clustered, always rendered)
+ * - popupId: device whose popup is open (same)
+ * - onPick(id): a marker was clicked
+ * - onPopupChange(id, open): a popup was opened or closed
+ * - renderPopup(id): popup content of a device
+ */
+export default function FleetLayer({ devices, statuses, selectedId, popupId, onPick, onPopupChange, renderPopup }) {
+  const map = useMap();
+  const { locale } = useI18n();
+  const [view, setView] = useState(() => ({ zoom: map.getZoom(), bounds: map.getBounds() }));
+  const [now, setNow] = useState(() => Date.now());
+
+  useMapEvents({
+    moveend: () => setView({ zoom: map.getZoom(), bounds: map.getBounds() }),
+  });
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), FADE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Stable callbacks for the memoized markers, calling the latest props
+  const handlersRef = useRef({ onPick, onPopupChange });
+  useEffect(() => { handlersRef.current = { onPick, onPopupChange }; });
+  const pick = useCallback((id) => handlersRef.current.onPick(id), []);
+  const popupChange = useCallback((id, open) => handlersRef.current.onPopupChange(id, open), []);
+  const zoomTo = useCallback((c) => map.fitBounds(c.bounds, { padding: [40, 40], maxZoom: CLUSTER_MAX_ZOOM }), [map]);
+
+  const points = useMemo(() => devices
+    .filter(d => statuses[d.id]?.last_lat != null)
+    .map(d => ({ id: d.id, lat: statuses[d.id].last_lat, lon: statuses[d.id].last_lon, state: statuses[d.id].device_state })),
+  [devices, statuses]);
+
+  const { clusters, singles } = useMemo(
+    () => clusterPoints(points, (ll) => map.project(ll, view.zoom), {
+      zoom: view.zoom,
+      keep: new Set([selectedId, popupId].filter(Boolean)),
+    }),
+    [points, map, view.zoom, selectedId, popupId]
+  );
+
+  const area = view.bounds.pad(0.25);
+  const inView = (lat, lon) => area.contains([lat, lon]);
+
+  return (
+    <>
+      {clusters.filter(c => inView(c.lat, c.lon)).map(c => (
+        <ClusterMarker key={c.key} cluster={c} locale={locale} onZoom={zoomTo} />
+      ))}
+      {singles.map(id => {
+        const s = statuses[id];
+        if (id !== selectedId && id !== popupId && !inView(s.last_lat, s.last_lon)) return null;
+        return (
+          <DeviceMarker
+            key={id}
+            id={id}
+            status={s}
+            selected={id === selectedId}
+            open={id === popupId}
+            fade={Math.round(fixOpacity(s.last_update_ts, now) * 20)}
+            onPick={pick}
+            onPopupChange={popupChange}
+            renderPopup={renderPopup}
+          />
+        );
+      })}
+    </>
+  );
+}
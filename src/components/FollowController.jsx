@@ -0,0 +1,63 @@
+// src/components/FollowController.jsx
+import { useEffect, useRef } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { DEFAULT_ZOOM } from "../config";
+
+/**
+ * Move the map ourselves (flagging the move in `auto`) unless it already
+ * shows `center` at `zoom`: such a move does nothing, so no moveend would
+ * clear the flag and the user's next gesture would be taken for ours.
+ */
+function autoMove(map, auto, center, zoom, move) {
+  const here = map.latLngToContainerPoint(map.getCenter());
+  if (map.getZoom() === zoom && map.latLngToContainerPoint(center).distanceTo(here) < 1) return;
+  auto.current = true;
+  move();
+}
+
+/**
+ * FollowController:
+ * Moves the map for the follow mode and the "fit" buttons, inside the MapContainer.
+ * - center: [lat, lon] to keep centered while following
+ * - follow: recenter on every new center
+ * - keepZoom: only pan (the user's zoom stays), instead of going back to DEFAULT_ZOOM
+ * - fit: { points, areas } to show entirely, a new object for each request
+ * - onUserMove(): the user dragged the map, or zoomed while keepZoom is off
+ *
+ * Moves we make ourselves are ignored until their moveend, so only the
+ * user's gestures (or another layer flying somewhere) stop the follow mode.
+ */
+export default function FollowController({ center, follow, keepZoom, fit, onUserMove }) {
+  const map = useMap();
+  const auto = useRef(false);
+
+  useMapEvents({
+    dragstart: () => onUserMove(),
+    zoomstart: () => { if (!auto.current && !keepZoom) onUserMove(); },
+    moveend: () => { auto.current = false; },
+  });
+
+  const [lat, lon] = center;
+  useEffect(() => {
+    if (!follow) return;
+    if (keepZoom) autoMove(map, auto, [lat, lon], map.getZoom(), () => map.panTo([lat, lon]));
+    else autoMove(map, auto, [lat, lon], DEFAULT_ZOOM, () => map.setView([lat, lon], DEFAULT_ZOOM));
+  }, [follow, keepZoom, lat, lon, map]);
+
+  useEffect(() => {
+    if (!fit) return;
+    const bounds = L.latLngBounds([]);
+    fit.points.forEach(p => bounds.extend(p));
+    fit.areas.forEach(a => {
+      if (a.type === "circle") bounds.extend(L.latLng(a.center).toBounds(a.radius_m * 2));
+      else a.points.forEach(p => bounds.extend(p));
+    });
+    if (!bounds.isValid()) return;
+    // Same padding on every side: the target center is the bounds center
+    const zoom = Math.min(DEFAULT_ZOOM, map.getBoundsZoom(bounds, false, L.point(120, 120)));
+    autoMove(map, auto, bounds.getCenter(), zoom, () => map.fitBounds(bounds, { padding: [60, 60], maxZoom: DEFAULT_ZOOM }));
+  }, [fit, map]);
+
+  return null;
+}
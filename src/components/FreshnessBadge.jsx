@@ -0,0 +1,40 @@
+// src/components/FreshnessBadge.jsx
+import { useEffect, useState } from "react";
+import { STALE_AFTER_MS } from "../config";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * FreshnessBadge:
+ * Small pill telling how fresh the active device position is.
+ * - lastTs: last_update_ts of the active device (epoch seconds)
+ * - online: false when the browser is offline (updates are paused)
+ *
+ * Ticks every second so "N s ago" stays accurate between updates.
+ */
+export default function FreshnessBadge({ lastTs, online }) {
+  const { t, formatAgo, formatDateTime } = useI18n();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  if (!online) {
+    return <span style={{ ...pill, background: "#6b7280" }}>{t("freshness.offline")}</span>;
+  }
+  if (!lastTs) return null;
+
+  const age = Math.max(0, Math.floor((now - Number(lastTs) * 1000) / 1000));
+  const stale = age * 1000 > STALE_AFTER_MS;
+  return (
+    <span style={{ ...pill, background: stale ? "#d97706" : "#059669" }} title={formatDateTime(lastTs)}>
+      {t(stale ? "freshness.stale" : "freshness.fresh", { ago: formatAgo(age) })}
+    </span>
+  );
+}
+
+const pill = {
+  color: "#fff", borderRadius: 9999, padding: "6px 10px",
+  fontSize: 13, fontWeight: 600, boxShadow: "0 4px 18px rgba(0,0,0,.2)"
+};
@@ -0,0 +1,123 @@
+// src/components/GeofenceEditPanel.jsx
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { GEOFENCE_MAX_RADIUS_M, GEOFENCE_MIN_RADIUS_M } from "../config";
+import { validateFenceCircle } from "../lib/zones";
+import { btnPrimary, btnGhost, floatingPanel } from "../styles";
+
+/**
+ * GeofenceEditPanel:
+ * Floating panel of the "Edit Geofence" mode: exact lat/lon/radius inputs,
+ * the radius slider and a shortcut to center the fence on the tracker.
+ * - center: [lat, lon] or null while nothing is picked
+ * - radius: meters
+ * - trackerPosition: [lat, lon] of the active tracker, or null
+ * - onCenterChange / onRadiusChange: called with valid values only
+ * - onSave / onCancel
+ *
+ * The inputs keep what the user typed (even half-typed numbers) and are
+ * refreshed when the center or radius change from the map handles.
+ */
+export default function GeofenceEditPanel({ center, radius, trackerPosition, onCenterChange, onRadiusChange, onSave, onCancel }) {
+  const { t, formatDistance } = useI18n();
+  const [text, setText] = useState(() => textOf(center, radius));
+  const [shown, setShown] = useState({ center, radius });
+
+  // Center or radius changed elsewhere (map click, drag): show the new values
+  if (shown.center !== center || shown.radius !== radius) {
+    setShown({ center, radius });
+    setText(textOf(center, radius));
+  }
+
+  const problem = problemOf(text);
+
+  function edit(field, value) {
+    const next = { ...text, [field]: value };
+    const v = valuesOf(next);
+    setText(next);
+    if (field === "radius" ? problemOf({ ...next, lat: "", lon: "" }) : problemOf(next)) return;
+
+    // Remember what we send up so the inputs are not reformatted while typing
+    const nextCenter = field === "radius" ? center : [v.lat, v.lon];
+    setShown({ center: nextCenter, radius: v.radius });
+    if (field === "radius") onRadiusChange(v.radius);
+    else onCenterChange(nextCenter);
+  }
+
+  return (
+    <div style={floatingPanel}>
+      <div style={{fontWeight:700, marginBottom:6}}>{t("map.editGeofence")}</div>
+      <div style={{fontSize:13, opacity:.8, marginBottom:8}}>{t("map.editGeofenceHint")}</div>
+
+      <label style={field}>
+        {t("map.latitude")}
+        <input inputMode="decimal" value={text.lat} onChange={(e)=>edit("lat", e.target.value)} style={input} />
+      </label>
+      <label style={field}>
+        {t("map.longitude")}
+        <input inputMode="decimal" value={text.lon} onChange={(e)=>edit("lon", e.target.value)} style={input} />
+      </label>
+      <button
+        onClick={() => onCenterChange(trackerPosition)}
+        disabled={!trackerPosition}
+        title={trackerPosition ? undefined : t("map.noTrackerPosition")}
+        style={{...smallBtn, marginTop:6, opacity: trackerPosition ? 1 : .5}}
+      >
+        {t("map.useTrackerPosition")}
+      </button>
+
+      <label style={field}>
+        {t("map.radiusM")}
+        <input
+          type="number" min={GEOFENCE_MIN_RADIUS_M} max={GEOFENCE_MAX_RADIUS_M} step={1}
+          value={text.radius}
+          onChange={(e)=>edit("radius", e.target.value)}
+          style={input}
+        />
+      </label>
+      <input
+        type="range" min={GEOFENCE_MIN_RADIUS_M} max={GEOFENCE_MAX_RADIUS_M} step={10}
+        value={radius}
+        onChange={(e)=>onRadiusChange(parseInt(e.target.value))}
+        style={{width:"100%", marginTop:6}}
+      />
+      <div style={{fontSize:13, marginTop:6}}>{t("map.radius")} <b>{formatDistance(radius)}</b></div>
+
+      {problem && <div style={{color:"#b91c1c", fontSize:13, marginTop:6}}>{problem}</div>}
+      <div style={{display:"flex", gap:8, marginTop:10}}>
+        <button onClick={onSave} disabled={!!problem} style={{...btnPrimary, opacity: problem ? .5 : 1}}>{t("common.save")}</button>
+        <button onClick={onCancel} style={btnGhost}>{t("common.cancel")}</button>
+      </div>
+    </div>
+  );
+}
+
+function textOf(center, radius) {
+  return {
+    lat: center ? String(Number(center[0].toFixed(6))) : "",
+    lon: center ? String(Number(center[1].toFixed(6))) : "",
+    radius: String(radius),
+  };
+}
+
+function valuesOf(text) {
+  return { lat: toNumber(text.lat), lon: toNumber(text.lon), radius: toNumber(text.radius) };
+}
+
+// Nothing picked yet is not an error (saving then asks for a center);
+// the radius is still checked
+function problemOf(text) {
+  const v = valuesOf(text);
+  if (!text.lat.trim() && !text.lon.trim()) return validateFenceCircle({ ...v, lat: 0, lon: 0 });
+  return validateFenceCircle(v);
+}
+
+// "" is not 0: an empty input is invalid. Commas are accepted as decimal separator.
+function toNumber(s) {
+  const v = String(s).trim().replace(",", ".");
+  return v === "" ? NaN : Number(v);
+}
+
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:6 };
+const input = { width:120 };
+const smallBtn = { ...btnGhost, padding:"4px 8px", fontWeight:500, fontSize:12 };
@@ -0,0 +1,64 @@
+// src/components/GeofenceHandles.jsx
+import { useState } from "react";
+import { Circle, Marker } from "react-leaflet";
+import L from "leaflet";
+import useI18n from "../hooks/useI18n";
+import { bearingDeg, destinationPoint, haversineMeters } from "../lib/geo";
+import { clampFenceRadius } from "../lib/zones";
+
+const centerIcon = L.divIcon({
+  className: "",
+  html: '<div style="width:16px;height:16px;background:#fff;border:3px solid #16a34a;border-radius:50%;box-sizing:border-box;cursor:move"></div>',
+  iconSize: [16, 16],
+  iconAnchor: [8, 8],
+});
+
+const radiusIcon = L.divIcon({
+  className: "",
+  html: '<div style="width:12px;height:12px;background:#16a34a;border:2px solid #fff;border-radius:3px;box-sizing:border-box;cursor:ew-resize"></div>',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+/**
+ * GeofenceHandles:
+ * Preview of the main geofence circle being edited, inside the MapContainer.
+ * - center: [lat, lon]
+ * - radius: meters
+ * - onCenterChange: called with [lat, lon] while the center handle is dragged
+ * - onRadiusChange: called with meters while the edge handle is dragged
+ *
+ * The edge handle stays on the side where the user last dropped it
+ * (east at first); the radius is kept inside the configured range.
+ */
+export default function GeofenceHandles({ center, radius, onCenterChange, onRadiusChange }) {
+  const { t } = useI18n();
+  const [bearing, setBearing] = useState(90);
+  const latLngOf = (e) => { const ll = e.target.getLatLng(); return [ll.lat, ll.lng]; };
+
+  return (
+    <>
+      <Circle center={center} radius={radius} pathOptions={{ color:"#22c55e", fillOpacity:.2 }} interactive={false} />
+      <Marker
+        position={center}
+        icon={centerIcon}
+        title={t("map.centerHandle")}
+        draggable
+        eventHandlers={{ drag: (e) => onCenterChange(latLngOf(e)) }}
+      />
+      <Marker
+        position={destinationPoint(center, radius, bearing)}
+        icon={radiusIcon}
+        title={t("map.radiusHandle")}
+        draggable
+        eventHandlers={{
+          drag: (e) => {
+            const pt = latLngOf(e);
+            setBearing(bearingDeg(center, pt));
+            onRadiusChange(clampFenceRadius(haversineMeters(center, pt)));
+          },
+        }}
+      />
+    </>
+  );
+}
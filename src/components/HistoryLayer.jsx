@@ -0,0 +1,67 @@
+// src/components/HistoryLayer.jsx
+import { useEffect, useMemo, useState } from "react";
+import { Polyline, CircleMarker, Marker, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import useI18n from "../hooks/useI18n";
+
+// Minimum distance on screen between two dots of the track
+const DOT_SPACING_PX = 12;
+
+/**
+ * HistoryLayer:
+ * Draws a loaded track inside the MapContainer.
+ * - points: sorted track points ({ ts, lat, lon, device_state })
+ * - position: [lat, lon] of the playback cursor (or null)
+ *
+ * Recorded points are small dots with their timestamp on hover, at least
+ * DOT_SPACING_PX apart at the current zoom: a long track is a line with a
+ * few hundred dots rather than thousands of layers, and zooming in brings
+ * back the skipped ones.
+ * The map zooms to the whole track once when a new track arrives.
+ */
+export default function HistoryLayer({ points, position }) {
+  const map = useMap();
+  const { t, formatDateTime, stateLabel } = useI18n();
+  const [zoom, setZoom] = useState(() => map.getZoom());
+
+  useMapEvents({
+    zoomend: () => setZoom(map.getZoom()),
+  });
+
+  const line = useMemo(() => points.map(p => [p.lat, p.lon]), [points]);
+  const dots = useMemo(() => {
+    let last = null;
+    return points.filter(p => {
+      const xy = map.project([p.lat, p.lon], zoom);
+      if (last && last.distanceTo(xy) < DOT_SPACING_PX) return false;
+      last = xy;
+      return true;
+    });
+  }, [points, map, zoom]);
+
+  useEffect(() => {
+    if (line.length === 0) return;
+    map.fitBounds(line, { padding: [40, 40], maxZoom: 17 });
+  }, [line, map]);
+
+  if (points.length === 0) return null;
+
+  return (
+    <>
+      <Polyline positions={line} pathOptions={{ color: "#7c3aed", weight: 4, opacity: .8 }} />
+      {dots.map((p, i) => (
+        <CircleMarker
+          key={`${p.ts}-${i}`}
+          center={[p.lat, p.lon]}
+          radius={4}
+          pathOptions={{ color: "#7c3aed", fillColor: "#fff", fillOpacity: 1, weight: 2 }}
+        >
+          <Tooltip>
+            {formatDateTime(p.ts)}
+            {p.device_state && <><br />{t("common.state", { state: stateLabel(p.device_state) })}</>}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+      {position && <Marker position={position} />}
+    </>
+  );
+}
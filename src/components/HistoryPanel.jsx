@@ -0,0 +1,142 @@
+// src/components/HistoryPanel.jsx
+import { useState } from "react";
+import { btnPrimary, btnGhost, floatingPanel, btnClose } from "../styles";
+import { EXPORT_FORMATS } from "../lib/export";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * Quick ranges offered in the select (seconds back from now).
+ * label is a message key (see i18n).
+ */
+const PRESETS = [
+  { label: "history.lastHour", seconds: 3600 },
+  { label: "history.last6Hours", seconds: 6 * 3600 },
+  { label: "history.last24Hours", seconds: 24 * 3600 },
+  { label: "history.last7Days", seconds: 7 * 24 * 3600 },
+];
+
+/**
+ * Playback speeds (track seconds per real second).
+ */
+const SPEEDS = [1, 10, 60, 300, 1800];
+
+/**
+ * <input type="datetime-local"> works with local "YYYY-MM-DDTHH:mm" strings,
+ * the API with epoch seconds. These two helpers convert between them.
+ */
+function toLocalInput(sec) {
+  const d = new Date(sec * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+function fromLocalInput(str) {
+  return Math.floor(new Date(str).getTime() / 1000);
+}
+
+/**
+ * HistoryPanel:
+ * Controls for the history mode of the active device.
+ * - history: result of useHistory (points, range, loading, error)
+ * - playback: result of usePlayback (t, seek, play, pause, speed...)
+ * - range: { from, to } to show in the inputs at first (e.g. from the URL), or null
+ * - onLoad(from, to): load the track of that range (epoch seconds)
+ * - onExport(format): download the loaded track + the device geofences
+ *   (format is a key of EXPORT_FORMATS)
+ * - onClose: leave history mode
+ *
+ * The user picks a time range, loads the track, then scrubs or plays it.
+ */
+export default function HistoryPanel({ history, playback, range, onLoad, onExport, onClose }) {
+  const { t, formatNumber, formatDateTime } = useI18n();
+  const now = Math.floor(Date.now() / 1000);
+  const [from, setFrom] = useState(() => toLocalInput(range?.from ?? now - 24 * 3600));
+  const [to, setTo]     = useState(() => toLocalInput(range?.to ?? now));
+
+  const { points, loading, error } = history;
+  const start = points[0]?.ts ?? 0;
+  const end   = points[points.length - 1]?.ts ?? 0;
+
+  function applyPreset(seconds) {
+    const n = Math.floor(Date.now() / 1000);
+    setFrom(toLocalInput(n - seconds));
+    setTo(toLocalInput(n));
+  }
+
+  function load() {
+    const since = fromLocalInput(from), until = fromLocalInput(to);
+    if (!Number.isFinite(since) || !Number.isFinite(until) || since >= until) return;
+    onLoad(since, until);
+  }
+
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", marginBottom:8}}>
+        <div style={{fontWeight:700, flex:1}}>{t("history.title")}</div>
+        <button onClick={onClose} style={btnClose} aria-label={t("history.close")}>✕</button>
+      </div>
+
+      <select
+        defaultValue=""
+        onChange={(e) => { if (e.target.value) applyPreset(Number(e.target.value)); }}
+        style={{width:"100%", marginBottom:6}}
+      >
+        <option value="" disabled>{t("history.quickRange")}</option>
+        {PRESETS.map(p => <option key={p.seconds} value={p.seconds}>{t(p.label)}</option>)}
+      </select>
+      <label style={field}>{t("history.from")} <input type="datetime-local" value={from} onChange={(e)=>setFrom(e.target.value)} /></label>
+      <label style={field}>{t("history.to")} <input type="datetime-local" value={to} onChange={(e)=>setTo(e.target.value)} /></label>
+      <button
+        onClick={load}
+        disabled={loading || fromLocalInput(from) >= fromLocalInput(to)}
+        style={{...btnPrimary, width:"100%", marginTop:6}}
+      >
+        {loading ? t("common.loading") : t("history.load")}
+      </button>
+
+      {error && <div style={{color:"#b91c1c", fontSize:13, marginTop:8}}>{error}</div>}
+
+      {history.range && !loading && points.length === 0 && !error && (
+        <div style={{fontSize:13, opacity:.8, marginTop:8}}>{t("history.empty")}</div>
+      )}
+
+      {points.length > 0 && (
+        <div style={{marginTop:10}}>
+          <div style={{fontSize:13, opacity:.8}}>{t("history.points", { count: points.length })}</div>
+          <input
+            type="range" min={start} max={end} step={1}
+            value={playback.t}
+            onChange={(e)=>playback.seek(Number(e.target.value))}
+            style={{width:"100%"}}
+            aria-label={t("history.playbackPosition")}
+          />
+          <div style={{fontSize:13}}>
+            <b>{formatDateTime(playback.t)}</b>
+          </div>
+          <div style={{display:"flex", gap:8, marginTop:8, alignItems:"center"}}>
+            <button onClick={playback.playing ? playback.pause : playback.play} style={btnPrimary}>
+              {playback.playing ? t("history.pause") : t("history.play")}
+            </button>
+            <select value={playback.speed} onChange={(e)=>playback.setSpeed(Number(e.target.value))}>
+              {SPEEDS.map(s => <option key={s} value={s}>{formatNumber(s)}×</option>)}
+            </select>
+          </div>
+        </div>
+      )}
+
+      <div style={{marginTop:10, borderTop:"1px solid #e5e7eb", paddingTop:8}}>
+        <div style={{fontSize:13, opacity:.8, marginBottom:4}}>
+          {points.length > 0 ? t("history.exportTrack") : t("history.exportFences")}
+        </div>
+        <div style={{display:"flex", gap:6, flexWrap:"wrap"}}>
+          {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+            <button key={key} onClick={() => onExport(key)} disabled={loading} style={btnSmall}>{f.label}</button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:280, fontSize:14 };
+const btnSmall = { ...btnGhost, padding:"4px 10px", fontSize:13 };
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:4 };
@@ -0,0 +1,31 @@
+// src/components/ImportLayer.jsx
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import ZoneLayer from "./ZoneLayer";
+
+/**
+ * ImportLayer:
+ * Preview of the shapes read from an imported file, inside the MapContainer.
+ * - zones: checked shapes (see useFenceImport)
+ * - fileName: the map zooms to the shapes once per imported file
+ *   (not on every rename or checkbox change)
+ */
+export default function ImportLayer({ zones, fileName }) {
+  const map = useMap();
+  const fitted = useRef("");
+
+  useEffect(() => {
+    if (zones.length === 0) { fitted.current = ""; return; }
+    if (fitted.current === fileName) return;
+    fitted.current = fileName;
+    const bounds = L.latLngBounds([]);
+    zones.forEach(z => {
+      if (z.type === "circle") bounds.extend(L.latLng(z.center).toBounds(z.radius_m * 2));
+      else z.points.forEach(p => bounds.extend(p));
+    });
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [40, 40], maxZoom: 18 });
+  }, [zones, fileName, map]);
+
+  return <ZoneLayer zones={zones} color="#d946ef" />;
+}
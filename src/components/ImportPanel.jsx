@@ -0,0 +1,132 @@
+// src/components/ImportPanel.jsx
+import { useRef, useState } from "react";
+import { validateZone } from "../lib/zones";
+import useI18n from "../hooks/useI18n";
+import { btnPrimary, btnGhost, floatingPanel, btnClose } from "../styles";
+
+/**
+ * ImportPanel:
+ * Imports geofences from a GeoJSON or KML file as zones of a device.
+ * - importer: result of useFenceImport (shapes + actions)
+ * - devices / labelOf: devices the shapes can be assigned to
+ * - deviceId: device selected by default (the active one)
+ * - onSave({ deviceId, zones, replace }): persist the checked shapes
+ * - onClose: leave the import panel
+ *
+ * The file is dropped on the panel or picked with the file input; parsed
+ * shapes are previewed on the map and can be unchecked or renamed first.
+ */
+export default function ImportPanel({ importer, devices, labelOf, deviceId, onSave, onClose }) {
+  const { t } = useI18n();
+  const inputRef = useRef(null);
+  const [target, setTarget]     = useState(deviceId || "");
+  const [replace, setReplace]   = useState(false);
+  const [dragOver, setDragOver] = useState(false);
+  const [saving, setSaving]     = useState(false);
+  const [problem, setProblem]   = useState("");
+
+  const { shapes, selected } = importer;
+
+  function onDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) importer.readFile(file);
+  }
+
+  async function save() {
+    const msg = !target ? t("import.chooseDevice")
+      : selected.length === 0 ? t("import.checkOne")
+      : selected.map(validateZone).find(Boolean) || "";
+    setProblem(msg);
+    if (msg) return;
+    setSaving(true);
+    try {
+      await onSave({ deviceId: target, zones: selected.map(z => ({ ...z, name: z.name.trim() })), replace });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", marginBottom:8}}>
+        <div style={{fontWeight:700, flex:1}}>{t("import.title")}</div>
+        <button onClick={onClose} style={btnClose} aria-label={t("import.close")}>✕</button>
+      </div>
+
+      <div
+        onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+        onDragLeave={() => setDragOver(false)}
+        onDrop={onDrop}
+        onClick={() => inputRef.current?.click()}
+        style={{...dropZone, ...(dragOver ? dropZoneActive : {})}}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") inputRef.current?.click(); }}
+      >
+        {importer.loading ? t("import.reading") : importer.fileName || t("import.drop")}
+      </div>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".geojson,.json,.kml,application/geo+json,application/vnd.google-earth.kml+xml"
+        onChange={(e) => { const f = e.target.files?.[0]; if (f) importer.readFile(f); e.target.value = ""; }}
+        style={{display:"none"}}
+      />
+
+      {importer.error && <div style={{color:"#b91c1c", fontSize:13, marginTop:8}}>{importer.error}</div>}
+
+      {shapes.length > 0 && (
+        <>
+          <div style={{maxHeight:180, overflowY:"auto", marginTop:8}}>
+            {shapes.map(({ zone, problem: p, checked }) => (
+              <div key={zone.id} style={{marginBottom:6}}>
+                <label style={{display:"flex", alignItems:"center", gap:6}}>
+                  <input type="checkbox" checked={checked} disabled={!!p} onChange={() => importer.toggle(zone.id)} />
+                  <input
+                    value={zone.name}
+                    onChange={(e) => importer.rename(zone.id, e.target.value)}
+                    disabled={!!p}
+                    style={{flex:1, minWidth:0}}
+                  />
+                  <span style={{opacity:.6, fontSize:12}}>{t(`zones.type.${zone.type}`)}</span>
+                </label>
+                {p && <div style={{color:"#b91c1c", fontSize:12, marginLeft:22}}>{p}</div>}
+              </div>
+            ))}
+          </div>
+
+          <label style={field}>
+            {t("import.device")}
+            <select value={target} onChange={(e) => setTarget(e.target.value)}>
+              <option value="" disabled>{t("import.choose")}</option>
+              {devices.map(d => <option key={d.id} value={d.id}>{labelOf(d.id)}</option>)}
+            </select>
+          </label>
+          <label style={{...field, justifyContent:"flex-start"}}>
+            <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+            {t("import.replace")}
+          </label>
+
+          {problem && <div style={{color:"#b91c1c", fontSize:13, marginTop:6}}>{problem}</div>}
+          <div style={{display:"flex", gap:8, marginTop:10}}>
+            <button onClick={save} disabled={saving} style={btnPrimary}>
+              {saving ? t("common.saving") : t("import.submit", { count: selected.length })}
+            </button>
+            <button onClick={importer.clear} style={btnGhost}>{t("common.clear")}</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:320, fontSize:14 };
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:6 };
+const dropZone = {
+  border:"2px dashed #cbd5e1", borderRadius:8, padding:"14px 10px",
+  textAlign:"center", fontSize:13, color:"#475569", cursor:"pointer",
+  overflow:"hidden", textOverflow:"ellipsis",
+};
+const dropZoneActive = { borderColor:"#2563eb", background:"#eff6ff" };
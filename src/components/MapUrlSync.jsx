@@ -0,0 +1,28 @@
+// src/components/MapUrlSync.jsx
+import { useEffect } from "react";
+import { useMap, useMapEvents } from "react-leaflet";
+import { mapViewParam, setQuery } from "../lib/router";
+
+/**
+ * MapUrlSync:
+ * Keeps the map view in the URL (?map=zoom/lat/lon) inside the MapContainer,
+ * so a reload or a copied link shows the same place.
+ * - follow: while the map follows a tracker the view is left out of the
+ *   URL (the link then opens on the tracker, wherever it is by then)
+ */
+export default function MapUrlSync({ follow }) {
+  const map = useMap();
+
+  useMapEvents({
+    moveend: () => {
+      if (!follow) setQuery({ map: mapViewParam([map.getCenter().lat, map.getCenter().lng], map.getZoom()) });
+    },
+  });
+
+  useEffect(() => {
+    if (follow) setQuery({ map: null });
+    else setQuery({ map: mapViewParam([map.getCenter().lat, map.getCenter().lng], map.getZoom()) });
+  }, [follow, map]);
+
+  return null;
+}
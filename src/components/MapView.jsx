@@ -1,73 +1,91 @@
 // src/components/MapView.jsx
 
 import { useEffect, useMemo, useRef, useState } from "react";
-import { MapContainer, TileLayer, Marker, Circle, Popup, useMap, useMapEvents } from "react-leaflet";
+import { MapContainer, Marker, Circle, useMapEvents } from "react-leaflet";
 import "leaflet/dist/leaflet.css";
 import L from "leaflet";
-import { API_BASE, DEVICE_ID, REFRESH_MS, DEFAULT_ZOOM, FALLBACK_FENCE } from "../config";
+import markerIcon from "leaflet/dist/images/marker-icon.png";
+import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
+import markerShadow from "leaflet/dist/images/marker-shadow.png";
+import { DEFAULT_ZOOM, FALLBACK_FENCE } from "../config";
+import { api, describeError } from "../api";
+import useFleet from "../hooks/useFleet";
+import useHistory from "../hooks/useHistory";
+import usePlayback from "../hooks/usePlayback";
+import useZoneEditor from "../hooks/useZoneEditor";
+import useGeofenceEvents from "../hooks/useGeofenceEvents";
+import useStateTimeline from "../hooks/useStateTimeline";
+import useFollowMode from "../hooks/useFollowMode";
+import useAlerts from "../hooks/useAlerts";
+import usePermissions from "../hooks/usePermissions";
+import useShares from "../hooks/useShares";
+import useRoute from "../hooks/useRoute";
+import useOnline from "../hooks/useOnline";
+import useFenceImport from "../hooks/useFenceImport";
+import useI18n from "../hooks/useI18n";
+import useProfilePreferences from "../hooks/useProfilePreferences";
+import { storedZones, validateFenceCircle, zonesOf } from "../lib/zones";
+import { fenceAreas } from "../lib/geo";
+import { downloadExport, saveFile, toReportCSV } from "../lib/export";
+import { buildReport, localDate } from "../lib/analytics";
+import { hrefOf, mapViewOf, navigate, parse, rangeOf } from "../lib/router";
+import { claimsOf } from "../auth/roles";
+import DeviceSidebar from "./DeviceSidebar";
+import HistoryPanel from "./HistoryPanel";
+import HistoryLayer from "./HistoryLayer";
+import ZonesPanel from "./ZonesPanel";
+import ZoneLayer from "./ZoneLayer";
+import ImportPanel from "./ImportPanel";
+import ImportLayer from "./ImportLayer";
+import PlaceSearch from "./PlaceSearch";
+import PlaceLayer from "./PlaceLayer";
+import AddressLine from "./AddressLine";
+import DeviceStatusPanel from "./DeviceStatusPanel";
+import FollowController from "./FollowController";
+import ViewControls from "./ViewControls";
+import AlertsPanel from "./AlertsPanel";
+import AlertBanner from "./AlertBanner";
+import SharePanel from "./SharePanel";
+import ReportPanel from "./ReportPanel";
+import StopLayer from "./StopLayer";
+import SettingsPanel from "./SettingsPanel";
+import MapUrlSync from "./MapUrlSync";
+import GeofenceEditPanel from "./GeofenceEditPanel";
+import GeofenceHandles from "./GeofenceHandles";
+import EventLog from "./EventLog";
+import FreshnessBadge from "./FreshnessBadge";
+import BaseLayers from "./BaseLayers";
+import FleetLayer from "./FleetLayer";
+import FleetFences from "./FleetFences";
+import PreferencesSwitcher from "./PreferencesSwitcher";
+import { btnPrimary, btnGhost, btnClose, floatingPanel } from "../styles";
 
 /**
  * Leaflet + Vite quirk:
  * In Vite builds, Leaflet's default marker image URLs are not auto-resolved.
- * The next lines force Leaflet to use public CDN URLs for the marker images.
+ * We import the images from the leaflet package so Vite bundles them with
+ * the app (no CDN: the map must work on closed networks).
  */
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
-  iconRetinaUrl: "https://unpkg.com/leaflet@1.9.3/dist/images/marker-icon-2x.png",
-  iconUrl: "https://unpkg.com/leaflet@1.9.3/dist/images/marker-icon.png",
-  shadowUrl: "https://unpkg.com/leaflet@1.9.3/dist/images/marker-shadow.png",
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
 });
 
-/**
- * Minimal fetch helper returning JSON
- * - u: URL
- * - opts: fetch options (method, headers, body, etc.)
- * - idToken: if provided, we attach it as an Authorization: Bearer <token>
- *   so protected API endpoints accept the request.
- * We read as text first for easier error logging, then JSON.parse.
- */
-async function getJSON(u, opts = {}, idToken = null) {
-  const headers = { ...(opts.headers || {}) };
-  if (idToken) headers["Authorization"] = `Bearer ${idToken}`;
-
-  const r = await fetch(u, { ...opts, headers });
-  const text = await r.text();
-
-  if (!r.ok) {
-    // If API returned an error body, surface it; otherwise show status code.
-    throw new Error(text || `${r.status} ${r.statusText}`);
-  }
-
-  try { 
-    return JSON.parse(text); 
-  } catch { 
-    // Some endpoints might return an empty body or plain text
-    return text; 
-  }
-}
-
-/**
- * RecenterOnChange:
- * A tiny helper component that recenters the Leaflet map whenever
- * the 'center' or 'zoom' props change.
- */
-function RecenterOnChange({ center, zoom }) {
-  const map = useMap();
-  useEffect(() => { map.setView(center, zoom); }, [center[0], center[1], zoom, map]);
-  return null;
-}
-
 /**
  * MapClickHandler:
  * Listens to click events on the map.
- * Depending on the current 'mode', it either records a geofence center
- * or a tracker position. These are passed back up via callbacks.
+ * Depending on the current 'mode', it either records a geofence center,
+ * a tracker position or a point of the zone being drawn. These are passed
+ * back up via callbacks.
  */
-function MapClickHandler({ mode, onGeofencePick, onTrackerPick }) {
+function MapClickHandler({ mode, onGeofencePick, onTrackerPick, onZonePick }) {
   useMapEvents({
     click(e) {
       if (mode === "editGeofence") onGeofencePick([e.latlng.lat, e.latlng.lng]);
       if (mode === "editTracker")  onTrackerPick([e.latlng.lat, e.latlng.lng]);
+      if (mode === "editZone")     onZonePick([e.latlng.lat, e.latlng.lng]);
     },
   });
   return null;
@@ -75,21 +93,43 @@ function MapClickHandler({ mode, onGeofencePick, onTrackerPick }) {
 
 /**
  * useDisplayLabels:
- * Pure UI labels stored locally (NOT backend rename).
+ * Pure UI labels stored locally (NOT backend rename), one pair per device.
  * We keep the visible names in localStorage so refreshes don't lose them.
+ * Shape: { [deviceId]: { tracker, fence } }
  */
 function useDisplayLabels() {
-  const [trackerName, setTrackerName] = useState(
-    () => localStorage.getItem("ui.trackerName") || "My Tracker"
-  );
-  const [fenceName, setFenceName] = useState(
-    () => localStorage.getItem("ui.fenceName") || "My Geofence"
-  );
+  const [labels, setLabels] = useState(() => {
+    try { return JSON.parse(localStorage.getItem("ui.labels")) || {}; } catch { return {}; }
+  });
+
+  useEffect(() => { localStorage.setItem("ui.labels", JSON.stringify(labels)); }, [labels]);
+
+  function setLabel(id, key, value) {
+    setLabels(prev => ({ ...prev, [id]: { ...prev[id], [key]: value } }));
+  }
+
+  return {
+    labels,
+    setTrackerName: (id, v) => setLabel(id, "tracker", v),
+    setFenceName: (id, v) => setLabel(id, "fence", v),
+  };
+}
 
-  useEffect(() => { localStorage.setItem("ui.trackerName", trackerName); }, [trackerName]);
-  useEffect(() => { localStorage.setItem("ui.fenceName", fenceName); }, [fenceName]);
+/**
+ * useSelectedDevice:
+ * Remembers which device is "active" (localStorage) and falls back to the
+ * first device of the list when the remembered one is gone.
+ * - initialId: device asked for by the URL, preferred over the remembered one
+ */
+function useSelectedDevice(devices, initialId) {
+  const [wanted, setWanted] = useState(() => initialId || localStorage.getItem("ui.selectedDevice"));
+
+  useEffect(() => {
+    if (wanted) localStorage.setItem("ui.selectedDevice", wanted);
+  }, [wanted]);
 
-  return { trackerName, setTrackerName, fenceName, setFenceName };
+  const selectedId = devices.some(d => d.id === wanted) ? wanted : devices[0]?.id ?? null;
+  return [selectedId, setWanted];
 }
 
 /**
@@ -113,39 +153,130 @@ function useClickOutside(ref, onOutside) {
   }, [ref, onOutside]);
 }
 
+/**
+ * panelOfRoute:
+ * The side panel a route opens by itself (the others have no URL).
+ */
+function panelOfRoute(route) {
+  if (route.name === "history") return "history";
+  if (route.name === "settings") return "settings";
+  return null;
+}
+
 /**
  * MapView:
  * - idToken: JWT from Cognito (used to call protected API routes)
  * - onLogout: callback to log out (handled by parent component)
  *
  * Responsibilities:
- * 1) Load the geofence from the API (protected) and show it.
- * 2) Poll the device status from the API (protected) on a timer.
- * 3) Let the user edit geofence center/radius and tracker position.
- * 4) Provide simple UI chips/menus for edit actions and renaming (UI only).
+ * 1) Load the user's devices and their geofences from the API (protected).
+ * 2) Keep every device status live (push stream, or polling the API).
+ * 3) Let the user pick the active device (sidebar, marker or fence click).
+ * 4) Let the user edit geofence center/radius and tracker position
+ *    of the active device.
+ * 5) Provide simple UI chips/menus for edit actions and renaming (UI only).
+ * 6) Show the location history of the active device with playback.
+ * 7) Manage extra named zones (polygons / circles) of the active device.
+ * 8) Detect enter/exit transitions of every tracker and log them.
+ * 9) Language / units switcher, saved to the user's profile.
+ * 10) Keep the active device, history range, settings page and map view in
+ *     the URL (lib/router.js), and follow back / forward.
+ * 11) Stay smooth with large fleets: clustered markers, vector layers on a
+ *     canvas, and per-device updates (FleetLayer, FleetFences).
  */
 export default function MapView({ idToken, onLogout }) {
-  // Live device status (position, state, etc.)
-  const [status, setStatus]   = useState(null);
-
-  // Geofence stored in DB (center + radius)
-  const [fence, setFence]     = useState(null);
-
-  // If the API responded OK for geofence, we color it blue; otherwise red.
-  const [apiOk, setApiOk]     = useState(false);
+  const { t, formatDistance, formatDateTime, stateLabel } = useI18n();
 
   // A simple error message bar shown at the bottom-left
   const [error, setError]     = useState("");
 
-  // UI-only labels (nicknames) for the chips
-  const { trackerName, setTrackerName, fenceName, setFenceName } = useDisplayLabels();
+  // Devices, their live status and their geofences (all keyed by device id)
+  const { devices, statuses, transport, liveError, fences, reloadFence } = useFleet(idToken, setError);
+  const online = useOnline();
+  useProfilePreferences(idToken, setError);
+
+  // viewer / operator / admin from the Cognito groups: edit actions are
+  // only offered to roles the API would accept them from
+  const { role, can } = usePermissions(idToken);
+
+  // Where the URL points: device, history range, settings, map view
+  const route = useRoute();
+  const [linkedView] = useState(() => mapViewOf(route.query));
+
+  // The device the chips, edit panel and save actions apply to
+  const [selectedId, setSelectedId] = useSelectedDevice(devices, route.params.id);
+  const status = selectedId ? statuses[selectedId] : null;
+  const fence  = selectedId ? fences[selectedId] : null;
+
+  // If the API responded OK for the active geofence, we color it blue; otherwise red.
+  const apiOk = fence != null;
+
+  // UI-only labels (nicknames) for the chips and the sidebar
+  const { labels, setTrackerName, setFenceName } = useDisplayLabels();
+  const trackerLabel = (id) => labels[id]?.tracker || devices.find(d => d.id === id)?.name || id;
+  const fenceLabel   = (id) => labels[id]?.fence || t("map.fenceOf", { name: trackerLabel(id) });
+  const trackerName  = selectedId ? trackerLabel(selectedId) : t("map.defaultTracker");
+  const fenceName    = selectedId ? fenceLabel(selectedId) : t("map.defaultFence");
 
   // Edit modes & temporary values while the user is editing
   const [mode, setMode] = useState(null); // "editGeofence" | "editTracker" | null
   const [newCenter, setNewCenter] = useState(null); // temp geofence center picked on map
-  const [newRadius, setNewRadius] = useState(200);  // temp geofence radius from slider
+  const [newRadius, setNewRadius] = useState(200);  // temp geofence radius (slider, input or handle)
   const [newTracker, setNewTracker] = useState(null); // temp tracker position picked on map
 
+  // Follow mode (map keeps the active tracker centered) and "fit" requests
+  // (a link with a map view opens there, not following)
+  const { follow, setFollow, keepZoom, setKeepZoom } = useFollowMode(!linkedView);
+  const [fit, setFit] = useState(null); // { points, areas }
+
+  // Place picked in the search box, and the tracker whose popup is open
+  // (its address is looked up only then)
+  const [place, setPlace] = useState(null);
+  const [popupId, setPopupId] = useState(null);
+
+  // Side panel shown at the bottom-left instead of the edit panel
+  // "history" | "report" | "zones" | "import" | "alerts" | "share" | "settings" | null
+  const [panel, setPanel] = useState(() => panelOfRoute(route));
+
+  // History mode: past track of the active device + playback cursor
+  const history  = useHistory(selectedId);
+  const playback = usePlayback(history.points);
+  const showsTrack = panel === "history" || panel === "report";
+
+  // Extra zones of the active device and the zone being drawn
+  const zones = zonesOf(fence);
+  const zoneEditor = useZoneEditor();
+
+  // Geofences read from a GeoJSON/KML file, previewed until saved
+  const importer = useFenceImport();
+
+  // Enter/exit detection against the main circle + zones of each device
+  const areasOf = (id) => fenceAreas(fences[id], fenceLabel(id), zonesOf(fences[id]));
+  const geoEvents = useGeofenceEvents({ statuses, areasOf, areasKey: fences, labelOf: trackerLabel });
+
+  // Alert rules and triggered alerts (evaluated by the backend)
+  const alerts = useAlerts(idToken, setError);
+  const openAlerts = alerts.alerts.filter(a => a.status === "open").length;
+
+  // Read-only links to the active device (listed while the share panel is open)
+  const shares = useShares(panel === "share" ? selectedId : null, setError);
+
+  // Trip report: analytics of the track loaded by the report panel, and
+  // the stop last picked in it. Only recomputed when the track or the
+  // device's areas change (not on every live status update).
+  const selectedAreas = useMemo(() => fenceAreas(fence, fenceName, zonesOf(fence)), [fence, fenceName]);
+  const report = useMemo(
+    () => (panel === "report" && history.points.length ? buildReport(history.points, selectedAreas) : null),
+    [panel, history.points, selectedAreas]
+  );
+  const [stopTs, setStopTs] = useState(null);
+
+  // moving / idle / offline changes seen since the page was opened
+  const { timelineOf } = useStateTimeline(statuses);
+
+  // What a click on the map means right now
+  const clickMode = zoneEditor.draft ? "editZone" : mode;
+
   // Menu visibility for the top "chips" (small pill bars)
   const [showTrackerMenu, setShowTrackerMenu] = useState(false);
   const [showFenceMenu, setShowFenceMenu] = useState(false);
@@ -156,47 +287,186 @@ export default function MapView({ idToken, onLogout }) {
 
   const fenceColor = apiOk ? "#2563eb" : "#ef4444";
 
+  // Follow mode is paused while a history track or an import preview is shown
+  const following = follow && !showsTrack && panel !== "import";
+
   /**
-   * Load the geofence from the backend (protected endpoint).
-   * Requires a valid idToken (JWT). We also prefill the edit radius from it.
+   * Switch the active device. Any edit in progress belonged to the
+   * previous device, so we drop it. The map goes to (and follows) the new one.
    */
-  useEffect(() => {
-    if (!idToken) return;
-    getJSON(`${API_BASE}/geofence/${encodeURIComponent(DEVICE_ID)}`, {}, idToken)
-      .then(f => {
-        setFence(f);
-        setApiOk(true);
-        if (f?.radius_m) setNewRadius(Number(f.radius_m));
-      })
-      .catch(e => {
-        console.warn("Geofence API error:", e);
-        setApiOk(false);
-        setFence(null);
-      });
-  }, [idToken]);
+  function selectDevice(id) {
+    if (id === selectedId) return;
+    setSelectedId(id);
+    setFollow(true);
+    setMode(null);
+    setNewCenter(null);
+    setNewTracker(null);
+    setStopTs(null);
+    zoneEditor.cancel();
+    setShowTrackerMenu(false);
+    setShowFenceMenu(false);
+  }
+
+  /**
+   * Clicking a marker or a fence on the map also selects its device,
+   * except while editing: then map clicks belong to the edit mode.
+   */
+  function pickOnMap(id) {
+    if (!clickMode) selectDevice(id);
+  }
+
+  /**
+   * Popup of a tracker marker. Its address is only looked up while open.
+   */
+  function trackerPopup(id) {
+    const s = statuses[id];
+    const inside = geoEvents.insideOf(id);
+    return (
+      <>
+        <b>{trackerLabel(id)}</b><br />
+        {popupId === id && <AddressLine lat={s.last_lat} lon={s.last_lon} />}
+        {t("common.state", { state: stateLabel(s.device_state) })}<br />
+        {s.accuracy_m > 0 && <>{t("map.accuracy", { value: formatDistance(s.accuracy_m) })}<br /></>}
+        {inside.length > 0
+          ? <>{t("map.inside", { areas: inside.join(", ") })}<br /></>
+          : <>{t("map.outside")}<br /></>}
+        {formatDateTime(s.last_update_ts || 0)}
+      </>
+    );
+  }
+
+  /**
+   * Side panels and the edit panel share the same spot:
+   * opening one closes the others.
+   */
+  function openPanel(name) {
+    setMode(null);
+    setNewCenter(null);
+    setNewTracker(null);
+    if (showsTrack) closePanel();
+    setPanel(name);
+    setShowTrackerMenu(false);
+    setShowFenceMenu(false);
+  }
+  function closePanel() {
+    playback.pause();
+    history.clear();
+    zoneEditor.cancel();
+    importer.clear();
+    setStopTs(null);
+    setPanel(null);
+  }
+
+  /**
+   * Entering an edit mode closes any side panel and stops following the
+   * tracker, so the map holds still while you edit.
+   * Geofence edit mode starts from the saved circle so its handles can be
+   * dragged right away.
+   */
+  function startEditGeofence() {
+    setFollow(false);
+    if (fence?.radius_m) setNewRadius(Number(fence.radius_m));
+    if (fence?.center_lat != null) setNewCenter([Number(fence.center_lat), Number(fence.center_lon)]);
+    closePanel();
+    setMode("editGeofence");
+  }
+  function startEditTracker() {
+    setFollow(false);
+    closePanel();
+    setMode("editTracker");
+  }
+
+  /**
+   * A search result was picked: the map goes there and stops following the
+   * tracker. While editing the geofence, the place also becomes its center.
+   */
+  function pickPlace(p) {
+    setFollow(false);
+    setPlace(p);
+    if (mode === "editGeofence") setNewCenter([p.lat, p.lon]);
+  }
+
+  /**
+   * "Fit" buttons: show the active tracker with its geofence, or every
+   * device (positions, or their geofences when no position is known yet).
+   */
+  function fitActive() {
+    setFollow(false);
+    setFit({ points: status?.last_lat != null ? [[status.last_lat, status.last_lon]] : [], areas: areasOf(selectedId) });
+  }
+  function showStop(stop) {
+    setFollow(false);
+    setStopTs(stop.start);
+    setFit({ points: [[stop.lat, stop.lon]], areas: [] });
+  }
+  function fitAll() {
+    setFollow(false);
+    const points = devices.map(d => statuses[d.id]).filter(s => s?.last_lat != null).map(s => [s.last_lat, s.last_lon]);
+    setFit({ points, areas: points.length ? [] : devices.flatMap(d => areasOf(d.id)) });
+  }
 
   /**
-   * Poll the device status every REFRESH_MS.
-   * We keep looping until the component unmounts.
+   * Download the loaded track (if any) and the geofences of the active
+   * device in one of the formats of lib/export.js.
    */
+  function exportView(format) {
+    downloadExport(format, {
+      deviceId: selectedId,
+      deviceName: trackerName,
+      points: history.points,
+      areas: areasOf(selectedId),
+    }, history.points.length ? history.range : null);
+  }
+  function loadHistory(from, to) {
+    navigate(hrefOf("history", { id: selectedId }, { from, to, map: parse(window.location).query.map }));
+  }
+  function downloadReport() {
+    const first = localDate(report.days[0].day), last = localDate(report.days[report.days.length - 1].day);
+    saveFile(`${selectedId}_report_${first}_${last}.csv`, toReportCSV(report, { deviceId: selectedId }), "text/csv");
+  }
+
+  /**
+   * Route sync, both ways (the functions see the latest state):
+   * - toUrl: the active device and the history / settings panel go to the
+   *   URL. A new device or page is a new history entry; landing on "/" (or
+   *   on a device that isn't ours) only fixes the URL. The current query
+   *   (history range, map view) is kept while the page stays the same.
+   * - fromUrl: back / forward pick the device and open or close the panel
+   *   the route asks for.
+   * Both are idempotent, so they settle after one round.
+   */
+  const routeSyncRef = useRef(null);
   useEffect(() => {
-    if (!idToken) return;
-
-    let stop = false;
-    async function loop() {
-      try {
-        const s = await getJSON(`${API_BASE}/devices/${encodeURIComponent(DEVICE_ID)}/status`, {}, idToken);
-        if (!stop) setStatus(s);
-      } catch (e) {
-        if (!stop) setError(String(e));
-      } finally {
-        if (!stop) setTimeout(loop, REFRESH_MS);
-      }
-    }
+    routeSyncRef.current = {
+      toUrl() {
+        const name = panel === "settings" ? "settings" : panel === "history" ? "history" : "device";
+        if (!selectedId) return;
+        const here = parse(window.location);
+        const same = here.name === name && (name === "settings" || here.params.id === selectedId);
+        const lost = here.params.id != null && here.params.id !== selectedId && !devices.some(d => d.id === here.params.id);
+        if (lost) setError(t("routes.unknownDevice", { id: here.params.id }));
+        navigate(
+          hrefOf(name, { id: selectedId }, same ? here.query : { map: here.query.map }),
+          { replace: lost || here.name === "map" || here.name === null }
+        );
+      },
+      fromUrl(r) {
+        if (r.params.id && r.params.id !== selectedId && devices.some(d => d.id === r.params.id)) selectDevice(r.params.id);
+        const wanted = panelOfRoute(r);
+        if (wanted && panel !== wanted) openPanel(wanted);
+        if (!wanted && (panel === "history" || panel === "settings")) closePanel();
+      },
+    };
+  });
+  useEffect(() => { routeSyncRef.current.toUrl(); }, [selectedId, panel]);
+  useEffect(() => { routeSyncRef.current.fromUrl(route); }, [route]);
 
-    loop();
-    return () => { stop = true; };
-  }, [idToken]);
+  // A history route with a range loads that track
+  const { load: loadTrack } = history;
+  useEffect(() => {
+    const range = route.name === "history" && route.params.id === selectedId ? rangeOf(route.query) : null;
+    if (range) loadTrack(range.from, range.to);
+  }, [route, selectedId, loadTrack]);
 
   /**
    * If geofence is not yet available (or API failed), we show a fallback
@@ -205,9 +475,9 @@ export default function MapView({ idToken, onLogout }) {
   const useFence = fence?.center_lat ? fence : FALLBACK_FENCE;
 
   /**
-   * The map center follows the last known tracker position if available,
-   * otherwise it uses the geofence center. useMemo avoids recomputing
-   * unless inputs change.
+   * The map center follows the last known position of the active tracker
+   * if available, otherwise it uses its geofence center. useMemo avoids
+   * recomputing unless inputs change.
    */
   const center = useMemo(() => {
     const lat = status?.last_lat ?? useFence.center_lat;
@@ -220,73 +490,138 @@ export default function MapView({ idToken, onLogout }) {
   // ------------------------------------------------------------------
 
   /**
-   * Save (PUT) the edited geofence to the backend.
-   * Requires Authorization: Bearer <idToken>.
-   * On success, we refresh the geofence from the API and exit edit mode.
+   * PUT the whole geofence document (main circle + zones) of the active
+   * device, then refresh it from the server to reflect saved values.
+   */
+  async function putGeofence(doc, id = selectedId) {
+    await api.geofence.put(id, doc);
+    await reloadFence(id);
+  }
+
+  /**
+   * Stored geofence of a device, to build a save on: the loaded one, else
+   * read again ({} when there is none yet). Null (with an error shown) when
+   * it can't be read, since saving without it would wipe what is stored.
+   */
+  async function currentFence(id) {
+    if (fences[id]) return fences[id];
+    try {
+      return await api.geofence.get(id);
+    } catch (e) {
+      if (e.status === 404) return {};
+      setError(t("map.fenceUnreadable", { message: describeError(e) }));
+      return null;
+    }
+  }
+
+  /**
+   * Save the edited main circle of the active device (zones are kept).
+   * On success, we exit edit mode.
    */
   async function saveGeofence() {
     if (!newCenter) { 
-      setError("Click on the map to choose the geofence center."); 
+      setError(t("map.pickFenceCenter"));
       return; 
     }
+    const problem = validateFenceCircle({ lat: newCenter[0], lon: newCenter[1], radius: newRadius });
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    const current = await currentFence(selectedId);
+    if (!current) return;
     try {
-      const r = await fetch(`${API_BASE}/geofence/${encodeURIComponent(DEVICE_ID)}`, {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${idToken}`
-        },
-        body: JSON.stringify({
-          center_lat: newCenter[0],
-          center_lon: newCenter[1],
-          radius_m: newRadius
-        })
+      await putGeofence({
+        center_lat: newCenter[0],
+        center_lon: newCenter[1],
+        radius_m: newRadius,
+        zones: storedZones(current),
       });
-      if (!r.ok) throw new Error(await r.text());
-
-      // Refresh fence from server to reflect saved values
-      const fresh = await getJSON(`${API_BASE}/geofence/${encodeURIComponent(DEVICE_ID)}`, {}, idToken);
-      setFence(fresh);
 
       // Reset UI state
       setMode(null);
       setNewCenter(null);
       setShowFenceMenu(false);
     } catch (e) {
-      setError(e.message || String(e));
+      setError(describeError(e));
+    }
+  }
+
+  /**
+   * Save the zones of the active device: change(zones) gets the stored ones
+   * and returns the new list. The main circle is sent back unchanged so the
+   * PUT doesn't wipe it.
+   */
+  async function saveZones(change) {
+    const current = await currentFence(selectedId);
+    if (!current) return false;
+    try {
+      await putGeofence({
+        center_lat: current.center_lat,
+        center_lon: current.center_lon,
+        radius_m: current.radius_m,
+        zones: change(storedZones(current)),
+      });
+      return true;
+    } catch (e) {
+      setError(describeError(e));
+      return false;
+    }
+  }
+  async function saveZone(zone) {
+    const saved = await saveZones(list => (
+      list.some(z => z.id === zone.id) ? list.map(z => (z.id === zone.id ? zone : z)) : [...list, zone]
+    ));
+    if (saved) zoneEditor.cancel();
+  }
+  function deleteZone(zone) {
+    saveZones(list => list.filter(z => z.id !== zone.id));
+  }
+
+  /**
+   * Save imported shapes as zones of the chosen device, next to (or
+   * instead of) its existing zones. Its main circle is kept as is.
+   * On success the device becomes the active one so the result is visible.
+   */
+  async function saveImport({ deviceId, zones: imported, replace }) {
+    const target = await currentFence(deviceId);
+    if (!target) return;
+    try {
+      await putGeofence({
+        center_lat: target.center_lat,
+        center_lon: target.center_lon,
+        radius_m: target.radius_m,
+        zones: replace ? imported : [...storedZones(target), ...imported],
+      }, deviceId);
+      closePanel();
+      selectDevice(deviceId);
+    } catch (e) {
+      setError(describeError(e));
     }
   }
 
   /**
-   * Save (POST) the tracker position to the backend.
+   * Save (POST) the position of the active tracker to the backend.
    * This is how we "create or move" the tracker in your system.
    */
   async function saveTracker() {
     if (!newTracker) { 
-      setError("Click on the map to place the tracker."); 
+      setError(t("map.pickTracker"));
       return; 
     }
     try {
-      const r = await fetch(`${API_BASE}/trackers`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${idToken}`
-        },
-        body: JSON.stringify({
-          tracker_id: DEVICE_ID,   // the logical name (backend scopes it with user sub)
-          lat: newTracker[0],
-          lon: newTracker[1]
-        })
+      await api.trackers.save({
+        tracker_id: selectedId,   // the logical name (backend scopes it with user sub)
+        lat: newTracker[0],
+        lon: newTracker[1]
       });
-      if (!r.ok) throw new Error(await r.text());
 
       // Reset UI state
       setMode(null);
       setNewTracker(null);
       setShowTrackerMenu(false);
     } catch (e) {
-      setError(e.message || String(e));
+      setError(describeError(e));
     }
   }
 
@@ -297,162 +632,348 @@ export default function MapView({ idToken, onLogout }) {
    * rename API elsewhere; these are just the visual names.)
    */
   function promptTrackerName() {
-    const v = window.prompt("Tracker name:", trackerName || "My Tracker");
-    if (v && v.trim()) setTrackerName(v.trim());
+    const v = window.prompt(t("map.trackerNamePrompt"), trackerName);
+    if (v && v.trim()) setTrackerName(selectedId, v.trim());
     setShowTrackerMenu(false);
   }
   function promptFenceName() {
-    const v = window.prompt("Geofence name:", fenceName || "My Geofence");
-    if (v && v.trim()) setFenceName(v.trim());
+    const v = window.prompt(t("map.fenceNamePrompt"), fenceName);
+    if (v && v.trim()) setFenceName(selectedId, v.trim());
     setShowFenceMenu(false);
   }
 
   return (
     <div style={{height:"100vh", width:"100vw", position:"relative"}}>
-      {/* Top chips bar (centered). Each chip opens a small menu. */}
-      <div style={{
-        position:"absolute", top:16, left:"50%", transform:"translateX(-50%)",
-        zIndex: 1000, display:"flex", gap:12, alignItems:"center"
-      }}>
-        {/* Tracker chip */}
-        <div ref={trackerRef} style={chipStyle}>
-          <button
-            type="button"
-            onClick={() => { setShowTrackerMenu(v => !v); setShowFenceMenu(false); }}
-            style={chipToggle}
-            aria-haspopup="menu"
-            aria-expanded={showTrackerMenu}
-            title="Tracker actions"
-          >
-            {trackerName}
-            <span style={caret} aria-hidden>▾</span>
-          </button>
-          {showTrackerMenu && (
-            <div role="menu" style={chipMenu}>
-              <button onClick={() => { setMode("editTracker"); }} style={chipBtn}>Edit location</button>
-              <button onClick={promptTrackerName} style={chipBtn}>Edit name</button>
-            </div>
-          )}
+      {/* Top chips bar (centered). Each chip opens a small menu for the active device. */}
+      {selectedId && (
+        <div style={{
+          position:"absolute", top:16, left:"50%", transform:"translateX(-50%)",
+          zIndex: 1000, display:"flex", gap:12, alignItems:"center"
+        }}>
+          {/* Tracker chip */}
+          <div ref={trackerRef} style={chipStyle}>
+            <button
+              type="button"
+              onClick={() => { setShowTrackerMenu(v => !v); setShowFenceMenu(false); }}
+              style={chipToggle}
+              aria-haspopup="menu"
+              aria-expanded={showTrackerMenu}
+              title={t("map.trackerActions")}
+            >
+              {trackerName}
+              <span style={caret} aria-hidden>▾</span>
+            </button>
+            {showTrackerMenu && (
+              <div role="menu" style={chipMenu}>
+                {can("tracker.move") && <button onClick={startEditTracker} style={chipBtn}>{t("map.editLocation")}</button>}
+                {can("labels.edit") && <button onClick={promptTrackerName} style={chipBtn}>{t("map.editName")}</button>}
+                <button onClick={() => openPanel("history")} style={chipBtn}>{t("map.locationHistory")}</button>
+                <button onClick={() => openPanel("report")} style={chipBtn}>{t("map.tripReport")}</button>
+                {can("devices.share") && <button onClick={() => openPanel("share")} style={chipBtn}>{t("map.share")}</button>}
+              </div>
+            )}
+          </div>
+
+          {/* Geofence chip */}
+          <div ref={fenceRef} style={chipStyle}>
+            <button
+              type="button"
+              onClick={() => { setShowFenceMenu(v => !v); setShowTrackerMenu(false); }}
+              style={chipToggle}
+              aria-haspopup="menu"
+              aria-expanded={showFenceMenu}
+              title={t("map.fenceActions")}
+            >
+              {fenceName}
+              <span style={caret} aria-hidden>▾</span>
+            </button>
+            {showFenceMenu && (
+              <div role="menu" style={chipMenu}>
+                {can("geofence.edit") && <button onClick={startEditGeofence} style={chipBtn}>{t("map.editLocation")}</button>}
+                {can("labels.edit") && <button onClick={promptFenceName} style={chipBtn}>{t("map.editName")}</button>}
+                <button onClick={() => openPanel("zones")} style={chipBtn}>{t("map.zones")}</button>
+                {can("geofence.edit") && <button onClick={() => openPanel("import")} style={chipBtn}>{t("map.importFile")}</button>}
+              </div>
+            )}
+          </div>
         </div>
+      )}
 
-        {/* Geofence chip */}
-        <div ref={fenceRef} style={chipStyle}>
-          <button
-            type="button"
-            onClick={() => { setShowFenceMenu(v => !v); setShowTrackerMenu(false); }}
-            style={chipToggle}
-            aria-haspopup="menu"
-            aria-expanded={showFenceMenu}
-            title="Geofence actions"
-          >
-            {fenceName}
-            <span style={caret} aria-hidden>▾</span>
-          </button>
-          {showFenceMenu && (
-            <div role="menu" style={chipMenu}>
-              <button onClick={() => { setMode("editGeofence"); }} style={chipBtn}>Edit location</button>
-              <button onClick={promptFenceName} style={chipBtn}>Edit name</button>
-            </div>
-          )}
-        </div>
-      </div>
+      {/* Place search (top-left): flies the map to an address */}
+      <PlaceSearch onPick={pickPlace} onClear={() => setPlace(null)} />
+
+      {/* Telemetry and state changes of the active device (left, collapsible) */}
+      {selectedId && (
+        <DeviceStatusPanel name={trackerName} status={status} timeline={timelineOf(selectedId)} />
+      )}
+
+      {/* Device list: pick the active device */}
+      <DeviceSidebar
+        devices={devices}
+        statuses={statuses}
+        transport={transport}
+        selectedId={selectedId}
+        onSelect={selectDevice}
+        labelOf={trackerLabel}
+      />
+
+      {/* Geofence enter/exit log (bottom-right) */}
+      <EventLog
+        events={geoEvents.events}
+        notify={geoEvents.notify}
+        onNotifyChange={geoEvents.setNotify}
+        onClear={geoEvents.clear}
+        onSelect={selectDevice}
+      />
 
       {/* Bottom-left controls so they don't overlap the map +/- controls */}
       <div style={{
         position:"absolute", left:16, bottom:16, zIndex: 1000,
         display:"flex", gap:8, alignItems:"center", flexWrap:"wrap"
       }}>
-        <button onClick={onLogout} style={{...btnPrimary, background:"#2966e0ff"}}>Logout</button>
+        <button onClick={onLogout} style={{...btnPrimary, background:"#2966e0ff"}}>{t("map.logout")}</button>
+        <button onClick={() => (panel === "settings" ? closePanel() : openPanel("settings"))} style={btnGhost}>
+          {t("map.settings")}
+        </button>
+        <button
+          onClick={() => (panel === "alerts" ? closePanel() : openPanel("alerts"))}
+          style={{...btnGhost, ...(openAlerts > 0 ? { background:"#b91c1c", color:"#fff" } : {})}}
+        >
+          {t("alerts.button", { count: openAlerts })}
+        </button>
+        <span style={roleBadge} title={t("roles.hint")}>{t(`roles.${role}`)}</span>
+        <PreferencesSwitcher showUnits />
+        <FreshnessBadge lastTs={status?.last_update_ts} online={online} />
       </div>
 
-      {/* Editing panel (appears when you are in an edit mode) */}
-      {mode && (
-        <div style={{
-          position:"absolute", left:16, bottom:80, zIndex: 1000,
-          background:"#ffffff", color:"#111", borderRadius:10, padding:12, minWidth:260,
-          boxShadow:"0 6px 24px rgba(0,0,0,.15)"
-        }}>
-          {mode === "editGeofence" ? (
-            <>
-              <div style={{fontWeight:700, marginBottom:6}}>Edit Geofence</div>
-              <div style={{fontSize:13, opacity:.8, marginBottom:8}}>
-                Click on the map to choose the center, then adjust the radius.
-              </div>
-              <input
-                type="range" min={50} max={1000} step={10}
-                value={newRadius}
-                onChange={(e)=>setNewRadius(parseInt(e.target.value))}
-                style={{width:"100%"}}
-              />
-              <div style={{fontSize:13, marginTop:6}}>Radius: <b>{newRadius} m</b></div>
-              <div style={{display:"flex", gap:8, marginTop:10}}>
-                <button onClick={saveGeofence} style={btnPrimary}>Save</button>
-                <button onClick={() => { setMode(null); setNewCenter(null); }} style={btnGhost}>Cancel</button>
-              </div>
-            </>
-          ) : (
-            <>
-              <div style={{fontWeight:700, marginBottom:6}}>Move Tracker</div>
-              <div style={{fontSize:13, opacity:.8, marginBottom:8}}>
-                Click on the map to place (or move) the tracker.
-              </div>
-              <div style={{display:"flex", gap:8, marginTop:10}}>
-                <button onClick={saveTracker} style={btnPrimary}>Save</button>
-                <button onClick={() => { setMode(null); setNewTracker(null); }} style={btnGhost}>Cancel</button>
-              </div>
-            </>
-          )}
+      {/* Follow / fit buttons (bottom-center) */}
+      <ViewControls
+        follow={follow}
+        onFollowChange={setFollow}
+        keepZoom={keepZoom}
+        onKeepZoomChange={setKeepZoom}
+        onFitActive={selectedId ? fitActive : null}
+        onFitAll={fitAll}
+      />
+
+      {/* Editing panels (appear when you are in an edit mode) */}
+      {mode === "editGeofence" && (
+        <GeofenceEditPanel
+          center={newCenter}
+          radius={newRadius}
+          trackerPosition={status?.last_lat != null ? [status.last_lat, status.last_lon] : null}
+          onCenterChange={setNewCenter}
+          onRadiusChange={setNewRadius}
+          onSave={saveGeofence}
+          onCancel={() => { setMode(null); setNewCenter(null); }}
+        />
+      )}
+      {mode === "editTracker" && (
+        <div style={floatingPanel}>
+          <div style={{fontWeight:700, marginBottom:6}}>{t("map.moveTracker")}</div>
+          <div style={{fontSize:13, opacity:.8, marginBottom:8}}>{t("map.moveTrackerHint")}</div>
+          <div style={{display:"flex", gap:8, marginTop:10}}>
+            <button onClick={saveTracker} style={btnPrimary}>{t("common.save")}</button>
+            <button onClick={() => { setMode(null); setNewTracker(null); }} style={btnGhost}>{t("common.cancel")}</button>
+          </div>
         </div>
       )}
 
+      {/* History panel (time range + playback controls) */}
+      {panel === "history" && (
+        <HistoryPanel
+          history={history}
+          playback={playback}
+          range={rangeOf(route.query)}
+          onLoad={loadHistory}
+          onExport={exportView}
+          onClose={closePanel}
+        />
+      )}
+
+      {/* Settings page (/settings): display, map and notification options, account */}
+      {panel === "settings" && (
+        <SettingsPanel
+          email={claimsOf(idToken)?.email}
+          role={role}
+          keepZoom={keepZoom}
+          onKeepZoomChange={setKeepZoom}
+          notify={geoEvents.notify}
+          onNotifyChange={geoEvents.setNotify}
+          onLogout={onLogout}
+          onClose={closePanel}
+        />
+      )}
+
+      {/* Trip report (distance, moving / idle time, stops, time per geofence) */}
+      {panel === "report" && (
+        <ReportPanel
+          deviceName={trackerName}
+          history={history}
+          report={report}
+          selectedStop={stopTs}
+          onStopClick={showStop}
+          onDownload={downloadReport}
+          onClose={closePanel}
+        />
+      )}
+
+      {/* Import panel (GeoJSON/KML file -> zones of a device) */}
+      {panel === "import" && (
+        <ImportPanel
+          importer={importer}
+          devices={devices}
+          labelOf={trackerLabel}
+          deviceId={selectedId}
+          onSave={saveImport}
+          onClose={closePanel}
+        />
+      )}
+
+      {/* Zones panel (list + polygon/circle zone editor) */}
+      {panel === "zones" && (
+        <ZonesPanel
+          zones={zones}
+          editor={zoneEditor}
+          onSave={saveZone}
+          onDelete={deleteZone}
+          readOnly={!can("geofence.edit")}
+          onClose={closePanel}
+        />
+      )}
+
+      {/* Share panel (public read-only links to the active device) */}
+      {panel === "share" && selectedId && (
+        <SharePanel
+          key={selectedId}
+          deviceName={trackerName}
+          hasFence={fence?.center_lat != null}
+          shares={shares.shares}
+          onCreate={shares.create}
+          onRevoke={shares.revoke}
+          onClose={closePanel}
+        />
+      )}
+
+      {/* Alerts panel (triggered alerts + rules editor) and the in-app alert bar */}
+      {panel === "alerts" && (
+        <AlertsPanel
+          alerts={alerts}
+          devices={devices}
+          labelOf={trackerLabel}
+          areasOf={areasOf}
+          selectedId={selectedId}
+          canManage={can("alerts.manage")}
+          canEditRules={can("alertRules.edit")}
+          onSelect={selectDevice}
+          onClose={closePanel}
+        />
+      )}
+      {panel !== "alerts" && (
+        <AlertBanner alerts={alerts.alerts} labelOf={trackerLabel} onShow={() => openPanel("alerts")} />
+      )}
+
       {/* The actual map */}
-      <MapContainer center={center} zoom={DEFAULT_ZOOM} style={{height:"100%", width:"100%"}}>
-        <TileLayer attribution="&copy; OpenStreetMap" url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png" />
+      {/* preferCanvas: geofences, zones, tracks and accuracy circles share one
+          canvas instead of an SVG element each */}
+      <MapContainer
+        center={linkedView?.center ?? center}
+        zoom={linkedView?.zoom ?? DEFAULT_ZOOM}
+        preferCanvas
+        style={{height:"100%", width:"100%"}}
+      >
+        {/* Tile providers + layer switcher (top-left, under the zoom buttons) */}
+        <BaseLayers />
+
+        {/* Keep map centered on latest device/fence center (not while browsing history or an import) */}
+        <FollowController
+          center={center}
+          follow={following}
+          keepZoom={keepZoom}
+          fit={fit}
+          onUserMove={() => setFollow(false)}
+        />
 
-        {/* Keep map centered on latest device/fence center */}
-        <RecenterOnChange center={center} zoom={DEFAULT_ZOOM} />
+        {/* Map view in the URL (?map=zoom/lat/lon) while not following */}
+        <MapUrlSync follow={following} />
 
         {/* Listen for clicks for edit modes */}
         <MapClickHandler
-          mode={mode}
+          mode={clickMode}
           onGeofencePick={(pt)=>setNewCenter(pt)}
           onTrackerPick={(pt)=>setNewTracker(pt)}
+          onZonePick={zoneEditor.pick}
         />
 
-        {/* Current geofence from server (or fallback) */}
+        {/* Geofences and zones of the other devices (click one to make it active) */}
+        <FleetFences devices={devices} fences={fences} selectedId={selectedId} onPick={pickOnMap} />
+
+        {/* Geofence of the active device from server (or fallback) */}
         <Circle
           center={[useFence.center_lat, useFence.center_lon]}
           radius={useFence.radius_m}
           pathOptions={{ color: fenceColor, fillOpacity: 0.15 }}
         />
 
-        {/* Preview of a new geofence while editing */}
+        {/* Extra zones of the active device (with the draft) */}
+        <ZoneLayer
+          zones={zones}
+          color={fenceColor}
+          draft={zoneEditor.draft}
+          onMoveVertex={zoneEditor.moveVertex}
+          onRemoveVertex={zoneEditor.removeVertex}
+        />
+
+        {/* Place found with the search box */}
+        <PlaceLayer place={place} />
+
+        {/* Preview of the geofence being edited, with its center and radius handles */}
         {newCenter && (
-          <Circle center={newCenter} radius={newRadius} pathOptions={{ color:"#22c55e", fillOpacity:.2 }} />
+          <GeofenceHandles
+            center={newCenter}
+            radius={newRadius}
+            onCenterChange={setNewCenter}
+            onRadiusChange={setNewRadius}
+          />
         )}
 
-        {/* Current tracker position from status */}
-        {status?.last_lat && (
-          <Marker position={[status.last_lat, status.last_lon]}>
-            <Popup>
-              <b>{trackerName}</b><br />
-              State: {status.device_state}<br />
-              {new Date((status.last_update_ts || 0) * 1000).toLocaleString()}
-            </Popup>
-          </Marker>
-        )}
+        {/* Current position of every tracker (click one to make it active), clustered
+            when zoomed out. Ring = state, arrow = heading, light circle = GPS accuracy;
+            old fixes fade. */}
+        <FleetLayer
+          devices={devices}
+          statuses={statuses}
+          selectedId={selectedId}
+          popupId={popupId}
+          onPick={pickOnMap}
+          onPopupChange={(id, open) => setPopupId(p => (open ? id : p === id ? null : p))}
+          renderPopup={trackerPopup}
+        />
+
+        {/* Shapes of the file being imported */}
+        {panel === "import" && <ImportLayer zones={importer.selected} fileName={importer.fileName} />}
+
+        {/* Past track of the active device with the playback cursor, or the stops of the trip report */}
+        {showsTrack && <HistoryLayer points={history.points} position={panel === "history" ? playback.position : null} />}
+        {report && <StopLayer stops={report.total.stops} selected={stopTs} onClick={showStop} />}
 
         {/* Preview of a new tracker position while editing */}
         {newTracker && (<Marker position={newTracker} />)}
       </MapContainer>
 
-      {/* Error bar (we only show errors to avoid noisy success toasts) */}
-      {error && (
+      {/* Error bar (we only show errors to avoid noisy success toasts).
+          Action errors stay until dismissed; update errors (liveError) clear
+          themselves once requests succeed again. */}
+      {(error || liveError) && (
         <div style={{
           position:"fixed", bottom:10, left:10, background:"#fee2e2", color:"#991b1b",
-          padding:"8px 10px", borderRadius:8, zIndex: 1000, maxWidth: "60vw"
+          padding:"8px 10px", borderRadius:8, zIndex: 1000, maxWidth: "60vw",
+          display:"flex", gap:8, alignItems:"flex-start"
         }}>
-          ⚠️ {error}
+          <span>⚠️ {error || liveError}</span>
+          {error && (
+            <button onClick={() => setError("")} style={{...btnClose, color:"#991b1b", fontSize:14}} aria-label={t("common.dismiss")}>✕</button>
+          )}
         </div>
       )}
     </div>
@@ -460,12 +981,6 @@ export default function MapView({ idToken, onLogout }) {
 }
 
 /* Simple inline styles (you could move these to CSS modules or Tailwind) */
-const btnPrimary = {
-  background:"#1e40af", color:"#fff", border:0,
-  padding:"8px 12px", borderRadius:8, cursor:"pointer", fontWeight:600
-};
-const btnGhost = { ...btnPrimary, background:"#e5e7eb", color:"#111" };
-
 const chipStyle = {
   position:"relative",
   background:"#0b1220", color:"#fff",
@@ -491,3 +1006,7 @@ const chipBtn = {
   ...btnPrimary,
   background:"#1f2937", borderRadius:8, fontWeight:500, padding:"6px 10px", width:"100%", textAlign:"left"
 };
+const roleBadge = {
+  background:"#0b1220", color:"#fff", borderRadius:999, padding:"4px 10px",
+  fontSize:12, fontWeight:600, textTransform:"capitalize"
+};
@@ -0,0 +1,29 @@
+// src/components/PlaceLayer.jsx
+import { useEffect } from "react";
+import { Marker, Popup, useMap } from "react-leaflet";
+import { DEFAULT_ZOOM } from "../config";
+
+/**
+ * PlaceLayer:
+ * The place picked in the search box, inside the MapContainer.
+ * - place: { label, lat, lon, bounds? } or null
+ *
+ * The map flies there once per place: to its extent when the geocoder
+ * gives one (a city, a street...), otherwise to the default zoom.
+ */
+export default function PlaceLayer({ place }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!place) return;
+    if (place.bounds) map.flyToBounds(place.bounds, { maxZoom: DEFAULT_ZOOM, padding: [40, 40] });
+    else map.flyTo([place.lat, place.lon], DEFAULT_ZOOM);
+  }, [place, map]);
+
+  if (!place) return null;
+  return (
+    <Marker position={[place.lat, place.lon]}>
+      <Popup>{place.label}</Popup>
+    </Marker>
+  );
+}
@@ -0,0 +1,84 @@
+// src/components/PlaceSearch.jsx
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import usePlaceSearch from "../hooks/usePlaceSearch";
+import { geocoder } from "../geocoding/geocoders";
+import { btnPrimary, btnClose } from "../styles";
+
+/**
+ * PlaceSearch:
+ * Address / place search box (top-left, next to the zoom buttons).
+ * - onPick(place): a result was chosen ({ label, lat, lon, bounds? })
+ * - onClear(): the box was emptied with ✕
+ *
+ * Queries only on submit (Enter or the button): public geocoders don't
+ * allow search-as-you-type. Hidden when geocoding is off.
+ */
+export default function PlaceSearch({ onPick, onClear }) {
+  const { t } = useI18n();
+  const { results, loading, error, search, clear } = usePlaceSearch();
+  const [query, setQuery] = useState("");
+
+  if (!geocoder) return null;
+
+  function pick(place) {
+    setQuery(place.label);
+    clear();
+    onPick(place);
+  }
+
+  function reset() {
+    setQuery("");
+    clear();
+    onClear();
+  }
+
+  return (
+    <div style={box}>
+      <form
+        role="search"
+        onSubmit={(e) => { e.preventDefault(); search(query); }}
+        style={{display:"flex", gap:6, alignItems:"center"}}
+      >
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Escape") clear(); }}
+          placeholder={t("search.placeholder")}
+          aria-label={t("search.placeholder")}
+          style={{flex:1, minWidth:0, padding:"6px 8px", borderRadius:6, border:"1px solid #d1d5db"}}
+        />
+        {query && (
+          <button type="button" onClick={reset} style={btnClose} aria-label={t("search.clear")}>✕</button>
+        )}
+        <button type="submit" disabled={loading || !query.trim()} style={{...btnSmall, opacity: loading || !query.trim() ? .6 : 1}}>
+          {loading ? t("search.searching") : t("search.go")}
+        </button>
+      </form>
+
+      {error && <div style={{color:"#b91c1c", fontSize:13, marginTop:6}}>{error}</div>}
+      {results.length > 0 && (
+        <ul role="listbox" aria-label={t("search.results")} style={list}>
+          {results.map((p, i) => (
+            <li key={`${p.lat},${p.lon},${i}`}>
+              <button type="button" onClick={() => pick(p)} style={item} title={p.label}>{p.label}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const box = {
+  position:"absolute", top:12, left:60, zIndex: 1000, width:300,
+  background:"#ffffff", color:"#111", borderRadius:10, padding:8,
+  boxShadow:"0 6px 24px rgba(0,0,0,.15)", fontSize:14
+};
+const btnSmall = { ...btnPrimary, padding:"6px 10px", fontSize:13 };
+const list = { listStyle:"none", margin:"8px 0 0", padding:0, maxHeight:260, overflowY:"auto" };
+const item = {
+  display:"block", width:"100%", textAlign:"left", background:"transparent", border:0,
+  padding:"6px 4px", cursor:"pointer", fontSize:13, borderTop:"1px solid #f1f5f9"
+};
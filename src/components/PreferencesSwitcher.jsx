@@ -0,0 +1,36 @@
+// src/components/PreferencesSwitcher.jsx
+import useI18n from "../hooks/useI18n";
+import { LOCALES, UNITS } from "../i18n";
+
+/**
+ * PreferencesSwitcher:
+ * Language (and optionally units) selects.
+ * - showUnits: also offer metric / imperial distances
+ * - style: extra style for the wrapper (e.g. colors on the sign-in card)
+ *
+ * Changes apply at once; once signed in they are saved to the profile
+ * (see hooks/useProfilePreferences.js).
+ */
+export default function PreferencesSwitcher({ showUnits = false, style }) {
+  const { t, locale, units, setLocale, setUnits } = useI18n();
+
+  return (
+    <div style={{ ...wrap, ...style }}>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t("prefs.language")} style={select}>
+        {Object.entries(LOCALES).map(([code, l]) => <option key={code} value={code}>{l.label}</option>)}
+      </select>
+      {showUnits && (
+        <select value={units} onChange={(e) => setUnits(e.target.value)} aria-label={t("prefs.units")} style={select}>
+          {UNITS.map(u => <option key={u} value={u}>{t(`prefs.${u}`)}</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
+
+const wrap = {
+  display:"flex", gap:6, alignItems:"center",
+  background:"#fff", borderRadius:9999, padding:"4px 8px",
+  boxShadow:"0 4px 18px rgba(0,0,0,.2)",
+};
+const select = { border:0, background:"transparent", fontSize:13, cursor:"pointer" };
@@ -0,0 +1,197 @@
+// src/components/ReportPanel.jsx
+import { useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { REPORT_MAX_DAYS, dayStart, localDate, nextDay } from "../lib/analytics";
+import AddressLine from "./AddressLine";
+import { btnPrimary, btnGhost, floatingPanel, btnClose } from "../styles";
+
+/**
+ * <input type="date"> works with local "YYYY-MM-DD" strings (localDate),
+ * the report with epoch seconds of local midnights.
+ */
+function fromDateInput(str) {
+  const [y, m, d] = str.split("-").map(Number);
+  return Math.floor(new Date(y, m - 1, d).getTime() / 1000);
+}
+
+/**
+ * ReportPanel:
+ * Trip and dwell report of the active device for one or more days:
+ * distance, moving / idle time, stops and time spent in each geofence.
+ * - deviceName: UI label of the device
+ * - history: result of useHistory (the report loads its track)
+ * - report: buildReport of the loaded track (lib/analytics.js), or null
+ * - selectedStop: start time of the stop shown on the map, or null
+ * - onStopClick(stop): a stop was clicked (the map goes there)
+ * - onDownload(): save the report as CSV
+ * - onClose
+ */
+export default function ReportPanel({ deviceName, history, report, selectedStop, onStopClick, onDownload, onClose }) {
+  const { t, formatDateTime, formatTime, formatDistance, formatDuration } = useI18n();
+  const today = dayStart(Math.floor(Date.now() / 1000));
+  const [from, setFrom] = useState(() => localDate(today));
+  const [to, setTo]     = useState(() => localDate(today));
+  const [day, setDay]   = useState(null); // one day of the report, or null for the whole range
+
+  const { loading, error } = history;
+  const first = from ? fromDateInput(from) : NaN;
+  const last  = to ? fromDateInput(to) : NaN;
+  const span  = Math.round((last - first) / 86400) + 1;
+  const problem = !Number.isFinite(first) || !Number.isFinite(last) || first > last ? t("report.badRange")
+    : span > REPORT_MAX_DAYS ? t("report.tooLong", { days: REPORT_MAX_DAYS })
+    : "";
+
+  function preset(daysBack, length = 1) {
+    const start = dayStart(today - daysBack * 86400 + 43200);
+    setFrom(localDate(start));
+    setTo(localDate(dayStart(start + (length - 1) * 86400 + 43200)));
+  }
+
+  function load() {
+    if (problem) return;
+    setDay(null);
+    history.load(first, Math.min(nextDay(last), Math.floor(Date.now() / 1000)));
+  }
+
+  const shown = (day !== null && report?.days.find(d => d.day === day)) || report?.total;
+  const dayLabel = (ts) => formatDateTime(ts, { weekday: "short", day: "numeric", month: "short" });
+
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", marginBottom:8}}>
+        <div style={{fontWeight:700, flex:1}}>{t("report.title", { name: deviceName })}</div>
+        <button onClick={onClose} style={btnClose} aria-label={t("report.close")}>✕</button>
+      </div>
+
+      <div style={{display:"flex", gap:6, flexWrap:"wrap", marginBottom:6}}>
+        <button onClick={() => preset(0)} style={smallBtn}>{t("report.today")}</button>
+        <button onClick={() => preset(1)} style={smallBtn}>{t("report.yesterday")}</button>
+        <button onClick={() => preset(REPORT_MAX_DAYS - 1, REPORT_MAX_DAYS)} style={smallBtn}>
+          {t("report.lastDays", { days: REPORT_MAX_DAYS })}
+        </button>
+      </div>
+      <label style={field}>{t("report.from")} <input type="date" value={from} onChange={(e)=>setFrom(e.target.value)} /></label>
+      <label style={field}>{t("report.to")} <input type="date" value={to} onChange={(e)=>setTo(e.target.value)} /></label>
+      {problem && <div style={{color:"#b91c1c", fontSize:13, marginTop:6}}>{problem}</div>}
+      <button onClick={load} disabled={loading || !!problem} style={{...btnPrimary, width:"100%", marginTop:6}}>
+        {loading ? t("common.loading") : t("report.build")}
+      </button>
+
+      {error && <div style={{color:"#b91c1c", fontSize:13, marginTop:8}}>{error}</div>}
+      {history.range && !loading && !error && !report && (
+        <div style={{fontSize:13, opacity:.8, marginTop:8}}>{t("report.empty")}</div>
+      )}
+
+      {report && shown && (
+        <>
+          {report.days.length > 1 && (
+            <>
+              <div style={section}>{t("report.byDay")}</div>
+              <table style={table}>
+                <thead>
+                  <tr>
+                    <th style={th}>{t("report.day")}</th>
+                    <th style={thNum}>{t("report.distance")}</th>
+                    <th style={thNum}>{t("report.moving")}</th>
+                    <th style={thNum}>{t("report.idle")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.days.map(d => (
+                    <tr
+                      key={d.day}
+                      onClick={() => setDay(day === d.day ? null : d.day)}
+                      style={{cursor:"pointer", background: day === d.day ? "#eff6ff" : undefined}}
+                      title={t("report.dayHint")}
+                    >
+                      <td style={td}>{dayLabel(d.day)}</td>
+                      <td style={tdNum}>{formatDistance(d.distance_m)}</td>
+                      <td style={tdNum}>{formatDuration(d.moving_s)}</td>
+                      <td style={tdNum}>{formatDuration(d.idle_s)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div style={section}>
+            {shown.day === null ? t("report.summary") : dayLabel(shown.day)}
+          </div>
+          <div style={row}><span>{t("report.distance")}</span><b>{formatDistance(shown.distance_m)}</b></div>
+          <div style={row}><span>{t("report.moving")}</span><b>{formatDuration(shown.moving_s)}</b></div>
+          <div style={row}><span>{t("report.idle")}</span><b>{formatDuration(shown.idle_s)}</b></div>
+          {shown.no_data_s > 0 && (
+            <div style={row} title={t("report.noDataHint")}><span>{t("report.noData")}</span><b>{formatDuration(shown.no_data_s)}</b></div>
+          )}
+
+          <div style={section}>{t("report.stops", { count: shown.stops.length })}</div>
+          {shown.stops.length === 0 && <div style={{fontSize:13, opacity:.8}}>{t("report.noStop")}</div>}
+          {shown.stops.map(s => (
+            <button
+              key={s.start}
+              onClick={() => onStopClick(s)}
+              style={{...stopBtn, background: s.start === selectedStop ? "#eff6ff" : "transparent"}}
+              title={t("report.stopHint")}
+            >
+              <span style={{display:"flex", gap:6}}>
+                <b>{report.total.stops.indexOf(s) + 1}.</b>
+                <span style={{flex:1}}>
+                  {shown.day === null && report.days.length > 1 ? formatDateTime(s.start, { dateStyle: "short", timeStyle: "short" }) : formatTime(s.start)}
+                  {" – "}
+                  {formatTime(s.end)}
+                </span>
+                <span>{formatDuration(s.duration_s)}</span>
+              </span>
+              <span style={{display:"block", fontSize:11, opacity:.7}}>
+                {s.start === selectedStop ? <AddressLine lat={s.lat} lon={s.lon} /> : null}
+                {s.lat.toFixed(5)}, {s.lon.toFixed(5)}
+              </span>
+            </button>
+          ))}
+
+          {shown.zones.length > 0 && (
+            <>
+              <div style={section}>{t("report.zones")}</div>
+              <table style={table}>
+                <thead>
+                  <tr>
+                    <th style={th}>{t("report.zone")}</th>
+                    <th style={thNum}>{t("report.inside")}</th>
+                    <th style={thNum}>{t("report.outside")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.zones.map(z => (
+                    <tr key={z.id}>
+                      <td style={td}>{z.name}</td>
+                      <td style={tdNum}>{formatDuration(z.inside_s)}</td>
+                      <td style={tdNum}>{formatDuration(z.outside_s)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <button onClick={onDownload} style={{...smallBtn, marginTop:10}}>{t("report.downloadCsv")}</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:340, maxHeight:"65vh", overflowY:"auto", fontSize:14 };
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:4 };
+const section = { fontWeight:700, fontSize:13, marginTop:12, marginBottom:4 };
+const row = { display:"flex", justifyContent:"space-between", fontSize:13, padding:"2px 0" };
+const smallBtn = { ...btnGhost, padding:"4px 8px", fontWeight:500, fontSize:12 };
+const table = { width:"100%", borderCollapse:"collapse", fontSize:12 };
+const th = { textAlign:"left", fontWeight:600, borderBottom:"1px solid #e5e7eb", padding:"2px 4px" };
+const thNum = { ...th, textAlign:"right" };
+const td = { padding:"2px 4px", borderBottom:"1px solid #f3f4f6" };
+const tdNum = { ...td, textAlign:"right", whiteSpace:"nowrap" };
+const stopBtn = {
+  display:"block", width:"100%", textAlign:"left", border:0, borderTop:"1px solid #f3f4f6",
+  padding:"4px 2px", cursor:"pointer", fontSize:13, color:"inherit"
+};
@@ -0,0 +1,50 @@
+// src/components/SettingsPanel.jsx
+import useI18n from "../hooks/useI18n";
+import PreferencesSwitcher from "./PreferencesSwitcher";
+import { btnPrimary, floatingPanel, btnClose } from "../styles";
+
+/**
+ * SettingsPanel:
+ * The /settings page, as a panel over the map: display preferences,
+ * map and notification options, and the signed-in account.
+ * - email, role: from the id token (see auth/roles.js)
+ * - keepZoom / onKeepZoomChange(bool): follow mode keeps the user's zoom
+ * - notify / onNotifyChange(bool): desktop notifications of geofence events
+ * - onLogout, onClose
+ */
+export default function SettingsPanel({ email, role, keepZoom, onKeepZoomChange, notify, onNotifyChange, onLogout, onClose }) {
+  const { t } = useI18n();
+
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", marginBottom:8}}>
+        <div style={{fontWeight:700, flex:1}}>{t("settings.title")}</div>
+        <button onClick={onClose} style={btnClose} aria-label={t("settings.close")}>✕</button>
+      </div>
+
+      <div style={section}>{t("settings.display")}</div>
+      <PreferencesSwitcher showUnits />
+      <div style={{fontSize:12, opacity:.7, marginTop:4}}>{t("settings.displayHint")}</div>
+
+      <div style={section}>{t("settings.map")}</div>
+      <label style={check}>
+        <input type="checkbox" checked={keepZoom} onChange={(e) => onKeepZoomChange(e.target.checked)} />
+        {t("view.keepZoom")}
+      </label>
+      <label style={check}>
+        <input type="checkbox" checked={notify} onChange={(e) => onNotifyChange(e.target.checked)} />
+        {t("settings.notify")}
+      </label>
+
+      <div style={section}>{t("settings.account")}</div>
+      <div style={row}><span style={{opacity:.7}}>{t("settings.email")}</span><span>{email || "—"}</span></div>
+      <div style={row}><span style={{opacity:.7}}>{t("settings.role")}</span><span>{t(`roles.${role}`)}</span></div>
+      <button onClick={onLogout} style={{...btnPrimary, marginTop:10}}>{t("map.logout")}</button>
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:300, fontSize:14 };
+const section = { fontWeight:700, fontSize:13, marginTop:12, marginBottom:4 };
+const check = { display:"flex", alignItems:"center", gap:6, fontSize:13, marginTop:4 };
+const row = { display:"flex", justifyContent:"space-between", gap:8, fontSize:13, padding:"2px 0" };
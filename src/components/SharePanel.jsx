@@ -0,0 +1,100 @@
+// src/components/SharePanel.jsx
+import { useEffect, useState } from "react";
+import useI18n from "../hooks/useI18n";
+import { SHARE_DURATIONS, shareUrl } from "../lib/share";
+import { btnPrimary, btnGhost, floatingPanel, btnClose } from "../styles";
+
+/**
+ * SharePanel:
+ * Creates read-only links to the live position of the active device and
+ * lists the ones still valid, each with copy and revoke buttons.
+ * - deviceName: UI label of the device
+ * - hasFence: the device has a geofence that can be shown with it
+ * - shares: from useShares (links still valid)
+ * - onCreate({ expiresIn, includeFence }): resolves the new share or null
+ * - onRevoke(token)
+ * - onClose
+ */
+export default function SharePanel({ deviceName, hasFence, shares, onCreate, onRevoke, onClose }) {
+  const { t, formatDateTime } = useI18n();
+  const [duration, setDuration] = useState(SHARE_DURATIONS[2].seconds);
+  const [includeFence, setIncludeFence] = useState(hasFence);
+  const [creating, setCreating] = useState(false);
+  const [fresh, setFresh] = useState(null);   // token of the link just created
+  const [copied, setCopied] = useState(null); // { token, ok } shown for a moment
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  async function create() {
+    setCreating(true);
+    const share = await onCreate({ expiresIn: duration, includeFence: hasFence && includeFence });
+    setCreating(false);
+    if (share) setFresh(share.token);
+  }
+
+  async function copy(token) {
+    try {
+      await navigator.clipboard.writeText(shareUrl(token));
+      setCopied({ token, ok: true });
+    } catch {
+      setCopied({ token, ok: false });
+    }
+  }
+
+  function revoke(token) {
+    if (window.confirm(t("share.confirmRevoke"))) onRevoke(token);
+  }
+
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", marginBottom:6}}>
+        <div style={{fontWeight:700, flex:1}}>{t("share.title", { name: deviceName })}</div>
+        <button onClick={onClose} style={btnClose} aria-label={t("share.close")}>✕</button>
+      </div>
+      <div style={{fontSize:13, opacity:.8, marginBottom:8}}>{t("share.hint")}</div>
+
+      <label style={field}>
+        {t("share.expiresIn")}
+        <select value={duration} onChange={(e) => setDuration(Number(e.target.value))}>
+          {SHARE_DURATIONS.map(d => <option key={d.key} value={d.seconds}>{t(`share.durations.${d.key}`)}</option>)}
+        </select>
+      </label>
+      <label style={{...field, justifyContent:"flex-start", opacity: hasFence ? 1 : .5}}>
+        <input type="checkbox" checked={hasFence && includeFence} disabled={!hasFence} onChange={(e) => setIncludeFence(e.target.checked)} />
+        {t("share.includeFence")}
+      </label>
+      <div style={{display:"flex", gap:8, marginTop:10}}>
+        <button onClick={create} disabled={creating} style={btnPrimary}>
+          {creating ? t("share.creating") : t("share.create")}
+        </button>
+      </div>
+
+      <div style={{fontWeight:700, fontSize:13, marginTop:12}}>{t("share.active")}</div>
+      {shares.length === 0 && <div style={{fontSize:13, opacity:.8, marginTop:4}}>{t("share.none")}</div>}
+      {shares.map(s => (
+        <div key={s.token} style={{...row, background: s.token === fresh ? "#eff6ff" : undefined}}>
+          <input readOnly value={shareUrl(s.token)} onFocus={(e) => e.target.select()} style={{width:"100%", fontSize:12}} />
+          <div style={{display:"flex", alignItems:"center", gap:6, marginTop:4}}>
+            <span style={{fontSize:12, opacity:.7, flex:1}}>
+              {t("share.until", { time: formatDateTime(s.expires_ts) })}
+              {s.include_fence && ` · ${t("share.withFence")}`}
+            </span>
+            <button onClick={() => copy(s.token)} style={smallBtn}>
+              {copied?.token === s.token ? (copied.ok ? t("share.copied") : t("share.copyFailed")) : t("share.copy")}
+            </button>
+            <button onClick={() => revoke(s.token)} style={smallBtn}>{t("share.revoke")}</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:340, maxHeight:"60vh", overflowY:"auto", fontSize:14 };
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:6 };
+const row = { borderTop:"1px solid #e5e7eb", padding:"6px 4px", marginTop:4, borderRadius:4 };
+const smallBtn = { ...btnGhost, padding:"4px 8px", fontWeight:500, fontSize:12 };
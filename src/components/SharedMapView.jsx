@@ -0,0 +1,140 @@
+// src/components/SharedMapView.jsx
+import { useState } from "react";
+import { MapContainer, Circle, Popup } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { DEFAULT_ZOOM, FALLBACK_FENCE } from "../config";
+import useSharedDevice from "../hooks/useSharedDevice";
+import useFollowMode from "../hooks/useFollowMode";
+import useOnline from "../hooks/useOnline";
+import useI18n from "../hooks/useI18n";
+import { fenceAreas } from "../lib/geo";
+import { zonesOf } from "../lib/zones";
+import BaseLayers from "./BaseLayers";
+import FollowController from "./FollowController";
+import ViewControls from "./ViewControls";
+import TrackerMarker from "./TrackerMarker";
+import ZoneLayer from "./ZoneLayer";
+import FreshnessBadge from "./FreshnessBadge";
+import PreferencesSwitcher from "./PreferencesSwitcher";
+
+/**
+ * SharedMapView:
+ * Public page of a share link (<app>/share/<token>, see lib/share.js).
+ * Shows the live position of one device, and its geofence when the share
+ * includes it, on the same map as MapView but with no sign-in and no edit
+ * controls: only the follow / fit buttons and the language switcher.
+ * - token: share token from the URL
+ */
+export default function SharedMapView({ token }) {
+  const { t, formatDateTime, stateLabel } = useI18n();
+  const { view, gone, error } = useSharedDevice(token);
+  const { follow, setFollow, keepZoom, setKeepZoom } = useFollowMode();
+  const [fit, setFit] = useState(null);
+  const online = useOnline();
+
+  if (gone) {
+    return (
+      <div style={page}>
+        <div style={card}>
+          <div style={{display:"flex", alignItems:"flex-start", gap:8}}>
+            <h3 style={{marginTop:0, flex:1}}>{t("share.goneTitle")}</h3>
+            <PreferencesSwitcher />
+          </div>
+          <p style={{marginBottom:0}}>{t("share.goneText")}</p>
+        </div>
+      </div>
+    );
+  }
+  if (!view) {
+    return <div style={page}>{error || t("common.loading")}</div>;
+  }
+
+  const s = view.status;
+  const fence = view.geofence;
+  const hasPos = s.last_lat != null;
+  const hasFence = fence?.center_lat != null;
+  const areas = fence ? fenceAreas(fence, t("map.fenceOf", { name: view.name }), zonesOf(fence)) : [];
+  const center = hasPos ? [s.last_lat, s.last_lon]
+    : hasFence ? [fence.center_lat, fence.center_lon]
+    : [FALLBACK_FENCE.center_lat, FALLBACK_FENCE.center_lon];
+
+  function fitDevice() {
+    setFollow(false);
+    setFit({ points: hasPos ? [[s.last_lat, s.last_lon]] : [], areas });
+  }
+
+  return (
+    <div style={{height:"100vh", width:"100vw", position:"relative"}}>
+      {/* Device name and link expiry (top-center) */}
+      <div style={header}>
+        <div style={{fontWeight:700}}>{view.name}</div>
+        <div style={{fontSize:12, opacity:.8}}>
+          {hasPos ? stateLabel(s.device_state) : t("share.noPosition")}
+          {" · "}
+          {t("share.until", { time: formatDateTime(view.expires_ts) })}
+        </div>
+      </div>
+
+      {/* Language switcher and freshness (bottom-left) */}
+      <div style={{
+        position:"absolute", left:16, bottom:16, zIndex: 1000,
+        display:"flex", gap:8, alignItems:"center", flexWrap:"wrap"
+      }}>
+        <PreferencesSwitcher showUnits />
+        <FreshnessBadge lastTs={s.last_update_ts} online={online} />
+        {error && <span style={errorPill}>{error}</span>}
+      </div>
+
+      <ViewControls
+        follow={follow}
+        onFollowChange={setFollow}
+        keepZoom={keepZoom}
+        onKeepZoomChange={setKeepZoom}
+        onFitActive={fitDevice}
+        onFitAll={null}
+      />
+
+      <MapContainer center={center} zoom={DEFAULT_ZOOM} style={{height:"100%", width:"100%"}}>
+        <BaseLayers />
+        <FollowController
+          center={center}
+          follow={follow}
+          keepZoom={keepZoom}
+          fit={fit}
+          onUserMove={() => setFollow(false)}
+        />
+
+        {hasFence && (
+          <Circle
+            center={[fence.center_lat, fence.center_lon]}
+            radius={fence.radius_m}
+            pathOptions={{ color: "#2563eb", fillOpacity: 0.15 }}
+          />
+        )}
+        {fence && <ZoneLayer zones={zonesOf(fence)} color="#2563eb" />}
+
+        {hasPos && (
+          <TrackerMarker status={s} selected>
+            <Popup>
+              <b>{view.name}</b><br />
+              {t("common.state", { state: stateLabel(s.device_state) })}<br />
+              {formatDateTime(s.last_update_ts || 0)}
+            </Popup>
+          </TrackerMarker>
+        )}
+      </MapContainer>
+    </div>
+  );
+}
+
+const page = {
+  display:"grid", placeItems:"center", minHeight:"100vh",
+  background:"#0a1320ff", color:"#fff", padding:16
+};
+const card = { width:360, maxWidth:"90vw", background:"#3360a3ff", padding:24, borderRadius:12 };
+const header = {
+  position:"absolute", top:16, left:"50%", transform:"translateX(-50%)", zIndex: 1000,
+  background:"#0b1220", color:"#fff", borderRadius:999, padding:"8px 16px",
+  boxShadow:"0 4px 18px rgba(0,0,0,.25)", textAlign:"center"
+};
+const errorPill = { background:"#7f1d1d", color:"#fee2e2", borderRadius:999, padding:"4px 10px", fontSize:12 };
@@ -0,0 +1,32 @@
+// src/components/StopLayer.jsx
+import { CircleMarker, Tooltip } from "react-leaflet";
+import useI18n from "../hooks/useI18n";
+
+/**
+ * StopLayer:
+ * Stops of the trip report inside the MapContainer (lib/analytics.js).
+ * - stops: [{ start, end, duration_s, lat, lon }]
+ * - selected: start time of the stop picked in the report panel, or null
+ * - onClick(stop)
+ */
+export default function StopLayer({ stops, selected, onClick }) {
+  const { t, formatDateTime, formatTime, formatDuration } = useI18n();
+
+  return stops.map((s, i) => {
+    const on = s.start === selected;
+    return (
+      <CircleMarker
+        key={s.start}
+        center={[s.lat, s.lon]}
+        radius={on ? 11 : 8}
+        pathOptions={{ color: "#c2410c", fillColor: on ? "#f97316" : "#fdba74", fillOpacity: .9, weight: on ? 3 : 2 }}
+        eventHandlers={{ click: () => onClick(s) }}
+      >
+        <Tooltip direction="top" offset={[0, -8]}>
+          <b>{t("report.stopN", { n: i + 1 })}</b> {formatDuration(s.duration_s)}<br />
+          {formatDateTime(s.start, { dateStyle: "short", timeStyle: "short" })} – {formatTime(s.end)}
+        </Tooltip>
+      </CircleMarker>
+    );
+  });
+}
@@ -0,0 +1,45 @@
+// src/components/TrackerMarker.jsx
+import { Circle, Marker } from "react-leaflet";
+import { fixOpacity, stateColor, trackerIcon } from "../lib/markers";
+
+/**
+ * TrackerMarker:
+ * Current position of one device inside the MapContainer.
+ * - status: validated device status (position, state, course, accuracy)
+ * - selected: the active device is drawn larger
+ * - onClick: called when the marker is clicked
+ * - onPopupChange(open): the popup was opened or closed
+ * - children: popup content
+ *
+ * The badge ring shows the state, the arrow the heading (when known) and
+ * the light circle the GPS accuracy. Old fixes fade out (lib/markers.js).
+ */
+export default function TrackerMarker({ status: s, selected, onClick, onPopupChange, children }) {
+  const position = [s.last_lat, s.last_lon];
+  const opacity = fixOpacity(s.last_update_ts);
+
+  return (
+    <>
+      {s.accuracy_m > 0 && (
+        <Circle
+          center={position}
+          radius={s.accuracy_m}
+          pathOptions={{ color: stateColor(s.device_state), weight: 1, opacity: opacity * .6, fillOpacity: opacity * .12 }}
+          interactive={false}
+        />
+      )}
+      <Marker
+        position={position}
+        icon={trackerIcon({ state: s.device_state, course: s.course_deg, opacity, selected })}
+        zIndexOffset={selected ? 1000 : 0}
+        eventHandlers={{
+          click: onClick,
+          popupopen: () => onPopupChange?.(true),
+          popupclose: () => onPopupChange?.(false),
+        }}
+      >
+        {children}
+      </Marker>
+    </>
+  );
+}
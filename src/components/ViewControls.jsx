@@ -0,0 +1,43 @@
+// src/components/ViewControls.jsx
+import useI18n from "../hooks/useI18n";
+
+/**
+ * ViewControls:
+ * Bottom-center bar to choose what the map shows.
+ * - follow / onFollowChange(bool): keep the active tracker centered
+ * - keepZoom / onKeepZoomChange(bool): while following, keep the user's zoom
+ * - onFitActive(): show the active tracker and its geofence (null hides the button)
+ * - onFitAll(): show every device (null hides the button)
+ */
+export default function ViewControls({ follow, onFollowChange, keepZoom, onKeepZoomChange, onFitActive, onFitAll }) {
+  const { t } = useI18n();
+  return (
+    <div style={bar}>
+      <button
+        type="button"
+        onClick={() => onFollowChange(!follow)}
+        aria-pressed={follow}
+        title={t("view.followHint")}
+        style={{...btn, background: follow ? "#1e40af" : "#fff", color: follow ? "#fff" : "#111"}}
+      >
+        {follow ? t("view.following") : t("view.follow")}
+      </button>
+      <label style={{display:"flex", alignItems:"center", gap:4, fontSize:12, padding:"0 4px"}} title={t("view.keepZoomHint")}>
+        <input type="checkbox" checked={keepZoom} onChange={(e) => onKeepZoomChange(e.target.checked)} />
+        {t("view.keepZoom")}
+      </label>
+      {onFitActive && <button type="button" onClick={onFitActive} style={btn}>{t("view.fitActive")}</button>}
+      {onFitAll && <button type="button" onClick={onFitAll} style={btn}>{t("view.fitAll")}</button>}
+    </div>
+  );
+}
+
+const bar = {
+  position:"absolute", bottom:16, left:"50%", transform:"translateX(-50%)", zIndex: 1000,
+  display:"flex", alignItems:"center", gap:6, padding:6,
+  background:"#ffffff", color:"#111", borderRadius:10, boxShadow:"0 6px 24px rgba(0,0,0,.15)"
+};
+const btn = {
+  background:"#fff", color:"#111", border:"1px solid #d1d5db", borderRadius:8,
+  padding:"6px 10px", cursor:"pointer", fontSize:13, fontWeight:600, whiteSpace:"nowrap"
+};
@@ -0,0 +1,80 @@
+// src/components/ZoneLayer.jsx
+import { Circle, Marker, Polygon, Polyline, Tooltip } from "react-leaflet";
+import L from "leaflet";
+
+/**
+ * Small square handle used for the polygon vertices while editing.
+ */
+const vertexIcon = L.divIcon({
+  className: "",
+  html: '<div style="width:12px;height:12px;background:#fff;border:2px solid #16a34a;border-radius:3px;box-sizing:border-box"></div>',
+  iconSize: [12, 12],
+  iconAnchor: [6, 6],
+});
+
+/**
+ * ZoneShape:
+ * One saved zone (polygon or circle) with its name on hover.
+ */
+function ZoneShape({ zone, color, onClick }) {
+  const pathOptions = { color, fillOpacity: 0.12, weight: 2 };
+  const eventHandlers = onClick ? { click: onClick } : undefined;
+  const label = <Tooltip sticky>{zone.name}</Tooltip>;
+
+  if (zone.type === "circle") {
+    return (
+      <Circle center={zone.center} radius={zone.radius_m} pathOptions={pathOptions} eventHandlers={eventHandlers}>
+        {label}
+      </Circle>
+    );
+  }
+  return (
+    <Polygon positions={zone.points} pathOptions={pathOptions} eventHandlers={eventHandlers}>
+      {label}
+    </Polygon>
+  );
+}
+
+/**
+ * ZoneLayer:
+ * Draws the extra zones of one device inside the MapContainer.
+ * - zones: saved zones (see lib/zones.js)
+ * - color: stroke color for the saved zones
+ * - onZoneClick: optional, called when a zone is clicked
+ * - draft / onMoveVertex / onRemoveVertex: the zone being edited, if any.
+ *   Its vertices get draggable handles; right-click a handle to remove it.
+ */
+export default function ZoneLayer({ zones, color, onZoneClick, draft, onMoveVertex, onRemoveVertex }) {
+  return (
+    <>
+      {zones.filter(z => z.id !== draft?.id).map(z => (
+        <ZoneShape key={z.id} zone={z} color={color} onClick={onZoneClick} />
+      ))}
+
+      {draft?.type === "circle" && draft.center && (
+        <Circle center={draft.center} radius={Number(draft.radius_m) || 0} pathOptions={{ color: "#22c55e", fillOpacity: .2 }} />
+      )}
+
+      {draft?.type === "polygon" && (
+        <>
+          {/* Until the polygon is closed (3 points), show the open line */}
+          {draft.points.length >= 3
+            ? <Polygon positions={draft.points} pathOptions={{ color: "#22c55e", fillOpacity: .2 }} />
+            : <Polyline positions={draft.points} pathOptions={{ color: "#22c55e", dashArray: "6 6" }} />}
+          {draft.points.map((p, i) => (
+            <Marker
+              key={i}
+              position={p}
+              icon={vertexIcon}
+              draggable
+              eventHandlers={{
+                drag: (e) => { const ll = e.target.getLatLng(); onMoveVertex(i, [ll.lat, ll.lng]); },
+                contextmenu: () => onRemoveVertex(i),
+              }}
+            />
+          ))}
+        </>
+      )}
+    </>
+  );
+}
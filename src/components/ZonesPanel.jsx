@@ -0,0 +1,113 @@
+// src/components/ZonesPanel.jsx
+import { useState } from "react";
+import { validateZone } from "../lib/zones";
+import useI18n from "../hooks/useI18n";
+import { btnPrimary, btnGhost, floatingPanel, btnClose } from "../styles";
+
+/**
+ * ZonesPanel:
+ * Lists the named zones of the active device and edits one at a time.
+ * - zones: saved zones of the device
+ * - editor: result of useZoneEditor (draft + edit actions)
+ * - onSave(zone): persist the draft (add or replace by id)
+ * - onDelete(zone): remove a saved zone
+ * - readOnly: list only (the user may not edit zones)
+ * - onClose: leave the zones panel
+ */
+export default function ZonesPanel({ zones, editor, onSave, onDelete, readOnly, onClose }) {
+  const { t, formatDistance } = useI18n();
+  const { draft } = editor;
+  const [problem, setProblem] = useState("");
+
+  function save() {
+    const msg = validateZone(draft);
+    setProblem(msg || "");
+    if (!msg) onSave({ ...draft, name: draft.name.trim() });
+  }
+
+  function cancel() {
+    setProblem("");
+    editor.cancel();
+  }
+
+  function remove(zone) {
+    if (window.confirm(t("zones.confirmDelete", { name: zone.name }))) onDelete(zone);
+  }
+
+  // Editing one zone
+  if (draft) {
+    return (
+      <div style={panel}>
+        <div style={{fontWeight:700, marginBottom:6}}>
+          {zones.some(z => z.id === draft.id) ? t("zones.editZone") : t("zones.newZone")}
+        </div>
+        <div style={{fontSize:13, opacity:.8, marginBottom:8}}>
+          {draft.type === "polygon" ? t("zones.polygonHint") : t("zones.circleHint")}
+        </div>
+        <label style={field}>
+          {t("zones.name")}
+          <input value={draft.name} onChange={(e)=>editor.update({ name: e.target.value })} />
+        </label>
+        {draft.type === "circle" && (
+          <label style={field}>
+            {t("zones.radiusM")}
+            <input
+              type="number" min={1} step={10}
+              value={draft.radius_m}
+              onChange={(e)=>editor.update({ radius_m: Number(e.target.value) })}
+            />
+          </label>
+        )}
+        {draft.type === "polygon" && (
+          <div style={{fontSize:13, marginTop:6}}>{t("zones.points")} <b>{draft.points.length}</b></div>
+        )}
+        {problem && <div style={{color:"#b91c1c", fontSize:13, marginTop:6}}>{problem}</div>}
+        <div style={{display:"flex", gap:8, marginTop:10}}>
+          <button onClick={save} style={btnPrimary}>{t("zones.saveZone")}</button>
+          <button onClick={cancel} style={btnGhost}>{t("common.cancel")}</button>
+        </div>
+      </div>
+    );
+  }
+
+  // List of zones
+  return (
+    <div style={panel}>
+      <div style={{display:"flex", alignItems:"center", marginBottom:8}}>
+        <div style={{fontWeight:700, flex:1}}>{t("zones.title")}</div>
+        <button onClick={onClose} style={btnClose} aria-label={t("zones.close")}>✕</button>
+      </div>
+      {zones.length === 0 && (
+        <div style={{fontSize:13, opacity:.8}}>{t("zones.empty")}</div>
+      )}
+      {zones.map(z => (
+        <div key={z.id} style={{display:"flex", alignItems:"center", gap:6, marginBottom:4}}>
+          <span style={{flex:1}}>
+            {z.name}{" "}
+            <span style={{opacity:.6, fontSize:12}}>
+              ({t(`zones.type.${z.type}`)}{z.type === "circle" && `, ${formatDistance(z.radius_m)}`})
+            </span>
+          </span>
+          {!readOnly && (
+            <>
+              <button onClick={() => editor.startEdit(z)} style={smallBtn}>{t("zones.edit")}</button>
+              <button onClick={() => remove(z)} style={smallBtn}>{t("zones.delete")}</button>
+            </>
+          )}
+        </div>
+      ))}
+      {!readOnly && <div style={{display:"flex", gap:8, marginTop:10}}>
+        <button onClick={() => editor.startNew("polygon", t("zones.defaultName", { n: zones.length + 1 }))} style={btnPrimary}>
+          {t("zones.newPolygon")}
+        </button>
+        <button onClick={() => editor.startNew("circle", t("zones.defaultName", { n: zones.length + 1 }))} style={btnGhost}>
+          {t("zones.newCircle")}
+        </button>
+      </div>}
+    </div>
+  );
+}
+
+const panel = { ...floatingPanel, width:300, fontSize:14 };
+const field = { display:"flex", justifyContent:"space-between", alignItems:"center", gap:8, fontSize:13, marginTop:6 };
+const smallBtn = { ...btnGhost, padding:"4px 8px", fontWeight:500, fontSize:12 };
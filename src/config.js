@@ -1,11 +1,63 @@
 // src/config.js
-export const API_BASE = import.meta.env.VITE_API_BASE;
+
+// Mock mode (`npm run dev:mock` or VITE_MOCK=1): the backend is simulated in
+// the browser (src/mock) and login skips the Hosted UI. No AWS needed.
+export const MOCK_MODE = import.meta.env.VITE_MOCK === "1" || import.meta.env.MODE === "mock";
+
+export const API_BASE = import.meta.env.VITE_API_BASE || (MOCK_MODE ? "/mock-api" : undefined);
 export const COGNITO_DOMAIN = import.meta.env.VITE_COGNITO_DOMAIN;
-export const COGNITO_CLIENT_ID = import.meta.env.VITE_COGNITO_CLIENT_ID;
-export const REDIRECT_URI = import.meta.env.VITE_REDIRECT_URI;
+export const COGNITO_CLIENT_ID = import.meta.env.VITE_COGNITO_CLIENT_ID || (MOCK_MODE ? "mock-client" : undefined);
+export const REDIRECT_URI = import.meta.env.VITE_REDIRECT_URI || (MOCK_MODE ? `${window.location.origin}/` : undefined);
+
+// Live updates (optional): WebSocket and/or Server-Sent Events endpoints.
+// When none is set, or the stream is down, the map falls back to polling.
+export const LIVE_WS_URL = import.meta.env.VITE_LIVE_WS_URL;
+export const LIVE_SSE_URL = import.meta.env.VITE_LIVE_SSE_URL;
+
+// Base layers (optional): a JSON list replacing the built-in providers of
+// lib/tiles.js, e.g. an on-site tile server for closed networks:
+// [{"id":"site","name":"Site","url":"https://tiles.local/{z}/{x}/{y}.png","attribution":"..."}]
+export const TILE_PROVIDERS_JSON = import.meta.env.VITE_TILE_PROVIDERS;
+export const DEFAULT_BASE_LAYER = import.meta.env.VITE_DEFAULT_BASE_LAYER;
+
+// Offline tile cache (service worker, public/tile-sw.js): recently viewed
+// tiles keep working without network. Off unless VITE_TILE_CACHE=1.
+export const TILE_CACHE = import.meta.env.VITE_TILE_CACHE === "1";
+export const TILE_CACHE_MAX = 3000;          // tiles kept (oldest dropped first)
+
+// Batch reads for large fleets (optional): statuses and geofences are read
+// API_BATCH_SIZE devices per request (GET /devices/status?ids=, GET
+// /geofences?ids=) instead of one request per device. Needs backend support:
+// off unless VITE_API_BATCH=1 (the mock backend has it).
+export const API_BATCH = import.meta.env.VITE_API_BATCH === "1" || MOCK_MODE;
+export const API_BATCH_SIZE = 200;
+
+// Place search / addresses (geocoding/geocoders.js): "nominatim" (public or
+// self-hosted, GEOCODER_URL = its base URL), "local" (GEOCODER_URL = a JSON
+// list of named places) or "off". Mock mode uses the mock backend's places.
+// Outside mock mode it is off unless configured, so nothing is sent to a
+// third party by default: a URL alone means a self-hosted Nominatim, and
+// only an explicit VITE_GEOCODER=nominatim without URL uses the public one.
+// "local" without a URL turns geocoding off.
+const GEOCODER_DEFAULT = MOCK_MODE ? "local" : import.meta.env.VITE_GEOCODER_URL ? "nominatim" : "off";
+export const GEOCODER = import.meta.env.VITE_GEOCODER || GEOCODER_DEFAULT;
+export const GEOCODER_URL = import.meta.env.VITE_GEOCODER_URL
+  || (GEOCODER === "nominatim" ? "https://nominatim.openstreetmap.org"
+    : GEOCODER === "local" && MOCK_MODE ? `${API_BASE}/places` : undefined);
+
+// Radius range of the main geofence circle in the edit panel (slider, inputs
+// and drag handle). Sites bigger than a few km can raise the maximum.
+export const GEOFENCE_MIN_RADIUS_M = Number(import.meta.env.VITE_GEOFENCE_MIN_RADIUS_M) || 50;
+export const GEOFENCE_MAX_RADIUS_M = Number(import.meta.env.VITE_GEOFENCE_MAX_RADIUS_M) || 5000;
 
 // autres constantes (zoom, etc.) peuvent rester hardcodées
 export const REFRESH_MS = 5000;
+export const ALERTS_REFRESH_MS = 15000;      // how often triggered alerts are reloaded
+export const API_TIMEOUT_MS = 15000;         // give up on an API call after 15 s
+export const POLL_MAX_BACKOFF_MS = 120000;   // slowest polling pace while the API keeps failing
+export const STALE_AFTER_MS = 60000;         // a position older than this is flagged as stale
+export const TOKEN_REFRESH_MARGIN_MS = 60000; // renew tokens 1 min before they expire
+export const TOKEN_RETRY_MS = 30000;         // retry a failed renewal after 30 s
+export const LIVE_RETRY_MS = 60000;          // while polling, try the push stream again every minute
 export const DEFAULT_ZOOM = 17;
 export const FALLBACK_FENCE = { center_lat: 10.0440679, center_lon: 76.3263556, radius_m: 200 };
-export const DEVICE_ID = "tracker1"; // Ou récupère depuis l’UI si tu laisses le renommage côté front
@@ -0,0 +1,138 @@
+// src/geocoding/geocoders.js
+import { API_TIMEOUT_MS, GEOCODER, GEOCODER_URL } from "../config";
+import { haversineMeters } from "../lib/geo";
+import { t } from "../i18n";
+
+/**
+ * Geocoders.
+ * They all share the same shape so the search box and the popups can use any of them:
+ *
+ *   search(query, { signal, locale }) -> [{ label, lat, lon, bounds? }]
+ *   reverse([lat, lon], { signal, locale }) -> label or null
+ *
+ * - bounds: [[south, west], [north, east]] when the place has an extent
+ * - locale: preferred language of the labels ("en", "fr")
+ *
+ * Failures reject with an Error whose message can be shown as is;
+ * cancellation rejects with the usual AbortError.
+ */
+
+/**
+ * getJson:
+ * fetch + JSON with a timeout. Not api/client.js: geocoders are other
+ * services and must not receive our id token.
+ */
+async function getJson(url, signal) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), API_TIMEOUT_MS);
+  const onAbort = () => ctrl.abort();
+  if (signal?.aborted) ctrl.abort();
+  signal?.addEventListener("abort", onAbort);
+  try {
+    const r = await fetch(url, { signal: ctrl.signal, headers: { Accept: "application/json" } });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return await r.json();
+  } catch (e) {
+    if (signal?.aborted) throw e;   // cancelled by the caller
+    throw new Error(t("search.errors.unavailable"));   // network, timeout, HTTP error, bad JSON
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Nominatim (OpenStreetMap), public or self-hosted.
+ * The public instance allows about one request per second and no
+ * search-as-you-type: the search box only queries on submit.
+ */
+export function createNominatimGeocoder(baseUrl) {
+  const base = baseUrl.replace(/\/$/, "");
+  return {
+    async search(query, { signal, locale } = {}) {
+      const url = new URL(`${base}/search`, window.location.origin);
+      url.search = new URLSearchParams({ q: query, format: "jsonv2", limit: "6", "accept-language": locale || "en" });
+      const list = await getJson(url, signal);
+      return (Array.isArray(list) ? list : []).map(p => {
+        const [s, n, w, e] = (p.boundingbox || []).map(Number);
+        return {
+          label: p.display_name,
+          lat: Number(p.lat),
+          lon: Number(p.lon),
+          bounds: [s, n, w, e].every(Number.isFinite) ? [[s, w], [n, e]] : undefined,
+        };
+      }).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+    },
+
+    async reverse([lat, lon], { signal, locale } = {}) {
+      const url = new URL(`${base}/reverse`, window.location.origin);
+      url.search = new URLSearchParams({ lat, lon, format: "jsonv2", zoom: "18", "accept-language": locale || "en" });
+      const res = await getJson(url, signal);
+      return res?.display_name || null;
+    },
+  };
+}
+
+// Reverse lookups farther than this from every known place give no address
+const LOCAL_REVERSE_MAX_M = 1000;
+
+const fold = (s) => String(s).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+/**
+ * Local stand-in: a plain JSON list of named places, for closed networks
+ * and mock mode.
+ *   [{ name, lat, lon }]
+ * Search matches every word of the query (case and accents ignored);
+ * reverse returns the nearest place. The list is fetched once.
+ */
+export function createLocalGeocoder(placesUrl) {
+  let places = null;
+  async function load(signal) {
+    if (!places) {
+      const list = await getJson(new URL(placesUrl, window.location.origin), signal);
+      places = (Array.isArray(list) ? list : [])
+        .filter(p => p?.name && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon)))
+        .map(p => ({ name: String(p.name), lat: Number(p.lat), lon: Number(p.lon), key: fold(p.name) }));
+    }
+    return places;
+  }
+
+  return {
+    async search(query, { signal } = {}) {
+      const words = fold(query).split(/\s+/).filter(Boolean);
+      const list = await load(signal);
+      return list
+        .filter(p => words.every(w => p.key.includes(w)))
+        .slice(0, 6)
+        .map(p => ({ label: p.name, lat: p.lat, lon: p.lon }));
+    },
+
+    async reverse(pt, { signal } = {}) {
+      const list = await load(signal);
+      let best = null, bestDist = LOCAL_REVERSE_MAX_M;
+      list.forEach(p => {
+        const d = haversineMeters(pt, [p.lat, p.lon]);
+        if (d <= bestDist) { best = p; bestDist = d; }
+      });
+      return best?.name ?? null;
+    },
+  };
+}
+
+/**
+ * createGeocoder:
+ * The geocoder picked by VITE_GEOCODER ("nominatim", "local" or "off"),
+ * or null when geocoding is off. A geocoder without a URL is off too,
+ * with a warning (see GEOCODER_URL in config.js).
+ */
+export function createGeocoder(kind = GEOCODER, url = GEOCODER_URL) {
+  if ((kind === "nominatim" || kind === "local") && !url) {
+    console.warn(`[geocoder] VITE_GEOCODER=${kind} needs VITE_GEOCODER_URL: place search and addresses are off`);
+    return null;
+  }
+  if (kind === "nominatim") return createNominatimGeocoder(url);
+  if (kind === "local") return createLocalGeocoder(url);
+  return null;
+}
+
+export const geocoder = createGeocoder();
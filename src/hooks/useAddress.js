@@ -0,0 +1,37 @@
+// src/hooks/useAddress.js
+import { useEffect, useState } from "react";
+import { geocoder } from "../geocoding/geocoders";
+import useI18n from "./useI18n";
+
+// Addresses already looked up, by position rounded to ~10 m and language.
+// Popups reopen often and public geocoders are rate limited.
+const cache = new Map();
+const keyOf = (lat, lon, locale) => `${lat.toFixed(4)},${lon.toFixed(4)}|${locale}`;
+
+/**
+ * useAddress:
+ * Reverse-geocoded address of a position, for popups.
+ * - lat, lon: the position (nothing is looked up while one is missing)
+ *
+ * Returns { address, loading }: address is null while loading, when
+ * nothing is known there, when the lookup fails or geocoding is off.
+ */
+export default function useAddress(lat, lon) {
+  const { locale } = useI18n();
+  const valid = geocoder != null && Number.isFinite(lat) && Number.isFinite(lon);
+  const key = valid ? keyOf(lat, lon, locale) : null;
+  const [found, setFound] = useState({ key: null, address: null });
+
+  useEffect(() => {
+    if (!key || cache.has(key)) return;
+    const ctrl = new AbortController();
+    geocoder.reverse([lat, lon], { signal: ctrl.signal, locale })
+      .then(address => { cache.set(key, address); setFound({ key, address }); })
+      .catch(() => { if (!ctrl.signal.aborted) setFound({ key, address: null }); });
+    return () => ctrl.abort();
+  }, [key, lat, lon, locale]);
+
+  if (!key) return { address: null, loading: false };
+  if (cache.has(key)) return { address: cache.get(key), loading: false };
+  return { address: found.key === key ? found.address : null, loading: found.key !== key };
+}
@@ -0,0 +1,88 @@
+// src/hooks/useAlerts.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { api, describeError, isAbort } from "../api";
+import { claimsOf } from "../auth/roles";
+import { ALERTS_REFRESH_MS } from "../config";
+
+/**
+ * useAlerts:
+ * Alert rules and triggered alerts of the signed-in user.
+ * - idToken: JWT of the signed-in user (loading starts once we have it).
+ *   Rules and alerts reload when the user changes, not when the token is
+ *   renewed (the API client always sends the current one).
+ * - onError: called with a message when an action fails
+ *
+ * Alerts are reloaded every ALERTS_REFRESH_MS; rules once (and after each change).
+ *
+ * Returns:
+ * - rules, alerts (newest first; resolved ones only with showResolved)
+ * - showResolved / setShowResolved(bool)
+ * - saveRule(rule): resolves true once saved
+ * - deleteRule(id), acknowledge(id), resolve(id)
+ */
+export default function useAlerts(idToken, onError) {
+  const [rules, setRules]   = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [showResolved, setShowResolved] = useState(false);
+
+  const onErrorRef = useRef(onError);
+  useEffect(() => { onErrorRef.current = onError; });
+
+  const user = claimsOf(idToken)?.sub ?? null;
+
+  const loadAlerts = useCallback(async (signal) => {
+    try {
+      setAlerts(await api.alerts.list({ status: showResolved ? "all" : "active" }, { signal }));
+    } catch (e) {
+      if (!isAbort(e)) console.warn("Alerts API error:", e);
+    }
+  }, [showResolved]);
+
+  useEffect(() => {
+    if (!user) return;
+    const ctrl = new AbortController();
+    api.alerts.rules({ signal: ctrl.signal })
+      .then(setRules)
+      .catch(e => { if (!isAbort(e)) console.warn("Alert rules API error:", e); });
+    return () => ctrl.abort();
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+    const ctrl = new AbortController();
+    loadAlerts(ctrl.signal);
+    const timer = setInterval(() => loadAlerts(ctrl.signal), ALERTS_REFRESH_MS);
+    return () => { clearInterval(timer); ctrl.abort(); };
+  }, [user, loadAlerts]);
+
+  /**
+   * Run an action, report its failure, then refresh the alerts so a new
+   * rule or status shows up right away.
+   */
+  async function run(action) {
+    try {
+      const result = await action();
+      loadAlerts();
+      return result ?? true;
+    } catch (e) {
+      onErrorRef.current?.(describeError(e));
+      return false;
+    }
+  }
+
+  const saveRule = (rule) => run(async () => {
+    const saved = await api.alerts.saveRule(rule);
+    setRules(list => list.some(r => r.id === saved.id) ? list.map(r => (r.id === saved.id ? saved : r)) : [...list, saved]);
+    return true;
+  });
+
+  const deleteRule = (id) => run(async () => {
+    await api.alerts.deleteRule(id);
+    setRules(list => list.filter(r => r.id !== id));
+  });
+
+  const acknowledge = (id) => run(() => api.alerts.acknowledge(id));
+  const resolve = (id) => run(() => api.alerts.resolve(id));
+
+  return { rules, alerts, showResolved, setShowResolved, saveRule, deleteRule, acknowledge, resolve };
+}
@@ -0,0 +1,55 @@
+// src/hooks/useFenceImport.js
+import { useState } from "react";
+import { parseFenceFile, MAX_IMPORT_BYTES } from "../lib/importFences";
+import { t } from "../i18n";
+
+/**
+ * useFenceImport:
+ * Holds the shapes read from a GeoJSON/KML file until they are saved.
+ * Each shape is { zone, problem, checked }; shapes with a problem can't
+ * be checked. The map previews the checked ones ("selected").
+ *
+ * Returns { fileName, shapes, selected, error, loading,
+ *           readFile(file), toggle(id), rename(id, name), clear() }
+ */
+export default function useFenceImport() {
+  const [fileName, setFileName] = useState("");
+  const [shapes, setShapes]     = useState([]);
+  const [error, setError]       = useState("");
+  const [loading, setLoading]   = useState(false);
+
+  async function readFile(file) {
+    setFileName(file.name);
+    setShapes([]);
+    setError("");
+    if (file.size > MAX_IMPORT_BYTES) {
+      setError(t("import.errors.tooLarge", { mb: MAX_IMPORT_BYTES / 1024 / 1024 }));
+      return;
+    }
+    setLoading(true);
+    try {
+      const parsed = parseFenceFile(file.name, await file.text());
+      setShapes(parsed.map(s => ({ ...s, checked: !s.problem })));
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return {
+    fileName,
+    shapes,
+    selected: shapes.filter(s => s.checked).map(s => s.zone),
+    error,
+    loading,
+    readFile,
+    toggle: (id) => setShapes(list => list.map(s => (
+      s.zone.id === id && !s.problem ? { ...s, checked: !s.checked } : s
+    ))),
+    rename: (id, name) => setShapes(list => list.map(s => (
+      s.zone.id === id ? { ...s, zone: { ...s.zone, name } } : s
+    ))),
+    clear: () => { setFileName(""); setShapes([]); setError(""); },
+  };
+}
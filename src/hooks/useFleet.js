@@ -0,0 +1,96 @@
+// src/hooks/useFleet.js
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { api, describeError, isAbort } from "../api";
+import { claimsOf } from "../auth/roles";
+import { API_BATCH, API_BATCH_SIZE } from "../config";
+import { chunk } from "../lib/batch";
+import useLiveStatuses from "./useLiveStatuses";
+
+/**
+ * useFleet:
+ * Loads everything the map needs for every device of the signed-in user.
+ * - idToken: JWT of the signed-in user. Everything reloads when the user
+ *   changes, not when the token is renewed (the API client always sends
+ *   the current one).
+ * - onError: called with a message when the device list can't be loaded
+ *
+ * Returns:
+ * - devices:  [{ id, name }] from GET /devices
+ * - statuses: { [id]: status } kept live by useLiveStatuses
+ * - transport: how statuses arrive ("ws" | "sse" | "poll")
+ * - liveError: last status update failure ("" once updates work again)
+ * - fences:   { [id]: fence | null } (null = no geofence, or the geofence API failed),
+ *   one request per device, or per API_BATCH_SIZE devices with API_BATCH
+ * - reloadFence(id): re-read one geofence after saving it
+ */
+export default function useFleet(idToken, onError) {
+  const [devices, setDevices]   = useState([]);
+  const [fences, setFences]     = useState({});
+
+  // Keep the latest callback without restarting the effects below
+  const onErrorRef = useRef(onError);
+  useEffect(() => { onErrorRef.current = onError; });
+
+  const user = claimsOf(idToken)?.sub ?? null;
+  const ids = useMemo(() => devices.map(d => d.id), [devices]);
+
+  /**
+   * Load the device list once we have a token.
+   */
+  useEffect(() => {
+    if (!user) return;
+    const ctrl = new AbortController();
+    api.devices.list({ signal: ctrl.signal })
+      .then(setDevices)
+      .catch(e => { if (!isAbort(e)) onErrorRef.current?.(describeError(e)); });
+    return () => ctrl.abort();
+  }, [user]);
+
+  /**
+   * Load (or reload) the geofence of a single device.
+   */
+  const reloadFence = useCallback(async (id, signal) => {
+    try {
+      const f = await api.geofence.get(id, { signal });
+      setFences(prev => ({ ...prev, [id]: f }));
+      return f;
+    } catch (e) {
+      if (isAbort(e)) return null;
+      console.warn(`Geofence API error (${id}):`, e);
+      setFences(prev => ({ ...prev, [id]: null }));
+      return null;
+    }
+  }, []);
+
+  /**
+   * Load every geofence (in batches with API_BATCH).
+   */
+  useEffect(() => {
+    if (!user) return;
+    const ctrl = new AbortController();
+    if (!API_BATCH) {
+      ids.forEach(id => { reloadFence(id, ctrl.signal); });
+      return () => ctrl.abort();
+    }
+    chunk(ids, API_BATCH_SIZE).forEach(async part => {
+      let got = null;
+      try {
+        got = await api.geofence.list(part, { signal: ctrl.signal });
+      } catch (e) {
+        if (isAbort(e)) return;
+        console.warn("Geofence API error:", e);
+      }
+      setFences(prev => {
+        const next = { ...prev };
+        part.forEach(id => { next[id] = got?.[id] ?? null; });
+        return next;
+      });
+    });
+    return () => ctrl.abort();
+  }, [user, ids, reloadFence]);
+
+  // Live status of every device (push stream or polling)
+  const { statuses, transport, error: liveError } = useLiveStatuses(idToken, ids);
+
+  return { devices, statuses, transport, liveError, fences, reloadFence };
+}
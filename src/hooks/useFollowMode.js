@@ -0,0 +1,21 @@
+// src/hooks/useFollowMode.js
+import { useEffect, useState } from "react";
+
+/**
+ * useFollowMode:
+ * Whether the map keeps the active tracker centered, and whether it then
+ * keeps the user's zoom (only pans) or goes back to DEFAULT_ZOOM.
+ *
+ * - initialFollow: follow at first (off when a link asks for a given map view)
+ *
+ * Returns { follow, setFollow(bool), keepZoom, setKeepZoom(bool) }.
+ * Follow starts on at every visit; keepZoom is saved locally.
+ */
+export default function useFollowMode(initialFollow = true) {
+  const [follow, setFollow] = useState(initialFollow);
+  const [keepZoom, setKeepZoom] = useState(() => localStorage.getItem("ui.keepZoom") === "1");
+
+  useEffect(() => { localStorage.setItem("ui.keepZoom", keepZoom ? "1" : "0"); }, [keepZoom]);
+
+  return { follow, setFollow, keepZoom, setKeepZoom };
+}
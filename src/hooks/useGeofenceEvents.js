@@ -0,0 +1,121 @@
+// src/hooks/useGeofenceEvents.js
+import { useEffect, useRef, useState } from "react";
+import { isInsideArea } from "../lib/geo";
+import { formatDateTime, t } from "../i18n";
+
+// Keep the on-screen log bounded
+const MAX_EVENTS = 200;
+
+/**
+ * useGeofenceEvents:
+ * Checks every new status against the areas (main circle + zones) of its
+ * device and records enter/exit transitions.
+ * - statuses: { [deviceId]: status } from the polling loop
+ * - areasOf(id): areas of a device (see lib/geo.js fenceAreas)
+ * - areasKey: changes whenever areasOf's answers do (e.g. the fences
+ *   object of useFleet), so loaded or edited areas are checked right away
+ * - labelOf(id): UI label of a device (used in the log and notifications)
+ *
+ * The first position seen for a device/area only sets the baseline, so
+ * loading the page doesn't log a burst of fake "enter" events. The same
+ * goes for an area whose shape was just edited: moving a fence over a
+ * tracker isn't the tracker entering it.
+ *
+ * Returns:
+ * - events: newest first [{ key, ts, deviceId, device, areaId, area, type }]
+ * - insideOf(id): names of the areas the device is currently in
+ * - notify / setNotify(bool): desktop Notification on/off (saved locally)
+ * - clear(): empty the log
+ */
+export default function useGeofenceEvents({ statuses, areasOf, areasKey, labelOf }) {
+  const [events, setEvents] = useState([]);
+  const [inside, setInside] = useState({}); // { [deviceId]: { [areaId]: bool } }
+  const [notify, setNotifyState] = useState(() => localStorage.getItem("ui.notify") === "1");
+
+  // Latest callbacks/settings without re-running the detection effect
+  const areasOfRef = useRef(areasOf);
+  const labelOfRef = useRef(labelOf);
+  const notifyRef  = useRef(notify);
+  useEffect(() => {
+    areasOfRef.current = areasOf;
+    labelOfRef.current = labelOf;
+    notifyRef.current  = notify;
+  });
+
+  // Last known inside/outside state per device and area, and the shape
+  // each state was computed against
+  const prevRef = useRef({});
+  const shapesRef = useRef({}); // { [deviceId]: { [areaId]: shape key } }
+
+  useEffect(() => {
+    const fresh = [];
+    const next = {};
+    const shapes = {};
+    let changed = false;
+
+    for (const [deviceId, s] of Object.entries(statuses)) {
+      const lat = Number(s?.last_lat), lon = Number(s?.last_lon);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+      const prev = prevRef.current[deviceId] || {};
+      const prevShapes = shapesRef.current[deviceId] || {};
+      const now = {};
+      shapes[deviceId] = {};
+      for (const area of areasOfRef.current(deviceId)) {
+        const shape = JSON.stringify({ ...area, name: undefined });
+        shapes[deviceId][area.id] = shape;
+        now[area.id] = isInsideArea([lat, lon], area);
+        if (prev[area.id] !== now[area.id]) changed = true;
+        if (area.id in prev && prevShapes[area.id] === shape && prev[area.id] !== now[area.id]) {
+          fresh.push({
+            key: `${deviceId}-${area.id}-${Date.now()}-${fresh.length}`,
+            ts: s.last_update_ts ? Number(s.last_update_ts) : Math.floor(Date.now() / 1000),
+            deviceId,
+            device: labelOfRef.current(deviceId),
+            areaId: area.id,
+            area: area.name,
+            type: now[area.id] ? "enter" : "exit",
+          });
+        }
+      }
+      if (Object.keys(prev).length !== Object.keys(now).length) changed = true;
+      next[deviceId] = now;
+    }
+
+    shapesRef.current = { ...shapesRef.current, ...shapes };
+    if (changed) {
+      prevRef.current = { ...prevRef.current, ...next };
+      setInside(prevRef.current);
+    }
+    if (fresh.length === 0) return;
+
+    setEvents(list => [...fresh.reverse(), ...list].slice(0, MAX_EVENTS));
+    if (notifyRef.current && typeof Notification !== "undefined" && Notification.permission === "granted") {
+      fresh.forEach(e => {
+        new Notification(`${e.device} ${t(e.type === "enter" ? "events.entered" : "events.left", { area: e.area })}`, {
+          body: formatDateTime(e.ts),
+          tag: e.key,
+        });
+      });
+    }
+  }, [statuses, areasKey]);
+
+  /**
+   * Turning notifications on asks the browser for permission first.
+   */
+  async function setNotify(on) {
+    if (on && typeof Notification !== "undefined" && Notification.permission !== "granted") {
+      const perm = await Notification.requestPermission();
+      if (perm !== "granted") on = false;
+    }
+    localStorage.setItem("ui.notify", on ? "1" : "0");
+    setNotifyState(on);
+  }
+
+  function insideOf(id) {
+    const byArea = inside[id] || {};
+    return areasOf(id).filter(a => byArea[a.id]).map(a => a.name);
+  }
+
+  return { events, insideOf, notify, setNotify, clear: () => setEvents([]) };
+}
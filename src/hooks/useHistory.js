@@ -0,0 +1,52 @@
+// src/hooks/useHistory.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { api, describeError, isAbort } from "../api";
+
+/**
+ * useHistory:
+ * Fetches the past positions of one device for a time range.
+ * - deviceId: the device whose track we want
+ *
+ * Returns { points, range, loading, error, load(from, to), clear() }
+ * where from/to are epoch seconds. Switching device clears the track;
+ * a new load (or unmount) cancels the one still in flight.
+ */
+export default function useHistory(deviceId) {
+  const [points, setPoints]   = useState([]);
+  const [range, setRange]     = useState(null); // { from, to } of the loaded track
+  const [loading, setLoading] = useState(false);
+  const [error, setError]     = useState("");
+  const ctrlRef = useRef(null);
+
+  const clear = useCallback(() => {
+    ctrlRef.current?.abort();
+    setPoints([]);
+    setRange(null);
+    setError("");
+  }, []);
+
+  useEffect(() => { clear(); }, [deviceId, clear]);
+  useEffect(() => () => ctrlRef.current?.abort(), []);
+
+  const load = useCallback(async (from, to) => {
+    if (!deviceId) return;
+    ctrlRef.current?.abort();
+    const ctrl = new AbortController();
+    ctrlRef.current = ctrl;
+
+    setLoading(true);
+    setError("");
+    try {
+      setPoints(await api.devices.history(deviceId, from, to, { signal: ctrl.signal }));
+      setRange({ from, to });
+    } catch (e) {
+      if (isAbort(e)) return;
+      setError(describeError(e));
+      setPoints([]);
+    } finally {
+      if (ctrlRef.current === ctrl) setLoading(false);
+    }
+  }, [deviceId]);
+
+  return { points, range, loading, error, load, clear };
+}
@@ -0,0 +1,34 @@
+// src/hooks/useI18n.js
+import { useSyncExternalStore } from "react";
+import {
+  formatAgo, formatDateTime, formatDistance, formatDuration, formatNumber, formatSpeed, formatTime,
+  getPrefs, setPrefs, stateLabel, subscribe, t,
+} from "../i18n";
+
+/**
+ * useI18n:
+ * Translation and formatting helpers for components. The component
+ * re-renders when the language or the units change.
+ *
+ * Returns { t, locale, units, setLocale(l), setUnits(u), stateLabel,
+ *           formatNumber, formatDateTime, formatTime, formatDistance, formatSpeed,
+ *           formatDuration, formatAgo }
+ */
+export default function useI18n() {
+  const prefs = useSyncExternalStore(subscribe, getPrefs);
+  return {
+    t,
+    locale: prefs.locale,
+    units: prefs.units,
+    setLocale: (locale) => setPrefs({ locale }),
+    setUnits: (units) => setPrefs({ units }),
+    stateLabel,
+    formatNumber,
+    formatDateTime,
+    formatTime,
+    formatDistance,
+    formatSpeed,
+    formatDuration,
+    formatAgo,
+  };
+}
@@ -0,0 +1,158 @@
+// src/hooks/useLiveStatuses.js
+import { useEffect, useRef, useState } from "react";
+import { LIVE_RETRY_MS, LIVE_SSE_URL, LIVE_WS_URL } from "../config";
+import { claimsOf } from "../auth/roles";
+import {
+  createPollingTransport, createSseTransport, createWebSocketTransport, fetchStatuses,
+} from "../live/transports";
+
+/**
+ * Push transports to try, in order of preference (only the configured ones).
+ */
+const PUSH = [
+  LIVE_WS_URL && { kind: "ws", url: LIVE_WS_URL, create: createWebSocketTransport },
+  LIVE_SSE_URL && { kind: "sse", url: LIVE_SSE_URL, create: createSseTransport },
+].filter(Boolean);
+
+// Statuses arriving within this window are applied as one update (a poll
+// round, or a burst of stream messages from a large fleet)
+const BATCH_MS = 100;
+
+/**
+ * Same status as before (polling and stream snapshots repeat unchanged
+ * ones): keeping the old object lets the map skip that device's marker.
+ */
+function sameStatus(a, b) {
+  if (!a) return false;
+  const keys = Object.keys(b);
+  return keys.length === Object.keys(a).length && keys.every(k => a[k] === b[k]);
+}
+
+/**
+ * useLiveStatuses:
+ * The one hook the map uses for live device status, whatever the transport.
+ * - idToken: JWT used for the stream auth. Updates restart when the user
+ *   changes, not when the token is renewed: a stream (re)connecting uses
+ *   the latest token.
+ * - ids: device ids to follow
+ *
+ * Strategy: try WebSocket, then SSE (when configured). If none connects,
+ * or an open stream drops, poll like before and try the stream again
+ * every LIVE_RETRY_MS. When a stream opens we fetch one snapshot so
+ * devices that stay silent still show their last status.
+ *
+ * Returns:
+ * - statuses: { [id]: status } (a device's status object only changes when
+ *   its content does)
+ * - transport: "ws" | "sse" | "poll" | null
+ * - error: last update failure, cleared as soon as updates work again
+ */
+export default function useLiveStatuses(idToken, ids) {
+  const [statuses, setStatuses]   = useState({});
+  const [transport, setTransport] = useState(null);
+  const [error, setError]         = useState("");
+
+  const user = claimsOf(idToken)?.sub ?? null;
+  const tokenRef = useRef(idToken);
+  useEffect(() => { tokenRef.current = idToken; });
+
+  useEffect(() => {
+    if (!user || ids.length === 0) return;
+
+    let stopped = false;
+    let active = null;      // transport currently delivering data
+    let attempt = null;     // push transport still connecting
+    let retryTimer;
+    let pending = null;     // { [id]: status } waiting for the next batch
+    let batchTimer;
+    const snapshot = new AbortController();
+    const wanted = new Set(ids);
+
+    function flush() {
+      const batch = pending;
+      pending = null;
+      setStatuses(prev => {
+        let next = prev;
+        Object.entries(batch).forEach(([id, s]) => {
+          if (sameStatus(prev[id], s)) return;
+          if (next === prev) next = { ...prev };
+          next[id] = s;
+        });
+        return next;
+      });
+    }
+
+    const onStatus = (id, s) => {
+      if (stopped || !wanted.has(id)) return;
+      if (!pending) {
+        pending = {};
+        batchTimer = setTimeout(flush, BATCH_MS);
+      }
+      pending[id] = s;
+    };
+    const onErr = (msg) => { if (!stopped) setError(msg); };
+    const onRecover = () => { if (!stopped) setError(""); };
+
+    function switchTo(kind, t) {
+      if (active && active !== t) active.close();
+      active = t;
+      setTransport(kind);
+    }
+
+    function startPolling() {
+      if (stopped) return;
+      switchTo("poll", createPollingTransport({ ids, onStatus, onError: onErr, onRecover }));
+      if (PUSH.length) {
+        clearTimeout(retryTimer);
+        retryTimer = setTimeout(() => tryPush(0), LIVE_RETRY_MS);
+      }
+    }
+
+    function tryPush(i) {
+      if (stopped) return;
+      if (i >= PUSH.length) {
+        // Nothing connected: stay on (or go back to) polling
+        if (!active) startPolling();
+        else retryTimer = setTimeout(() => tryPush(0), LIVE_RETRY_MS);
+        return;
+      }
+      const { kind, url, create } = PUSH[i];
+      let t = null;
+      try {
+        t = create({
+          url, idToken: tokenRef.current, ids, onStatus,
+          onOpen: () => {
+            if (stopped) return;
+            attempt = null;
+            switchTo(kind, t);
+            onRecover();
+            fetchStatuses(ids, snapshot.signal).then(({ ok }) => Object.entries(ok).forEach(([id, s]) => onStatus(id, s)));
+          },
+          onDown: (wasOpen) => {
+            if (stopped) return;
+            if (wasOpen) { active = null; startPolling(); }
+            else { attempt = null; tryPush(i + 1); }
+          },
+        });
+        attempt = t;
+      } catch (e) {
+        // e.g. invalid URL: skip this transport
+        console.warn(`[live] ${kind} unavailable:`, e);
+        tryPush(i + 1);
+      }
+    }
+
+    if (PUSH.length) tryPush(0); else startPolling();
+
+    return () => {
+      stopped = true;
+      snapshot.abort();
+      clearTimeout(retryTimer);
+      clearTimeout(batchTimer);
+      attempt?.close();
+      active?.close();
+    };
+  }, [user, ids]);
+
+  return { statuses, transport, error };
+}
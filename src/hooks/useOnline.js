@@ -0,0 +1,23 @@
+// src/hooks/useOnline.js
+import { useEffect, useState } from "react";
+
+/**
+ * useOnline:
+ * Whether the browser thinks it has a network connection.
+ */
+export default function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+
+  useEffect(() => {
+    const up = () => setOnline(true);
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  return online;
+}
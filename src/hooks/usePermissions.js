@@ -0,0 +1,17 @@
+// src/hooks/usePermissions.js
+import { useMemo } from "react";
+import { can, roleOf } from "../auth/roles";
+
+/**
+ * usePermissions:
+ * Role of the signed-in user (see auth/roles.js) and a permission check.
+ * - idToken: JWT of the signed-in user
+ *
+ * Returns { role, can(action) }.
+ */
+export default function usePermissions(idToken) {
+  return useMemo(() => {
+    const role = roleOf(idToken);
+    return { role, can: (action) => can(role, action) };
+  }, [idToken]);
+}
@@ -0,0 +1,54 @@
+// src/hooks/usePlaceSearch.js
+import { useCallback, useEffect, useRef, useState } from "react";
+import { geocoder } from "../geocoding/geocoders";
+import { t } from "../i18n";
+import useI18n from "./useI18n";
+
+/**
+ * usePlaceSearch:
+ * Address / place search through the configured geocoder.
+ *
+ * Returns { results, loading, error, search(query), clear() }.
+ * A new search (or unmount) cancels the one still in flight; an empty
+ * result list is reported as an error so the box can say so.
+ */
+export default function usePlaceSearch() {
+  const { locale } = useI18n();
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError]     = useState("");
+  const ctrlRef = useRef(null);
+
+  useEffect(() => () => ctrlRef.current?.abort(), []);
+
+  const clear = useCallback(() => {
+    ctrlRef.current?.abort();
+    setResults([]);
+    setError("");
+    setLoading(false);
+  }, []);
+
+  const search = useCallback(async (query) => {
+    const q = query.trim();
+    if (!geocoder || !q) return;
+    ctrlRef.current?.abort();
+    const ctrl = new AbortController();
+    ctrlRef.current = ctrl;
+
+    setLoading(true);
+    setError("");
+    try {
+      const list = await geocoder.search(q, { signal: ctrl.signal, locale });
+      setResults(list);
+      if (!list.length) setError(t("search.noResult", { query: q }));
+    } catch (e) {
+      if (ctrl.signal.aborted) return;
+      setError(e.message);
+      setResults([]);
+    } finally {
+      if (ctrlRef.current === ctrl) setLoading(false);
+    }
+  }, [locale]);
+
+  return { results, loading, error, search, clear };
+}
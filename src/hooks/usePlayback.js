@@ -0,0 +1,65 @@
+// src/hooks/usePlayback.js
+import { useEffect, useState } from "react";
+import { positionAt } from "../lib/track";
+
+/**
+ * usePlayback:
+ * Animates a cursor along a track, like a video player.
+ * - points: sorted track points ({ ts, lat, lon })
+ *
+ * `t` is the current track time (epoch seconds); `speed` is how many track
+ * seconds pass per real second. Playback stops by itself at the end.
+ * Returns { t, seek, playing, play, pause, speed, setSpeed, position }.
+ */
+export default function usePlayback(points) {
+  const start = points[0]?.ts ?? 0;
+  const end   = points[points.length - 1]?.ts ?? 0;
+
+  const [t, setT]             = useState(start);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed]     = useState(60);
+
+  // A new track rewinds the cursor to its first point
+  useEffect(() => {
+    setT(start);
+    setPlaying(false);
+  }, [points, start]);
+
+  // Advance the cursor on every animation frame while playing
+  useEffect(() => {
+    if (!playing) return;
+    let frame;
+    let prev = performance.now();
+    function tick(now) {
+      const dt = (now - prev) / 1000;
+      prev = now;
+      setT(cur => Math.min(cur + dt * speed, end));
+      frame = requestAnimationFrame(tick);
+    }
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, end]);
+
+  // Stop once the cursor reaches the last point
+  useEffect(() => {
+    if (playing && t >= end) setPlaying(false);
+  }, [playing, t, end]);
+
+  function play() {
+    if (!points.length) return;
+    // Pressing play at the end restarts from the beginning
+    if (t >= end) setT(start);
+    setPlaying(true);
+  }
+
+  return {
+    t,
+    seek: (v) => setT(Math.min(Math.max(v, start), end)),
+    playing,
+    play,
+    pause: () => setPlaying(false),
+    speed,
+    setSpeed,
+    position: positionAt(points, t),
+  };
+}
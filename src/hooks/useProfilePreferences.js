@@ -0,0 +1,65 @@
+// src/hooks/useProfilePreferences.js
+import { useEffect, useRef } from "react";
+import { api, describeError, isAbort } from "../api";
+import { getPrefs, normalizePrefs, setPrefs, subscribe } from "../i18n";
+import { claimsOf } from "../auth/roles";
+
+// Saves sent so far: a profile read that started before the last save
+// answers with stale values and is ignored
+let saveCount = 0;
+
+/**
+ * useProfilePreferences:
+ * Keeps the display preferences (language, units) in the user's profile.
+ * - idToken: current token. The profile is loaded once per signed-in user
+ *   (not again when the token is renewed).
+ * - onError: called with a message when saving fails
+ *
+ * On sign-in the profile values replace the locally cached ones, unless
+ * the user already changed something meanwhile: then theirs are saved.
+ * A load that a save overtook is ignored.
+ * Every later change is saved to the profile.
+ */
+export default function useProfilePreferences(idToken, onError) {
+  const onErrorRef = useRef(onError);
+  useEffect(() => { onErrorRef.current = onError; });
+
+  const user = claimsOf(idToken)?.sub ?? null;
+
+  useEffect(() => {
+    if (!user) return;
+    const ctrl = new AbortController();
+    let loaded = false;      // profile answered (or failed): changes are saved from now on
+    let changed = false;     // user changed something before it answered
+    let applying = false;    // the change comes from the profile itself
+
+    const save = (prefs) => {
+      saveCount += 1;
+      return api.profile.savePreferences(prefs, { signal: ctrl.signal })
+        .catch(e => { if (!isAbort(e)) onErrorRef.current?.(describeError(e)); });
+    };
+
+    const unsubscribe = subscribe(prefs => {
+      if (applying) return;
+      if (loaded) save(prefs);
+      else changed = true;
+    });
+
+    const savesAtStart = saveCount;
+    api.profile.preferences({ signal: ctrl.signal })
+      .then(p => {
+        loaded = true;
+        if (changed) { save(getPrefs()); return; }
+        if (saveCount !== savesAtStart) return;
+        applying = true;
+        setPrefs(normalizePrefs(p, getPrefs()));
+        applying = false;
+      })
+      .catch(e => {
+        loaded = true;
+        if (!isAbort(e)) console.warn("[prefs] could not load the profile:", e);
+      });
+
+    return () => { ctrl.abort(); unsubscribe(); };
+  }, [user]);
+}
@@ -0,0 +1,12 @@
+// src/hooks/useRoute.js
+import { useSyncExternalStore } from "react";
+import { getRoute, subscribe } from "../lib/router";
+
+/**
+ * useRoute:
+ * Current route ({ name, params, query }, see lib/router.js). The component
+ * re-renders when the user navigates or goes back / forward.
+ */
+export default function useRoute() {
+  return useSyncExternalStore(subscribe, getRoute);
+}
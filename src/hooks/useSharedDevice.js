@@ -0,0 +1,42 @@
+// src/hooks/useSharedDevice.js
+import { useEffect, useState } from "react";
+import { api, describeError, isAbort } from "../api";
+import { startPolling } from "../lib/poll";
+
+/**
+ * useSharedDevice:
+ * Live view of the device behind a public share token (no sign-in).
+ * - token: share token from the URL
+ *
+ * Polls every REFRESH_MS (slower while the API keeps failing, paused while
+ * the tab is hidden or offline, see lib/poll.js) and stops for good once
+ * the link is gone (expired, revoked or unknown).
+ *
+ * Returns:
+ * - view: { name, expires_ts, status, geofence } of the last answer, or null
+ * - gone: true when the link can no longer be used
+ * - error: message of the last failed poll ("" when fine)
+ */
+export default function useSharedDevice(token) {
+  const [view, setView]   = useState(null);
+  const [gone, setGone]   = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => startPolling(async (signal) => {
+    try {
+      setView(await api.shares.view(token, { signal }));
+      setError("");
+      return true;
+    } catch (e) {
+      if (isAbort(e)) return null;
+      if (e.status === 404 || e.status === 410) {
+        setGone(true);
+        return null;
+      }
+      setError(describeError(e));
+      return false;
+    }
+  }), [token]);
+
+  return { view, gone, error };
+}
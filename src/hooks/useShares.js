@@ -0,0 +1,53 @@
+// src/hooks/useShares.js
+import { useEffect, useRef, useState } from "react";
+import { api, describeError, isAbort } from "../api";
+
+/**
+ * useShares:
+ * Share links of one device (loaded while `deviceId` is set).
+ * - deviceId: device whose links are listed, or null to load nothing
+ * - onError: called with a message when an action fails
+ *
+ * Returns:
+ * - shares: links still valid, soonest to expire first
+ * - create({ expiresIn, includeFence }): resolves the new share, or null on failure
+ * - revoke(token)
+ */
+export default function useShares(deviceId, onError) {
+  const [shares, setShares] = useState([]);
+
+  const onErrorRef = useRef(onError);
+  useEffect(() => { onErrorRef.current = onError; });
+
+  useEffect(() => {
+    setShares([]);
+    if (!deviceId) return;
+    const ctrl = new AbortController();
+    api.shares.list(deviceId, { signal: ctrl.signal })
+      .then(setShares)
+      .catch(e => { if (!isAbort(e)) console.warn("Shares API error:", e); });
+    return () => ctrl.abort();
+  }, [deviceId]);
+
+  async function create({ expiresIn, includeFence }) {
+    try {
+      const share = await api.shares.create({ deviceId, expiresIn, includeFence });
+      setShares(list => [...list, share].sort((a, b) => a.expires_ts - b.expires_ts));
+      return share;
+    } catch (e) {
+      onErrorRef.current?.(describeError(e));
+      return null;
+    }
+  }
+
+  async function revoke(token) {
+    try {
+      await api.shares.revoke(token);
+      setShares(list => list.filter(s => s.token !== token));
+    } catch (e) {
+      onErrorRef.current?.(describeError(e));
+    }
+  }
+
+  return { shares, create, revoke };
+}
@@ -0,0 +1,42 @@
+// src/hooks/useStateTimeline.js
+import { useEffect, useRef, useState } from "react";
+
+// Entries kept per device
+const MAX_CHANGES = 100;
+
+/**
+ * useStateTimeline:
+ * Records the device_state changes seen in the statuses (polling or live
+ * stream) since the page was opened. The first state seen for a device
+ * is recorded too, as the starting point of its timeline.
+ * - statuses: { [deviceId]: status }
+ *
+ * Returns { timelineOf(id) }: newest first [{ key, state, ts }], where ts is
+ * the epoch seconds of the first fix reported in that state.
+ */
+export default function useStateTimeline(statuses) {
+  const [timelines, setTimelines] = useState({}); // { [deviceId]: entries }
+  const lastRef = useRef({});                       // last state seen per device
+
+  useEffect(() => {
+    const fresh = {};
+    for (const [deviceId, s] of Object.entries(statuses)) {
+      const state = s?.device_state;
+      if (!state || lastRef.current[deviceId] === state) continue;
+      lastRef.current[deviceId] = state;
+      const ts = s.last_update_ts ? Number(s.last_update_ts) : Math.floor(Date.now() / 1000);
+      fresh[deviceId] = { key: `${deviceId}-${ts}-${state}`, state, ts };
+    }
+    if (Object.keys(fresh).length === 0) return;
+
+    setTimelines(prev => {
+      const next = { ...prev };
+      Object.entries(fresh).forEach(([id, entry]) => {
+        next[id] = [entry, ...(prev[id] || [])].slice(0, MAX_CHANGES);
+      });
+      return next;
+    });
+  }, [statuses]);
+
+  return { timelineOf: (id) => timelines[id] || [] };
+}
@@ -0,0 +1,32 @@
+// src/hooks/useZoneEditor.js
+import { useState } from "react";
+import { newZone } from "../lib/zones";
+
+/**
+ * useZoneEditor:
+ * Holds the zone being drawn or edited ("draft") until it is saved.
+ * - Polygons: each map click appends a vertex; vertices can be dragged
+ *   or removed.
+ * - Circles: a map click sets the center; the radius comes from an input.
+ *
+ * Returns { draft, startNew(type, name), startEdit(zone), pick([lat, lon]),
+ *           moveVertex(i, pt), removeVertex(i), update(patch), cancel() }
+ */
+export default function useZoneEditor() {
+  const [draft, setDraft] = useState(null);
+
+  return {
+    draft,
+    startNew: (type, name) => setDraft(newZone(type, name)),
+    // Copy so edits don't touch the saved zone until we save
+    startEdit: (zone) => setDraft({ ...zone, points: zone.points?.map(p => [...p]) }),
+    pick: (pt) => setDraft(d => {
+      if (!d) return d;
+      return d.type === "polygon" ? { ...d, points: [...d.points, pt] } : { ...d, center: pt };
+    }),
+    moveVertex: (i, pt) => setDraft(d => ({ ...d, points: d.points.map((p, j) => (j === i ? pt : p)) })),
+    removeVertex: (i) => setDraft(d => ({ ...d, points: d.points.filter((_, j) => j !== i) })),
+    update: (patch) => setDraft(d => ({ ...d, ...patch })),
+    cancel: () => setDraft(null),
+  };
+}
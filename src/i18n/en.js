@@ -0,0 +1,405 @@
+// src/i18n/en.js
+// English catalog. fr.js must have the same keys (see i18n/index.js).
+
+export default {
+  common: {
+    save: "Save",
+    cancel: "Cancel",
+    clear: "Clear",
+    dismiss: "Dismiss",
+    loading: "Loading…",
+    saving: "Saving…",
+    state: "State: {state}",
+  },
+
+  state: {
+    moving: "moving",
+    idle: "idle",
+    offline: "offline",
+  },
+
+  prefs: {
+    language: "Language",
+    units: "Units",
+    metric: "Metric (m, km)",
+    imperial: "Imperial (ft, mi)",
+  },
+
+  layers: {
+    osm: "Streets",
+    satellite: "Satellite",
+    dark: "Dark",
+  },
+
+  app: {
+    signIn: "Sign in",
+    prompt: "Please sign in to view the map.",
+    signingIn: "Signing in…",
+    retry: "Try again",
+    continueCognito: "Continue with Cognito",
+    continueMock: "Continue (mock login)",
+    expired: "Your session has expired, please sign in again.",
+    errors: {
+      cancelled: "Sign-in cancelled",
+      refused: "Sign-in refused by Cognito",
+      sessionUnavailable: "Session unavailable",
+      unverified: "Sign-in not verified",
+      unverifiedDetail: "This sign-in response doesn't match any attempt in progress (invalid or expired state). Please sign in again.",
+      exchangeFailed: "Could not exchange the code",
+      loginFailed: "Cannot sign in",
+    },
+  },
+
+  errors: {
+    timeout: "The server took too long to answer. Please try again.",
+    network: "Cannot reach the server. Check your connection.",
+    forbidden: "You are not allowed to do this. Ask an administrator if you need access.",
+    notFound: "Not found: {message}",
+    server: "Server error ({status}): {message}",
+    badResponse: "Unexpected {what} response from the API",
+  },
+
+  map: {
+    trackerActions: "Tracker actions",
+    fenceActions: "Geofence actions",
+    editLocation: "Edit location",
+    editName: "Edit name",
+    locationHistory: "Location history",
+    tripReport: "Trip report",
+    settings: "Settings",
+    share: "Share live position",
+    zones: "Zones",
+    importFile: "Import from file…",
+    trackerNamePrompt: "Tracker name:",
+    fenceNamePrompt: "Geofence name:",
+    defaultTracker: "My Tracker",
+    defaultFence: "My Geofence",
+    fenceOf: "{name} geofence",
+    logout: "Logout",
+    editGeofence: "Edit Geofence",
+    editGeofenceHint: "Click on the map or drag the handles to set the center and radius, or type exact values.",
+    radius: "Radius:",
+    latitude: "Latitude",
+    longitude: "Longitude",
+    radiusM: "Radius (m)",
+    useTrackerPosition: "Use tracker position",
+    noTrackerPosition: "The tracker has no known position yet.",
+    centerHandle: "Geofence center",
+    radiusHandle: "Drag to change the radius",
+    moveTracker: "Move Tracker",
+    moveTrackerHint: "Click on the map to place (or move) the tracker.",
+    pickFenceCenter: "Click on the map to choose the geofence center.",
+    fenceUnreadable: "The stored geofence couldn't be read, nothing was saved: {message}",
+    pickTracker: "Click on the map to place the tracker.",
+    accuracy: "Accuracy: ±{value}",
+    inside: "Inside: {areas}",
+    outside: "Outside all zones",
+    invalid: {
+      lat: "The latitude must be a number between -90 and 90.",
+      lon: "The longitude must be a number between -180 and 180.",
+      radius: "The radius must be between {min} and {max}.",
+    },
+  },
+
+  search: {
+    placeholder: "Search an address or place",
+    go: "Search",
+    searching: "Searching…",
+    clear: "Clear search",
+    results: "Search results",
+    noResult: "Nothing found for \"{query}\".",
+    addressLoading: "Looking up the address…",
+    errors: {
+      unavailable: "The place search service is unavailable. Please try again later.",
+    },
+  },
+
+  view: {
+    follow: "Follow tracker",
+    following: "Following tracker",
+    followHint: "Keep the active tracker centered. Moving the map yourself turns this off.",
+    keepZoom: "Keep my zoom",
+    keepZoomHint: "While following, only pan the map and keep your zoom level.",
+    fitActive: "Fit tracker + fence",
+    fitAll: "Fit all devices",
+  },
+
+  sidebar: {
+    title: "Devices ({count})",
+    updatesHint: "How positions are updated",
+    polling: "polling",
+    live: "live ({transport})",
+    empty: "No device on this account.",
+  },
+
+  status: {
+    lastFix: "Last fix",
+    speed: "Speed",
+    course: "Heading",
+    accuracy: "Accuracy",
+    battery: "Battery",
+    signal: "Signal",
+    copy: "Copy",
+    copied: "Copied!",
+    copyFailed: "Copy failed",
+    copyHint: "Copy the coordinates to the clipboard",
+    timeline: "State changes",
+    noChange: "No state reported yet.",
+    since: "for {duration}",
+  },
+
+  events: {
+    title: "Geofence events ({count})",
+    notifications: "Desktop notifications",
+    empty: "No enter/exit event yet.",
+    in: "IN",
+    out: "OUT",
+    entered: "entered {area}",
+    left: "left {area}",
+  },
+
+  freshness: {
+    offline: "Offline — updates paused",
+    stale: "Data stale — last update {ago}",
+    fresh: "Last updated {ago}",
+  },
+
+  history: {
+    title: "Location history",
+    close: "Close history",
+    quickRange: "Quick range…",
+    lastHour: "Last hour",
+    last6Hours: "Last 6 hours",
+    last24Hours: "Last 24 hours",
+    last7Days: "Last 7 days",
+    from: "From",
+    to: "To",
+    load: "Load track",
+    empty: "No position recorded in this range.",
+    points: { one: "{count} point", other: "{count} points" },
+    playbackPosition: "Playback position",
+    play: "Play",
+    pause: "Pause",
+    exportTrack: "Export track + geofences",
+    exportFences: "Export geofences",
+  },
+
+  report: {
+    title: "Trip report · {name}",
+    close: "Close trip report",
+    today: "Today",
+    yesterday: "Yesterday",
+    lastDays: "Last {days} days",
+    from: "From",
+    to: "To",
+    badRange: "Pick a start day on or before the end day.",
+    tooLong: "At most {days} days at a time.",
+    build: "Build report",
+    empty: "No position recorded on these days.",
+    byDay: "By day",
+    day: "Day",
+    dayHint: "Show this day only (click again for the whole range)",
+    summary: "Whole range",
+    distance: "Distance",
+    moving: "Moving",
+    idle: "Idle",
+    noData: "No data",
+    noDataHint: "Tracker offline or silent for more than 15 minutes",
+    stops: { one: "{count} stop", other: "{count} stops" },
+    noStop: "No stop detected.",
+    stopN: "Stop {n}",
+    stopHint: "Show this stop on the map",
+    zones: "Time per geofence",
+    zone: "Geofence",
+    inside: "Inside",
+    outside: "Outside",
+    downloadCsv: "Download CSV",
+  },
+
+  zones: {
+    title: "Zones",
+    close: "Close zones",
+    empty: "No extra zone yet for this device.",
+    edit: "Edit",
+    delete: "Delete",
+    newPolygon: "New polygon",
+    newCircle: "New circle",
+    defaultName: "Zone {n}",
+    editZone: "Edit zone",
+    newZone: "New zone",
+    polygonHint: "Click on the map to add points. Drag a point to move it, right-click it to remove it.",
+    circleHint: "Click on the map to choose the center, then set the radius.",
+    name: "Name",
+    radiusM: "Radius (m)",
+    points: "Points:",
+    saveZone: "Save zone",
+    confirmDelete: "Delete zone \"{name}\"?",
+    type: { polygon: "polygon", circle: "circle" },
+    invalid: {
+      noName: "Give the zone a name.",
+      polygonMin: "A polygon needs at least 3 points.",
+      polygonPoints: "The polygon has invalid points.",
+      circleCenter: "Click on the map to choose the zone center.",
+      radius: "The radius must be a positive number of meters.",
+      unknownType: "Unknown zone type \"{type}\".",
+    },
+  },
+
+  import: {
+    title: "Import geofences",
+    close: "Close import",
+    drop: "Drop a GeoJSON or KML file here, or click to choose one",
+    reading: "Reading…",
+    device: "Device",
+    choose: "Choose…",
+    replace: "Replace the existing zones of this device",
+    chooseDevice: "Choose the device these geofences belong to.",
+    checkOne: "Check at least one shape to import.",
+    submit: { one: "Import {count} shape", other: "Import {count} shapes" },
+    unnamed: "{file} #{n}",
+    errors: {
+      tooLarge: "This file is too large (max {mb} MB).",
+      unsupportedFile: "Unsupported file type \".{ext}\". Use GeoJSON or KML.",
+      noShape: "No shape found in this file.",
+      notJson: "This file is not valid JSON.",
+      notGeoJson: "This file is not GeoJSON.",
+      notXml: "This file is not valid XML.",
+      notKml: "This file is not KML.",
+      unsupportedShape: "{type} shapes can't be used as a geofence.",
+      pointRadius: "A point needs a radius_m value to be a circle.",
+    },
+  },
+
+  alerts: {
+    button: "Alerts ({count})",
+    close: "Close alerts",
+    alertsTab: "Alerts",
+    rulesTab: "Rules",
+    showResolved: "Show resolved alerts",
+    noAlert: "No alert.",
+    noRule: "No alert rule yet.",
+    newRule: "New rule",
+    editRule: "Edit rule",
+    defaultName: "Rule {n}",
+    edit: "Edit",
+    delete: "Delete",
+    confirmDelete: "Delete rule \"{name}\"?",
+    name: "Name",
+    device: "Device",
+    choose: "Choose…",
+    when: "Alert when",
+    zone: "Zone",
+    minutes: "Minutes without report",
+    state: "State",
+    channels: "Channels",
+    inApp: "In the app",
+    email: "Email",
+    webhook: "Webhook",
+    optional: "optional",
+    quietHours: "Quiet hours",
+    quietFrom: "From",
+    quietTo: "To",
+    quietHint: "During quiet hours alerts are still listed, but nobody is notified.",
+    quietRange: "quiet {start}–{end}",
+    enabled: "Rule enabled",
+    disabled: "disabled",
+    muted: "muted",
+    mutedHint: "Triggered during quiet hours: nobody was notified.",
+    acknowledge: "Acknowledge",
+    resolve: "Resolve",
+    show: "Show",
+    banner: { one: "{count} new alert:", other: "{count} new alerts, latest:" },
+    type: {
+      zone_exit: "Leaves a zone",
+      no_report: "No report for a while",
+      speed_above: "Speed above",
+      state_is: "State becomes",
+    },
+    speed: {
+      metric: "Speed limit (km/h)",
+      imperial: "Speed limit (mph)",
+    },
+    status: {
+      open: "open",
+      acknowledged: "acknowledged",
+      resolved: "resolved",
+    },
+    rule: {
+      zone_exit: "Leaves {zone}",
+      no_report: "No report for {duration}",
+      speed_above: "Faster than {speed}",
+      state_is: "Becomes {state}",
+    },
+    fired: {
+      zone_exit: "left {zone}",
+      no_report: "no report for {duration}",
+      speed_above: "speed {speed}",
+      state_is: "became {state}",
+    },
+    invalid: {
+      noName: "Give the rule a name.",
+      noDevice: "Choose the device to watch.",
+      zone: "Choose the zone to watch.",
+      minutes: "The delay must be at least 1 minute.",
+      speed: "The speed limit must be a positive number.",
+      state: "Choose a state.",
+      type: "Unknown rule type \"{type}\".",
+      noChannel: "Choose at least one channel.",
+      email: "The email address is not valid.",
+      webhook: "The webhook must be an https:// URL.",
+      quietHours: "Quiet hours need a start and an end time.",
+    },
+  },
+
+  share: {
+    title: "Share {name}",
+    hint: "Anyone with the link sees this tracker's live position, read-only, without signing in.",
+    close: "Close share links",
+    expiresIn: "Valid for",
+    durations: { "1h": "1 hour", "8h": "8 hours", "24h": "24 hours", "7d": "7 days" },
+    includeFence: "Also show the geofence",
+    create: "Create link",
+    creating: "Creating…",
+    active: "Active links",
+    none: "No active link.",
+    until: "valid until {time}",
+    withFence: "with geofence",
+    copy: "Copy",
+    copied: "Copied",
+    copyFailed: "Copy failed",
+    revoke: "Revoke",
+    confirmRevoke: "Revoke this link? Whoever has it will no longer see the tracker.",
+    noPosition: "No position yet",
+    goneTitle: "Link no longer valid",
+    goneText: "This share link has expired or was revoked. Ask the person who sent it for a new one.",
+  },
+
+  roles: {
+    viewer: "Viewer",
+    operator: "Operator",
+    admin: "Admin",
+    hint: "Your role, from your Cognito groups",
+    readOnlyRules: "Only administrators can change alert rules.",
+  },
+
+  settings: {
+    title: "Settings",
+    close: "Close settings",
+    display: "Display",
+    displayHint: "Saved to your profile, on every device you sign in from.",
+    map: "Map",
+    notify: "Desktop notifications on geofence enter / exit",
+    account: "Account",
+    email: "Email",
+    role: "Role",
+  },
+
+  routes: {
+    unknownDevice: "Device \"{id}\" is not in your list: showing another one instead.",
+  },
+
+  cluster: {
+    devices: { one: "{count} device", other: "{count} devices" },
+    zoomHint: "Click to zoom in",
+  },
+};
@@ -0,0 +1,405 @@
+// src/i18n/fr.js
+// Catalogue français. Mêmes clés que en.js (voir i18n/index.js).
+
+export default {
+  common: {
+    save: "Enregistrer",
+    cancel: "Annuler",
+    clear: "Effacer",
+    dismiss: "Fermer",
+    loading: "Chargement…",
+    saving: "Enregistrement…",
+    state: "État : {state}",
+  },
+
+  state: {
+    moving: "en mouvement",
+    idle: "à l'arrêt",
+    offline: "hors ligne",
+  },
+
+  prefs: {
+    language: "Langue",
+    units: "Unités",
+    metric: "Métriques (m, km)",
+    imperial: "Impériales (ft, mi)",
+  },
+
+  layers: {
+    osm: "Plan",
+    satellite: "Satellite",
+    dark: "Sombre",
+  },
+
+  app: {
+    signIn: "Connexion",
+    prompt: "Veuillez vous connecter pour afficher la carte.",
+    signingIn: "Connexion…",
+    retry: "Réessayer",
+    continueCognito: "Continuer avec Cognito",
+    continueMock: "Continuer (connexion simulée)",
+    expired: "Votre session a expiré, veuillez vous reconnecter.",
+    errors: {
+      cancelled: "Connexion annulée",
+      refused: "Connexion refusée par Cognito",
+      sessionUnavailable: "Session indisponible",
+      unverified: "Connexion non vérifiée",
+      unverifiedDetail: "Cette réponse de connexion ne correspond à aucune tentative en cours (state invalide ou expiré). Veuillez vous reconnecter.",
+      exchangeFailed: "Échange du code impossible",
+      loginFailed: "Connexion impossible",
+    },
+  },
+
+  errors: {
+    timeout: "Le serveur a mis trop de temps à répondre. Veuillez réessayer.",
+    network: "Serveur injoignable. Vérifiez votre connexion.",
+    forbidden: "Vous n'avez pas le droit de faire cela. Demandez l'accès à un administrateur si besoin.",
+    notFound: "Introuvable : {message}",
+    server: "Erreur serveur ({status}) : {message}",
+    badResponse: "Réponse {what} inattendue de l'API",
+  },
+
+  map: {
+    trackerActions: "Actions du traceur",
+    fenceActions: "Actions de la zone",
+    editLocation: "Modifier la position",
+    editName: "Renommer",
+    locationHistory: "Historique des positions",
+    tripReport: "Rapport de trajets",
+    settings: "Paramètres",
+    share: "Partager la position",
+    zones: "Zones",
+    importFile: "Importer un fichier…",
+    trackerNamePrompt: "Nom du traceur :",
+    fenceNamePrompt: "Nom de la zone :",
+    defaultTracker: "Mon traceur",
+    defaultFence: "Ma zone",
+    fenceOf: "Zone de {name}",
+    logout: "Déconnexion",
+    editGeofence: "Modifier la zone",
+    editGeofenceHint: "Cliquez sur la carte ou faites glisser les poignées pour régler le centre et le rayon, ou saisissez des valeurs exactes.",
+    radius: "Rayon :",
+    latitude: "Latitude",
+    longitude: "Longitude",
+    radiusM: "Rayon (m)",
+    useTrackerPosition: "Utiliser la position du traceur",
+    noTrackerPosition: "Le traceur n'a pas encore de position connue.",
+    centerHandle: "Centre de la zone",
+    radiusHandle: "Faites glisser pour changer le rayon",
+    moveTracker: "Déplacer le traceur",
+    moveTrackerHint: "Cliquez sur la carte pour placer (ou déplacer) le traceur.",
+    pickFenceCenter: "Cliquez sur la carte pour choisir le centre de la zone.",
+    fenceUnreadable: "La zone enregistrée n'a pas pu être lue, rien n'a été enregistré : {message}",
+    pickTracker: "Cliquez sur la carte pour placer le traceur.",
+    accuracy: "Précision : ±{value}",
+    inside: "Dans : {areas}",
+    outside: "Hors de toutes les zones",
+    invalid: {
+      lat: "La latitude doit être un nombre entre -90 et 90.",
+      lon: "La longitude doit être un nombre entre -180 et 180.",
+      radius: "Le rayon doit être compris entre {min} et {max}.",
+    },
+  },
+
+  search: {
+    placeholder: "Rechercher une adresse ou un lieu",
+    go: "Rechercher",
+    searching: "Recherche…",
+    clear: "Effacer la recherche",
+    results: "Résultats de la recherche",
+    noResult: "Aucun résultat pour « {query} ».",
+    addressLoading: "Recherche de l'adresse…",
+    errors: {
+      unavailable: "Le service de recherche de lieux est indisponible. Réessayez plus tard.",
+    },
+  },
+
+  view: {
+    follow: "Suivre le traceur",
+    following: "Suivi du traceur",
+    followHint: "Garde le traceur actif au centre. Déplacer la carte vous-même le désactive.",
+    keepZoom: "Garder mon zoom",
+    keepZoomHint: "Pendant le suivi, déplace seulement la carte et garde votre niveau de zoom.",
+    fitActive: "Cadrer traceur + zone",
+    fitAll: "Cadrer tous les appareils",
+  },
+
+  sidebar: {
+    title: "Appareils ({count})",
+    updatesHint: "Mode de mise à jour des positions",
+    polling: "interrogation",
+    live: "direct ({transport})",
+    empty: "Aucun appareil sur ce compte.",
+  },
+
+  status: {
+    lastFix: "Dernière position",
+    speed: "Vitesse",
+    course: "Cap",
+    accuracy: "Précision",
+    battery: "Batterie",
+    signal: "Signal",
+    copy: "Copier",
+    copied: "Copié !",
+    copyFailed: "Échec de la copie",
+    copyHint: "Copier les coordonnées dans le presse-papiers",
+    timeline: "Changements d'état",
+    noChange: "Aucun état reçu pour l'instant.",
+    since: "depuis {duration}",
+  },
+
+  events: {
+    title: "Entrées/sorties de zone ({count})",
+    notifications: "Notifications du bureau",
+    empty: "Aucune entrée ni sortie pour l'instant.",
+    in: "ENTRÉE",
+    out: "SORTIE",
+    entered: "est entré dans {area}",
+    left: "a quitté {area}",
+  },
+
+  freshness: {
+    offline: "Hors ligne — mises à jour en pause",
+    stale: "Données anciennes — dernière mise à jour {ago}",
+    fresh: "Mis à jour {ago}",
+  },
+
+  history: {
+    title: "Historique des positions",
+    close: "Fermer l'historique",
+    quickRange: "Période rapide…",
+    lastHour: "Dernière heure",
+    last6Hours: "6 dernières heures",
+    last24Hours: "24 dernières heures",
+    last7Days: "7 derniers jours",
+    from: "Du",
+    to: "Au",
+    load: "Charger le trajet",
+    empty: "Aucune position enregistrée sur cette période.",
+    points: { one: "{count} point", other: "{count} points" },
+    playbackPosition: "Position de lecture",
+    play: "Lecture",
+    pause: "Pause",
+    exportTrack: "Exporter le trajet + les zones",
+    exportFences: "Exporter les zones",
+  },
+
+  report: {
+    title: "Rapport de trajets · {name}",
+    close: "Fermer le rapport",
+    today: "Aujourd'hui",
+    yesterday: "Hier",
+    lastDays: "{days} derniers jours",
+    from: "Du",
+    to: "Au",
+    badRange: "Choisissez un jour de début antérieur ou égal au jour de fin.",
+    tooLong: "{days} jours au maximum à la fois.",
+    build: "Calculer le rapport",
+    empty: "Aucune position enregistrée ces jours-là.",
+    byDay: "Par jour",
+    day: "Jour",
+    dayHint: "N'afficher que ce jour (cliquer à nouveau pour toute la période)",
+    summary: "Toute la période",
+    distance: "Distance",
+    moving: "En mouvement",
+    idle: "À l'arrêt",
+    noData: "Sans données",
+    noDataHint: "Traceur hors ligne ou silencieux pendant plus de 15 minutes",
+    stops: { one: "{count} arrêt", other: "{count} arrêts" },
+    noStop: "Aucun arrêt détecté.",
+    stopN: "Arrêt {n}",
+    stopHint: "Afficher cet arrêt sur la carte",
+    zones: "Temps par zone",
+    zone: "Zone",
+    inside: "Dedans",
+    outside: "Dehors",
+    downloadCsv: "Télécharger en CSV",
+  },
+
+  zones: {
+    title: "Zones",
+    close: "Fermer les zones",
+    empty: "Aucune zone supplémentaire pour cet appareil.",
+    edit: "Modifier",
+    delete: "Supprimer",
+    newPolygon: "Nouveau polygone",
+    newCircle: "Nouveau cercle",
+    defaultName: "Zone {n}",
+    editZone: "Modifier la zone",
+    newZone: "Nouvelle zone",
+    polygonHint: "Cliquez sur la carte pour ajouter des points. Faites glisser un point pour le déplacer, clic droit pour le supprimer.",
+    circleHint: "Cliquez sur la carte pour choisir le centre, puis réglez le rayon.",
+    name: "Nom",
+    radiusM: "Rayon (m)",
+    points: "Points :",
+    saveZone: "Enregistrer la zone",
+    confirmDelete: "Supprimer la zone « {name} » ?",
+    type: { polygon: "polygone", circle: "cercle" },
+    invalid: {
+      noName: "Donnez un nom à la zone.",
+      polygonMin: "Un polygone doit avoir au moins 3 points.",
+      polygonPoints: "Le polygone contient des points invalides.",
+      circleCenter: "Cliquez sur la carte pour choisir le centre de la zone.",
+      radius: "Le rayon doit être un nombre de mètres positif.",
+      unknownType: "Type de zone inconnu « {type} ».",
+    },
+  },
+
+  import: {
+    title: "Importer des zones",
+    close: "Fermer l'import",
+    drop: "Déposez un fichier GeoJSON ou KML ici, ou cliquez pour en choisir un",
+    reading: "Lecture…",
+    device: "Appareil",
+    choose: "Choisir…",
+    replace: "Remplacer les zones existantes de cet appareil",
+    chooseDevice: "Choisissez l'appareil auquel appartiennent ces zones.",
+    checkOne: "Cochez au moins une forme à importer.",
+    submit: { one: "Importer {count} forme", other: "Importer {count} formes" },
+    unnamed: "{file} n°{n}",
+    errors: {
+      tooLarge: "Ce fichier est trop volumineux (max. {mb} Mo).",
+      unsupportedFile: "Type de fichier « .{ext} » non pris en charge. Utilisez GeoJSON ou KML.",
+      noShape: "Aucune forme trouvée dans ce fichier.",
+      notJson: "Ce fichier n'est pas un JSON valide.",
+      notGeoJson: "Ce fichier n'est pas du GeoJSON.",
+      notXml: "Ce fichier n'est pas un XML valide.",
+      notKml: "Ce fichier n'est pas du KML.",
+      unsupportedShape: "Les formes {type} ne peuvent pas servir de zone.",
+      pointRadius: "Un point doit avoir une valeur radius_m pour devenir un cercle.",
+    },
+  },
+
+  alerts: {
+    button: "Alertes ({count})",
+    close: "Fermer les alertes",
+    alertsTab: "Alertes",
+    rulesTab: "Règles",
+    showResolved: "Afficher les alertes résolues",
+    noAlert: "Aucune alerte.",
+    noRule: "Aucune règle d'alerte pour l'instant.",
+    newRule: "Nouvelle règle",
+    editRule: "Modifier la règle",
+    defaultName: "Règle {n}",
+    edit: "Modifier",
+    delete: "Supprimer",
+    confirmDelete: "Supprimer la règle « {name} » ?",
+    name: "Nom",
+    device: "Appareil",
+    choose: "Choisir…",
+    when: "Alerter quand",
+    zone: "Zone",
+    minutes: "Minutes sans position",
+    state: "État",
+    channels: "Canaux",
+    inApp: "Dans l'application",
+    email: "E-mail",
+    webhook: "Webhook",
+    optional: "facultatif",
+    quietHours: "Heures calmes",
+    quietFrom: "De",
+    quietTo: "À",
+    quietHint: "Pendant les heures calmes, les alertes restent listées mais personne n'est prévenu.",
+    quietRange: "calme {start}–{end}",
+    enabled: "Règle active",
+    disabled: "désactivée",
+    muted: "silencieuse",
+    mutedHint: "Déclenchée pendant les heures calmes : personne n'a été prévenu.",
+    acknowledge: "Prendre en compte",
+    resolve: "Résoudre",
+    show: "Voir",
+    banner: { one: "{count} nouvelle alerte :", other: "{count} nouvelles alertes, dernière :" },
+    type: {
+      zone_exit: "Sort d'une zone",
+      no_report: "Pas de position depuis un moment",
+      speed_above: "Vitesse supérieure à",
+      state_is: "L'état devient",
+    },
+    speed: {
+      metric: "Vitesse limite (km/h)",
+      imperial: "Vitesse limite (mph)",
+    },
+    status: {
+      open: "ouverte",
+      acknowledged: "prise en compte",
+      resolved: "résolue",
+    },
+    rule: {
+      zone_exit: "Sort de {zone}",
+      no_report: "Pas de position depuis {duration}",
+      speed_above: "Plus rapide que {speed}",
+      state_is: "Devient {state}",
+    },
+    fired: {
+      zone_exit: "est sorti de {zone}",
+      no_report: "pas de position depuis {duration}",
+      speed_above: "vitesse {speed}",
+      state_is: "est devenu {state}",
+    },
+    invalid: {
+      noName: "Donnez un nom à la règle.",
+      noDevice: "Choisissez l'appareil à surveiller.",
+      zone: "Choisissez la zone à surveiller.",
+      minutes: "Le délai doit être d'au moins 1 minute.",
+      speed: "La vitesse limite doit être un nombre positif.",
+      state: "Choisissez un état.",
+      type: "Type de règle inconnu « {type} ».",
+      noChannel: "Choisissez au moins un canal.",
+      email: "L'adresse e-mail n'est pas valide.",
+      webhook: "Le webhook doit être une URL https://.",
+      quietHours: "Les heures calmes ont besoin d'une heure de début et de fin.",
+    },
+  },
+
+  share: {
+    title: "Partager {name}",
+    hint: "Toute personne ayant le lien voit la position en direct de ce traceur, en lecture seule, sans se connecter.",
+    close: "Fermer les liens de partage",
+    expiresIn: "Valable",
+    durations: { "1h": "1 heure", "8h": "8 heures", "24h": "24 heures", "7d": "7 jours" },
+    includeFence: "Afficher aussi la zone",
+    create: "Créer un lien",
+    creating: "Création…",
+    active: "Liens actifs",
+    none: "Aucun lien actif.",
+    until: "valable jusqu'au {time}",
+    withFence: "avec la zone",
+    copy: "Copier",
+    copied: "Copié",
+    copyFailed: "Échec de la copie",
+    revoke: "Révoquer",
+    confirmRevoke: "Révoquer ce lien ? Les personnes qui l'ont ne verront plus le traceur.",
+    noPosition: "Pas encore de position",
+    goneTitle: "Lien expiré",
+    goneText: "Ce lien de partage a expiré ou a été révoqué. Demandez-en un nouveau à la personne qui vous l'a envoyé.",
+  },
+
+  roles: {
+    viewer: "Lecteur",
+    operator: "Opérateur",
+    admin: "Admin",
+    hint: "Votre rôle, d'après vos groupes Cognito",
+    readOnlyRules: "Seuls les administrateurs peuvent modifier les règles d'alerte.",
+  },
+
+  settings: {
+    title: "Paramètres",
+    close: "Fermer les paramètres",
+    display: "Affichage",
+    displayHint: "Enregistré dans votre profil, sur tous les appareils où vous vous connectez.",
+    map: "Carte",
+    notify: "Notifications du bureau à l'entrée / sortie des géofences",
+    account: "Compte",
+    email: "E-mail",
+    role: "Rôle",
+  },
+
+  routes: {
+    unknownDevice: "L'appareil « {id} » n'est pas dans votre liste : un autre est affiché.",
+  },
+
+  cluster: {
+    devices: { one: "{count} appareil", other: "{count} appareils" },
+    zoomHint: "Cliquer pour zoomer",
+  },
+};
@@ -0,0 +1,191 @@
+// src/i18n/index.js
+import en from "./en";
+import fr from "./fr";
+
+/**
+ * i18n layer:
+ * Message catalogs (one module per locale, same nested keys) plus the
+ * user's display preferences: { locale: "en" | "fr", units: "metric" | "imperial" }.
+ *
+ * Preferences are cached in localStorage ("ui.prefs") so the sign-in card
+ * already uses the right language; once signed in they are synced with the
+ * user's profile (see hooks/useProfilePreferences.js).
+ *
+ * t() and the format helpers read the current preferences when called, so
+ * they work in plain modules too; components use hooks/useI18n.js to
+ * re-render when the preferences change.
+ */
+
+export const LOCALES = {
+  en: { label: "English", messages: en },
+  fr: { label: "Français", messages: fr },
+};
+export const UNITS = ["metric", "imperial"];
+
+const STORAGE_KEY = "ui.prefs";
+const FALLBACK_LOCALE = "en";
+
+function browserLocale() {
+  const lang = (navigator.languages?.[0] || navigator.language || "").slice(0, 2).toLowerCase();
+  return lang in LOCALES ? lang : FALLBACK_LOCALE;
+}
+
+/**
+ * Keep only values we know, so a bad profile or storage entry can't break the UI.
+ */
+export function normalizePrefs(p, base = { locale: browserLocale(), units: "metric" }) {
+  return {
+    locale: p?.locale in LOCALES ? p.locale : base.locale,
+    units: UNITS.includes(p?.units) ? p.units : base.units,
+  };
+}
+
+let prefs = (() => {
+  try { return normalizePrefs(JSON.parse(localStorage.getItem(STORAGE_KEY))); } catch { return normalizePrefs(null); }
+})();
+const listeners = new Set();
+document.documentElement.lang = prefs.locale;
+
+/**
+ * getPrefs:
+ * Current { locale, units }. The object is replaced (never mutated) on change.
+ */
+export function getPrefs() {
+  return prefs;
+}
+
+/**
+ * setPrefs:
+ * Merge a patch into the preferences, cache them and notify subscribers.
+ */
+export function setPrefs(patch) {
+  const next = normalizePrefs({ ...prefs, ...patch }, prefs);
+  if (next.locale === prefs.locale && next.units === prefs.units) return;
+  prefs = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  document.documentElement.lang = prefs.locale;
+  listeners.forEach(fn => fn(prefs));
+}
+
+/**
+ * subscribe:
+ * Call fn(prefs) on every change. Returns the unsubscribe function.
+ */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// ------------------------------------------------------------------
+// Messages
+// ------------------------------------------------------------------
+
+function lookup(messages, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), messages);
+}
+
+/**
+ * t:
+ * Message for a dotted key ("history.title") in the current locale,
+ * falling back to English, then to params.defaultValue, then to the key.
+ * - params: values for the {name} placeholders. With params.count, the
+ *   entry may be an object of plural forms ({ one, other }) chosen with
+ *   Intl.PluralRules.
+ */
+export function t(key, params = {}) {
+  let msg = lookup(LOCALES[prefs.locale].messages, key);
+  if (msg === undefined) msg = lookup(LOCALES[FALLBACK_LOCALE].messages, key);
+  if (msg === undefined) return params.defaultValue ?? key;
+
+  if (typeof msg === "object") {
+    const form = new Intl.PluralRules(prefs.locale).select(Number(params.count) || 0);
+    msg = msg[form] ?? msg.other;
+  }
+  return String(msg).replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in params)) return m;
+    const v = params[name];
+    return typeof v === "number" ? formatNumber(v) : String(v);
+  });
+}
+
+/**
+ * stateLabel:
+ * Translated device_state ("moving", "idle", "offline"); unknown states
+ * from the backend are shown as they are.
+ */
+export function stateLabel(state) {
+  if (!state) return "—";
+  return t(`state.${state}`, { defaultValue: state });
+}
+
+// ------------------------------------------------------------------
+// Formatting (Intl, current locale and units)
+// ------------------------------------------------------------------
+
+export function formatNumber(n, options) {
+  return new Intl.NumberFormat(prefs.locale, options).format(n);
+}
+
+/**
+ * formatDateTime:
+ * Date + time of an epoch-seconds timestamp (e.g. "19/10/2026 14:03:12").
+ */
+export function formatDateTime(ts, options = { dateStyle: "short", timeStyle: "medium" }) {
+  return new Intl.DateTimeFormat(prefs.locale, options).format(new Date(Number(ts) * 1000));
+}
+
+export function formatTime(ts) {
+  return formatDateTime(ts, { timeStyle: "short" });
+}
+
+/**
+ * formatDistance:
+ * Meters shown as m/km, or ft/mi with imperial units.
+ */
+export function formatDistance(meters) {
+  const m = Number(meters) || 0;
+  const unit = (value, u, digits) =>
+    formatNumber(value, { style: "unit", unit: u, unitDisplay: "short", maximumFractionDigits: digits });
+
+  if (prefs.units === "imperial") {
+    const feet = m / 0.3048;
+    return feet < 1000 ? unit(feet, "foot", 0) : unit(m / 1609.344, "mile", feet < 52800 ? 2 : 1);
+  }
+  return m < 1000 ? unit(m, "meter", 0) : unit(m / 1000, "kilometer", m < 10000 ? 2 : 1);
+}
+
+/**
+ * formatSpeed:
+ * Meters per second shown as km/h, or mph with imperial units.
+ */
+export function formatSpeed(mps) {
+  const v = Number(mps) || 0;
+  const [value, unit] = prefs.units === "imperial" ? [v * 2.236936, "mile-per-hour"] : [v * 3.6, "kilometer-per-hour"];
+  return formatNumber(value, { style: "unit", unit, unitDisplay: "short", maximumFractionDigits: value < 10 ? 1 : 0 });
+}
+
+/**
+ * formatDuration:
+ * A duration in seconds with its largest unit ("45 s", "12 min", "3.5 h", "2 d").
+ */
+export function formatDuration(sec) {
+  const s = Math.max(0, Number(sec) || 0);
+  const unit = (value, u, digits = 0) =>
+    formatNumber(value, { style: "unit", unit: u, unitDisplay: "short", maximumFractionDigits: digits });
+  if (s < 60) return unit(Math.floor(s), "second");
+  if (s < 3600) return unit(Math.floor(s / 60), "minute");
+  if (s < 86400) return unit(s / 3600, "hour", 1);
+  return unit(s / 86400, "day", 1);
+}
+
+/**
+ * formatAgo:
+ * "5 s ago" / "il y a 5 s" for a duration in seconds.
+ */
+export function formatAgo(sec) {
+  const rtf = new Intl.RelativeTimeFormat(prefs.locale, { style: "short" });
+  if (sec < 60) return rtf.format(-sec, "second");
+  if (sec < 3600) return rtf.format(-Math.floor(sec / 60), "minute");
+  if (sec < 86400) return rtf.format(-Math.floor(sec / 3600), "hour");
+  return rtf.format(-Math.floor(sec / 86400), "day");
+}
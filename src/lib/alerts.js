@@ -0,0 +1,149 @@
+// src/lib/alerts.js
+import { isInsideArea } from "./geo";
+import { formatDuration, formatSpeed, stateLabel, t } from "../i18n";
+
+/**
+ * Alert rules model:
+ * A rule watches one device and raises an alert when its condition
+ * becomes true (not again while it stays true):
+ *
+ *   { id, name, device_id, enabled, type, ...parameters, channels, quiet_hours }
+ *
+ *   type "zone_exit"   -> zone_id: area of the device ("main" or a zone id)
+ *   type "no_report"   -> minutes: no fix for that long
+ *   type "speed_above" -> speed_mps: reported speed above it
+ *   type "state_is"    -> state: device_state became this value
+ *
+ *   channels:    { in_app: bool, email: address | null, webhook: URL | null }
+ *   quiet_hours: { start: "22:00", end: "07:00" } | null (local time, may span midnight)
+ *
+ * The backend evaluates the rules and sends email/webhook notifications;
+ * during quiet hours alerts are still recorded but marked muted.
+ */
+export const ALERT_TYPES = ["zone_exit", "no_report", "speed_above", "state_is"];
+export const ALERT_STATES = ["moving", "idle", "offline"];
+
+/**
+ * newRule:
+ * A rule with sensible defaults, ready for the editor.
+ */
+export function newRule(deviceId, name) {
+  return {
+    name,
+    device_id: deviceId,
+    enabled: true,
+    type: "zone_exit",
+    zone_id: "main",
+    minutes: 15,
+    speed_mps: 50 / 3.6,
+    state: "offline",
+    channels: { in_app: true, email: null, webhook: null },
+    quiet_hours: null,
+  };
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * validateRule:
+ * Returns null when the rule can be saved, otherwise a message for the user.
+ * - zoneIds: ids of the areas of the rule's device (zone_exit rules)
+ */
+export function validateRule(r, zoneIds = []) {
+  if (!String(r?.name || "").trim()) return t("alerts.invalid.noName");
+  if (!r.device_id) return t("alerts.invalid.noDevice");
+  switch (r.type) {
+    case "zone_exit":
+      if (!zoneIds.includes(r.zone_id)) return t("alerts.invalid.zone");
+      break;
+    case "no_report":
+      if (!(Number(r.minutes) >= 1)) return t("alerts.invalid.minutes");
+      break;
+    case "speed_above":
+      if (!(Number(r.speed_mps) > 0)) return t("alerts.invalid.speed");
+      break;
+    case "state_is":
+      if (!r.state) return t("alerts.invalid.state");
+      break;
+    default:
+      return t("alerts.invalid.type", { type: r.type });
+  }
+  const ch = r.channels || {};
+  if (!ch.in_app && !ch.email && !ch.webhook) return t("alerts.invalid.noChannel");
+  if (ch.email && !EMAIL.test(ch.email)) return t("alerts.invalid.email");
+  if (ch.webhook && !/^https:\/\/\S+$/.test(ch.webhook)) return t("alerts.invalid.webhook");
+  if (r.quiet_hours && !(HHMM.test(r.quiet_hours.start) && HHMM.test(r.quiet_hours.end))) {
+    return t("alerts.invalid.quietHours");
+  }
+  return null;
+}
+
+/**
+ * inQuietHours:
+ * True when `date` (local time) falls inside the quiet hours, which may
+ * span midnight ("22:00" -> "07:00").
+ */
+export function inQuietHours(quiet, date = new Date()) {
+  if (!quiet) return false;
+  const minutes = (hhmm) => { const [h, m] = hhmm.split(":").map(Number); return h * 60 + m; };
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutes(quiet.start), end = minutes(quiet.end);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * ruleCondition:
+ * Evaluates a rule against the latest status of its device.
+ * - areas: areas of the device (lib/geo.js fenceAreas)
+ * - now: epoch seconds
+ * Returns the value that makes the condition true (area id, minutes
+ * silent, speed, state) or null when it is false or can't be told.
+ */
+export function ruleCondition(rule, status, areas, now = Math.floor(Date.now() / 1000)) {
+  if (!status) return null;
+  switch (rule.type) {
+    case "zone_exit": {
+      const area = areas.find(a => a.id === rule.zone_id);
+      if (!area || status.last_lat == null) return null;
+      return isInsideArea([status.last_lat, status.last_lon], area) ? null : area.id;
+    }
+    case "no_report": {
+      const silent = status.last_update_ts ? (now - status.last_update_ts) / 60 : null;
+      return silent !== null && silent >= rule.minutes ? Math.floor(silent) : null;
+    }
+    case "speed_above":
+      return status.speed_mps != null && status.speed_mps > rule.speed_mps ? status.speed_mps : null;
+    case "state_is":
+      return status.device_state === rule.state ? status.device_state : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * describeRule / describeAlert:
+ * One-line text of a rule condition ("Leaves Warehouse") and of what
+ * triggered an alert ("Left Warehouse", "No report for 20 min"...).
+ * - zoneName(deviceId, zoneId): label of an area, for zone rules
+ */
+export function describeRule(rule, zoneName) {
+  switch (rule.type) {
+    case "zone_exit": return t("alerts.rule.zone_exit", { zone: zoneName(rule.device_id, rule.zone_id) });
+    case "no_report": return t("alerts.rule.no_report", { duration: formatDuration(rule.minutes * 60) });
+    case "speed_above": return t("alerts.rule.speed_above", { speed: formatSpeed(rule.speed_mps) });
+    case "state_is": return t("alerts.rule.state_is", { state: stateLabel(rule.state) });
+    default: return rule.type;
+  }
+}
+
+export function describeAlert(alert, zoneName) {
+  switch (alert.type) {
+    case "zone_exit": return t("alerts.fired.zone_exit", { zone: zoneName(alert.device_id, alert.value) });
+    case "no_report": return t("alerts.fired.no_report", { duration: formatDuration(Number(alert.value) * 60) });
+    case "speed_above": return t("alerts.fired.speed_above", { speed: formatSpeed(alert.value) });
+    case "state_is": return t("alerts.fired.state_is", { state: stateLabel(alert.value) });
+    default: return alert.rule_name;
+  }
+}
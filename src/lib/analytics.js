@@ -0,0 +1,156 @@
+// src/lib/analytics.js
+import { haversineMeters, isInsideArea } from "./geo";
+
+/**
+ * Trip and dwell analytics of a loaded track (history points, sorted by time).
+ * Everything is computed per local day:
+ *
+ *   { day, distance_m, moving_s, idle_s, no_data_s, stops, zones }
+ *
+ * - day: epoch seconds of the local midnight (null for the total)
+ * - moving_s / idle_s: time between two fixes, by the state of the first
+ *   one (or the speed between them when the tracker reports no state)
+ * - no_data_s: gaps longer than MAX_GAP_S and offline periods
+ * - distance_m: moving legs and gaps (the device did get there); idle GPS
+ *   jitter is not counted
+ * - stops: [{ start, end, duration_s, lat, lon }], see detectStops
+ * - zones: [{ id, name, inside_s, outside_s }] for each area of the device
+ *
+ * A leg that spans midnight is split between both days.
+ */
+
+export const STOP_RADIUS_M = 50;     // a stop stays within this distance of where it began
+export const STOP_MIN_S = 120;       // ... for at least this long
+export const MAX_GAP_S = 15 * 60;    // longer silences count as "no data"
+export const REPORT_MAX_DAYS = 7;    // longest range the report panel loads at once
+const MOVING_MIN_MPS = 0.5;          // slower legs are GPS drift (trackers without state)
+
+/**
+ * dayStart / nextDay:
+ * Local midnight of a time, and of the following day (DST safe).
+ */
+export function dayStart(ts) {
+  const d = new Date(ts * 1000);
+  d.setHours(0, 0, 0, 0);
+  return Math.floor(d.getTime() / 1000);
+}
+export function nextDay(day) {
+  const d = new Date(day * 1000);
+  d.setDate(d.getDate() + 1);
+  d.setHours(0, 0, 0, 0);
+  return Math.floor(d.getTime() / 1000);
+}
+
+/**
+ * localDate:
+ * "YYYY-MM-DD" of a time in the local time zone.
+ */
+export function localDate(ts) {
+  const d = new Date(ts * 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const at = (p) => [p.lat, p.lon];
+
+function legKind(a, b, meters) {
+  const dt = b.ts - a.ts;
+  if (dt <= 0 || dt > MAX_GAP_S || a.device_state === "offline") return "gap";
+  if (a.device_state === "moving" || a.device_state === "idle") return a.device_state;
+  return meters / dt >= MOVING_MIN_MPS ? "moving" : "idle";
+}
+
+/**
+ * detectStops:
+ * Runs of fixes that stay within STOP_RADIUS_M of the first one for at
+ * least STOP_MIN_S. The stop position is the mean of its fixes.
+ */
+export function detectStops(points) {
+  const stops = [];
+  let i = 0;
+  while (i < points.length) {
+    let j = i + 1;
+    while (j < points.length && haversineMeters(at(points[i]), at(points[j])) <= STOP_RADIUS_M) j++;
+    const first = points[i], last = points[j - 1];
+    if (last.ts - first.ts >= STOP_MIN_S) {
+      const group = points.slice(i, j);
+      stops.push({
+        start: first.ts,
+        end: last.ts,
+        duration_s: last.ts - first.ts,
+        lat: group.reduce((s, p) => s + p.lat, 0) / group.length,
+        lon: group.reduce((s, p) => s + p.lon, 0) / group.length,
+      });
+      i = j;
+    } else {
+      i += 1;
+    }
+  }
+  return stops;
+}
+
+function emptyTotals(day, areas) {
+  return {
+    day,
+    distance_m: 0,
+    moving_s: 0,
+    idle_s: 0,
+    no_data_s: 0,
+    stops: [],
+    zones: areas.map(a => ({ id: a.id, name: a.name, inside_s: 0, outside_s: 0 })),
+  };
+}
+
+function addLeg(totals, kind, meters, seconds, inside) {
+  if (kind === "gap") {
+    totals.distance_m += meters;
+    totals.no_data_s += seconds;
+    return;
+  }
+  if (kind === "moving") {
+    totals.distance_m += meters;
+    totals.moving_s += seconds;
+  } else {
+    totals.idle_s += seconds;
+  }
+  totals.zones.forEach((z, i) => {
+    if (inside[i]) z.inside_s += seconds;
+    else z.outside_s += seconds;
+  });
+}
+
+/**
+ * buildReport:
+ * Daily analytics of a track against the device areas (lib/geo.js fenceAreas).
+ * Returns { days: [...] (oldest first, the days the track covers), total }.
+ */
+export function buildReport(points, areas = []) {
+  const days = new Map();
+  const dayOf = (day) => {
+    if (!days.has(day)) days.set(day, emptyTotals(day, areas));
+    return days.get(day);
+  };
+  const total = emptyTotals(null, areas);
+  const inside = points.map(p => areas.map(a => isInsideArea(at(p), a)));
+
+  points.forEach(p => dayOf(dayStart(p.ts)));
+  for (let k = 1; k < points.length; k++) {
+    const a = points[k - 1], b = points[k];
+    const meters = haversineMeters(at(a), at(b));
+    const kind = legKind(a, b, meters);
+    addLeg(total, kind, meters, b.ts - a.ts, inside[k - 1]);
+
+    // Share the leg between the days it spans
+    for (let from = a.ts; from < b.ts;) {
+      const day = dayStart(from);
+      const to = Math.min(b.ts, nextDay(day));
+      addLeg(dayOf(day), kind, meters * (to - from) / (b.ts - a.ts), to - from, inside[k - 1]);
+      from = to;
+    }
+  }
+
+  total.stops = detectStops(points);
+  total.stops.forEach(s => dayOf(dayStart(s.start)).stops.push(s));
+
+  return { days: [...days.values()].sort((x, y) => x.day - y.day), total };
+}
@@ -0,0 +1,14 @@
+// src/lib/backoff.js
+
+/**
+ * backoffDelay:
+ * Delay before the next attempt after `failures` consecutive failures.
+ * Doubles from `base` up to `max`, then adds random jitter around it
+ * (50%–150%) so many clients failing together don't retry in lockstep.
+ * With no failure it returns `base` unchanged.
+ */
+export function backoffDelay(base, failures, max) {
+  if (failures <= 0) return base;
+  const exp = Math.min(max, base * 2 ** failures);
+  return Math.round(exp * (0.5 + Math.random()));
+}
@@ -0,0 +1,11 @@
+// src/lib/batch.js
+
+/**
+ * chunk:
+ * `list` cut into arrays of at most `size` items (batch requests).
+ */
+export function chunk(list, size) {
+  const parts = [];
+  for (let i = 0; i < list.length; i += size) parts.push(list.slice(i, i + size));
+  return parts;
+}
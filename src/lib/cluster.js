@@ -0,0 +1,73 @@
+// src/lib/cluster.js
+
+/**
+ * Marker clustering of the fleet (no dependency).
+ * Devices are grouped by square cells of CLUSTER_CELL_PX screen pixels at
+ * the current zoom. The grid is anchored to the world (projected pixels),
+ * not to the viewport, so clusters stay put while panning and only change
+ * when zooming or when a device moves to another cell.
+ */
+export const CLUSTER_CELL_PX = 80;
+export const CLUSTER_MAX_ZOOM = 16; // from this zoom on, every device gets its own marker
+
+/**
+ * clusterPoints:
+ * Groups points [{ id, lat, lon, state }].
+ * - project([lat, lon]): world pixel { x, y } at the current zoom (map.project)
+ * - zoom: current zoom (no cluster from CLUSTER_MAX_ZOOM on)
+ * - keep: Set of ids that never join a cluster (active device, open popup)
+ *
+ * Returns { clusters, singles } where singles are point ids and clusters:
+ *   { key, sig, lat, lon, count, states: { [state]: n }, bounds: [[s, w], [n, e]] }
+ * - lat / lon: mean position of the members
+ * - sig: changes whenever anything shown for the cluster does (for memo)
+ * A cell holding one point gives a single.
+ */
+export function clusterPoints(points, project, { zoom, keep = new Set() }) {
+  if (zoom >= CLUSTER_MAX_ZOOM) return { clusters: [], singles: points.map(p => p.id) };
+
+  const cells = new Map();
+  const singles = [];
+  points.forEach(p => {
+    if (keep.has(p.id)) {
+      singles.push(p.id);
+      return;
+    }
+    const { x, y } = project([p.lat, p.lon]);
+    const key = `${Math.floor(x / CLUSTER_CELL_PX)}:${Math.floor(y / CLUSTER_CELL_PX)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(p);
+  });
+
+  const clusters = [];
+  cells.forEach((members, key) => {
+    if (members.length === 1) {
+      singles.push(members[0].id);
+      return;
+    }
+    const states = {};
+    let lat = 0, lon = 0, s = 90, w = 180, n = -90, e = -180;
+    members.forEach(p => {
+      const state = p.state || ""; // "" = no state reported
+      states[state] = (states[state] || 0) + 1;
+      lat += p.lat;
+      lon += p.lon;
+      s = Math.min(s, p.lat); n = Math.max(n, p.lat);
+      w = Math.min(w, p.lon); e = Math.max(e, p.lon);
+    });
+    lat /= members.length;
+    lon /= members.length;
+    const breakdown = Object.entries(states).map(([k, v]) => `${k}=${v}`).sort().join(",");
+    clusters.push({
+      key: `${zoom}:${key}`,
+      sig: `${zoom}:${key}|${breakdown}|${lat.toFixed(6)}|${lon.toFixed(6)}`,
+      lat,
+      lon,
+      count: members.length,
+      states,
+      bounds: [[s, w], [n, e]],
+    });
+  });
+
+  return { clusters, singles };
+}
@@ -0,0 +1,220 @@
+// src/lib/export.js
+import { circleToPolygon } from "./geo";
+import { localDate } from "./analytics";
+
+/**
+ * Exports of a device view: the loaded track (history points) and the
+ * device areas (main circle + zones, see lib/geo.js fenceAreas).
+ * Every builder takes the same input and returns the file content:
+ *
+ *   { deviceId, deviceName, points: [{ ts, lat, lon, device_state }], areas }
+ *
+ * Circles are written as polygons (64 segments) since none of these formats
+ * has a circle type; the real center/radius are kept as attributes.
+ */
+
+export const EXPORT_FORMATS = {
+  gpx:     { label: "GPX",     ext: "gpx",     mime: "application/gpx+xml",                  build: toGPX },
+  kml:     { label: "KML",     ext: "kml",     mime: "application/vnd.google-earth.kml+xml", build: toKML },
+  geojson: { label: "GeoJSON", ext: "geojson", mime: "application/geo+json",                 build: toGeoJSON },
+  csv:     { label: "CSV",     ext: "csv",     mime: "text/csv",                             build: toCSV },
+};
+
+const iso = (ts) => new Date(ts * 1000).toISOString();
+
+function xml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+/**
+ * Outline of an area as a closed [lat, lon] ring.
+ */
+function ringOf(area) {
+  if (area.type === "circle") return circleToPolygon(area.center, area.radius_m);
+  const pts = area.points;
+  const first = pts[0], last = pts[pts.length - 1];
+  return first[0] === last[0] && first[1] === last[1] ? pts : [...pts, first];
+}
+
+// ------------------------------------------------------------------
+// GeoJSON (RFC 7946: [lon, lat] order)
+// ------------------------------------------------------------------
+
+export function toGeoJSON({ deviceId, deviceName, points, areas }) {
+  const features = [];
+  if (points.length > 1) {
+    features.push({
+      type: "Feature",
+      geometry: { type: "LineString", coordinates: points.map(p => [p.lon, p.lat]) },
+      properties: {
+        kind: "track", device_id: deviceId, name: deviceName,
+        start: iso(points[0].ts), end: iso(points[points.length - 1].ts),
+        coordTimes: points.map(p => iso(p.ts)),
+      },
+    });
+  }
+  points.forEach(p => features.push({
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [p.lon, p.lat] },
+    properties: { kind: "position", device_id: deviceId, time: iso(p.ts), ts: p.ts, device_state: p.device_state },
+  }));
+  areas.forEach(a => features.push({
+    type: "Feature",
+    geometry: { type: "Polygon", coordinates: [ringOf(a).map(([lat, lon]) => [lon, lat])] },
+    properties: {
+      kind: "geofence", device_id: deviceId, id: a.id, name: a.name, shape: a.type,
+      ...(a.type === "circle" ? { center_lat: a.center[0], center_lon: a.center[1], radius_m: a.radius_m } : {}),
+    },
+  }));
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+// ------------------------------------------------------------------
+// KML (Google Earth)
+// ------------------------------------------------------------------
+
+export function toKML({ deviceId, deviceName, points, areas }) {
+  const coords = (ring) => ring.map(([lat, lon]) => `${lon},${lat},0`).join(" ");
+  const placemarks = [];
+
+  if (points.length > 1) {
+    placemarks.push(`    <Placemark>
+      <name>${xml(deviceName)} track</name>
+      <TimeSpan><begin>${iso(points[0].ts)}</begin><end>${iso(points[points.length - 1].ts)}</end></TimeSpan>
+      <styleUrl>#track</styleUrl>
+      <LineString><tessellate>1</tessellate><coordinates>${coords(points.map(p => [p.lat, p.lon]))}</coordinates></LineString>
+    </Placemark>`);
+  }
+  points.forEach(p => placemarks.push(`    <Placemark>
+      <TimeStamp><when>${iso(p.ts)}</when></TimeStamp>
+      <styleUrl>#position</styleUrl>
+      <ExtendedData><Data name="device_state"><value>${xml(p.device_state)}</value></Data></ExtendedData>
+      <Point><coordinates>${p.lon},${p.lat},0</coordinates></Point>
+    </Placemark>`));
+  areas.forEach(a => placemarks.push(`    <Placemark>
+      <name>${xml(a.name)}</name>
+      <styleUrl>#geofence</styleUrl>
+      <ExtendedData><Data name="shape"><value>${a.type}</value></Data>${
+        a.type === "circle" ? `<Data name="radius_m"><value>${a.radius_m}</value></Data>` : ""
+      }</ExtendedData>
+      <Polygon><outerBoundaryIs><LinearRing><coordinates>${coords(ringOf(a))}</coordinates></LinearRing></outerBoundaryIs></Polygon>
+    </Placemark>`));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(deviceName)} (${xml(deviceId)})</name>
+    <Style id="track"><LineStyle><color>ffed3a7c</color><width>4</width></LineStyle></Style>
+    <Style id="position"><IconStyle><scale>0.5</scale></IconStyle></Style>
+    <Style id="geofence"><LineStyle><color>ffeb6325</color><width>2</width></LineStyle><PolyStyle><color>262563eb</color></PolyStyle></Style>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+// ------------------------------------------------------------------
+// GPX (tracks; geofence outlines as routes since GPX has no polygons)
+// ------------------------------------------------------------------
+
+// Namespace of our own <extensions> elements (the device state of a point)
+const GPX_EXT_NS = "urn:tracker-map:gpx:1";
+
+export function toGPX({ deviceId, deviceName, points, areas }) {
+  const trkpts = points.map(p => `      <trkpt lat="${p.lat}" lon="${p.lon}"><time>${iso(p.ts)}</time>${
+    p.device_state ? `<extensions><tm:device_state>${xml(p.device_state)}</tm:device_state></extensions>` : ""
+  }</trkpt>`).join("\n");
+  const rtes = areas.map(a => `  <rte>
+    <name>${xml(a.name)}</name>
+    <type>geofence-${a.type}</type>
+${ringOf(a).map(([lat, lon]) => `    <rtept lat="${lat}" lon="${lon}"/>`).join("\n")}
+  </rte>`).join("\n");
+
+  // GPX 1.1 order: metadata, wpt, rte, trk
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="tracker-map" xmlns="http://www.topografix.com/GPX/1/1" xmlns:tm="${GPX_EXT_NS}">
+  <metadata><name>${xml(deviceName)} (${xml(deviceId)})</name><time>${new Date().toISOString()}</time></metadata>
+${rtes ? `${rtes}\n` : ""}${points.length ? `  <trk>
+    <name>${xml(deviceName)}</name>
+    <trkseg>
+${trkpts}
+    </trkseg>
+  </trk>
+` : ""}</gpx>
+`;
+}
+
+// ------------------------------------------------------------------
+// CSV (one row per position, then one row per geofence with WKT geometry)
+// ------------------------------------------------------------------
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV({ deviceId, points, areas }) {
+  const header = ["kind", "device_id", "name", "time", "ts", "lat", "lon", "device_state", "radius_m", "wkt"];
+  const rows = points.map(p => ["position", deviceId, "", iso(p.ts), p.ts, p.lat, p.lon, p.device_state, "", ""]);
+  areas.forEach(a => {
+    const wkt = `POLYGON((${ringOf(a).map(([lat, lon]) => `${lon} ${lat}`).join(", ")}))`;
+    const [lat, lon] = a.type === "circle" ? a.center : ["", ""];
+    rows.push(["geofence", deviceId, a.name, "", "", lat, lon, "", a.type === "circle" ? a.radius_m : "", wkt]);
+  });
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * toReportCSV:
+ * The trip report of lib/analytics.js (buildReport) as CSV: one row per day,
+ * per stop and per day and zone. Times in seconds, distances in meters.
+ */
+export function toReportCSV(report, { deviceId }) {
+  const header = [
+    "kind", "device_id", "date", "start", "end", "distance_m", "moving_s", "idle_s", "no_data_s",
+    "stops", "duration_s", "lat", "lon", "zone", "inside_s", "outside_s",
+  ];
+  const rows = [];
+  report.days.forEach(d => {
+    rows.push(["day", deviceId, localDate(d.day), "", "", Math.round(d.distance_m), d.moving_s, d.idle_s, d.no_data_s,
+      d.stops.length, "", "", "", "", "", ""]);
+    d.stops.forEach(s => rows.push(["stop", deviceId, localDate(d.day), iso(s.start), iso(s.end), "", "", "", "",
+      "", s.duration_s, s.lat.toFixed(6), s.lon.toFixed(6), "", "", ""]));
+    d.zones.forEach(z => rows.push(["zone", deviceId, localDate(d.day), "", "", "", "", "", "",
+      "", "", "", "", z.name, z.inside_s, z.outside_s]));
+  });
+  return [header, ...rows].map(r => r.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// ------------------------------------------------------------------
+// Download
+// ------------------------------------------------------------------
+
+/**
+ * saveFile:
+ * Makes the browser save `content` as a file called `name`.
+ */
+export function saveFile(name, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name.replace(/[^\w.-]+/g, "_");
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * downloadExport:
+ * Builds the file for `format` (a key of EXPORT_FORMATS) and makes the
+ * browser save it. `range` ({ from, to }, epoch seconds) goes in the name.
+ */
+export function downloadExport(format, data, range) {
+  const f = EXPORT_FORMATS[format];
+  const stamp = (ts) => iso(ts).slice(0, 16).replace(/[:T]/g, "-");
+  const span = range ? `_${stamp(range.from)}_${stamp(range.to)}` : "";
+  saveFile(`${data.deviceId}${span}.${f.ext}`, f.build(data), f.mime);
+}
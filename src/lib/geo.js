@@ -0,0 +1,103 @@
+// src/lib/geo.js
+
+const EARTH_RADIUS_M = 6371008.8;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/**
+ * haversineMeters:
+ * Great-circle distance in meters between two [lat, lon] points.
+ */
+export function haversineMeters(a, b) {
+  const dLat = toRad(b[0] - a[0]);
+  const dLon = toRad(b[1] - a[1]);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * pointInPolygon:
+ * Ray casting test. polygon is a list of [lat, lon] vertices (open or closed ring).
+ * Fine for site-sized polygons; we treat lat/lon as planar coordinates.
+ */
+export function pointInPolygon(pt, polygon) {
+  const [y, x] = pt;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i];
+    const [yj, xj] = polygon[j];
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * fenceAreas:
+ * Every area of a geofence document as a flat list, the main circle first:
+ *   [{ id, name, type: "circle", center, radius_m } | { id, name, type: "polygon", points }]
+ * - mainName: label to use for the main circle
+ * - zones: the extra zones (see lib/zones.js)
+ */
+export function fenceAreas(fence, mainName, zones = []) {
+  const areas = [];
+  if (Number.isFinite(Number(fence?.center_lat)) && Number(fence?.radius_m) > 0) {
+    areas.push({
+      id: "main",
+      name: mainName,
+      type: "circle",
+      center: [Number(fence.center_lat), Number(fence.center_lon)],
+      radius_m: Number(fence.radius_m),
+    });
+  }
+  return [...areas, ...zones];
+}
+
+/**
+ * isInsideArea:
+ * Haversine for circles, point-in-polygon for polygons.
+ */
+export function isInsideArea(pt, area) {
+  if (area.type === "circle") return haversineMeters(pt, area.center) <= area.radius_m;
+  if (area.type === "polygon") return pointInPolygon(pt, area.points);
+  return false;
+}
+
+/**
+ * circleToPolygon:
+ * Approximates a circle as a closed ring of [lat, lon] points, for formats
+ * that have no circle type (GeoJSON, KML, GPX...).
+ */
+export function circleToPolygon(center, radiusM, segments = 64) {
+  const [lat, lon] = center;
+  const dLat = (radiusM / EARTH_RADIUS_M) * (180 / Math.PI);
+  const dLon = dLat / Math.cos(toRad(lat));
+  const ring = [];
+  for (let i = 0; i <= segments; i++) {
+    const a = (2 * Math.PI * i) / segments;
+    ring.push([lat + dLat * Math.sin(a), lon + dLon * Math.cos(a)]);
+  }
+  return ring;
+}
+
+/**
+ * destinationPoint:
+ * The [lat, lon] point `meters` away from `from` in direction `bearing`
+ * (degrees clockwise from north). Same planar approximation as circleToPolygon.
+ */
+export function destinationPoint(from, meters, bearing) {
+  const [lat, lon] = from;
+  const dLat = (meters / EARTH_RADIUS_M) * (180 / Math.PI);
+  const dLon = dLat / Math.cos(toRad(lat));
+  return [lat + dLat * Math.cos(toRad(bearing)), lon + dLon * Math.sin(toRad(bearing))];
+}
+
+/**
+ * bearingDeg:
+ * Direction from a to b in degrees clockwise from north (0..360), planar.
+ */
+export function bearingDeg(a, b) {
+  const dy = b[0] - a[0];
+  const dx = (b[1] - a[1]) * Math.cos(toRad(a[0]));
+  return ((Math.atan2(dx, dy) * 180) / Math.PI + 360) % 360;
+}
@@ -0,0 +1,165 @@
+// src/lib/importFences.js
+import { newZone, validateZone } from "./zones";
+import { t } from "../i18n";
+
+/**
+ * Reads geofences from GeoJSON or KML files (as maintained by a GIS team,
+ * or produced by lib/export.js) and turns them into zones (see lib/zones.js).
+ *
+ * Supported shapes:
+ * - Polygon / MultiPolygon: outer ring of each polygon (holes are ignored)
+ * - Point with a radius (GeoJSON property / KML ExtendedData "radius_m"
+ *   or "radius"): a circle
+ * - Our own exports: polygons tagged shape "circle" come back as circles
+ * Anything else (lines, bare points...) is listed with a problem instead
+ * of being silently dropped.
+ */
+
+export const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * parseFenceFile:
+ * - name: file name (used to guess the format and to name unnamed shapes)
+ * - text: file content
+ * Returns [{ zone, problem }], problem being null when the zone can be
+ * saved. Throws an Error with a user-facing message if the file can't be read.
+ */
+export function parseFenceFile(name, text) {
+  const ext = name.toLowerCase().split(".").pop();
+  const trimmed = text.trimStart();
+  let shapes;
+  if (ext === "kml" || trimmed.startsWith("<")) shapes = parseKML(text);
+  else if (ext === "geojson" || ext === "json" || trimmed.startsWith("{")) shapes = parseGeoJSON(text);
+  else throw new Error(t("import.errors.unsupportedFile", { ext }));
+
+  if (shapes.length === 0) throw new Error(t("import.errors.noShape"));
+  const base = name.replace(/\.[^.]+$/, "");
+  return shapes.map((s, i) => {
+    const zone = { ...s.zone, name: s.zone.name || t("import.unnamed", { file: base, n: i + 1 }) };
+    return { zone, problem: s.problem || validateZone(zone) };
+  });
+}
+
+// ------------------------------------------------------------------
+// Shape builders
+// ------------------------------------------------------------------
+
+/**
+ * Ring of [lon, lat] (file order) to our [lat, lon] points, without the
+ * closing point.
+ */
+function ringToPoints(ring) {
+  const pts = ring.map(c => [Number(c[1]), Number(c[0])]);
+  const first = pts[0], last = pts[pts.length - 1];
+  if (pts.length > 1 && first[0] === last[0] && first[1] === last[1]) pts.pop();
+  return pts;
+}
+
+function polygon(name, ring) {
+  return { zone: { ...newZone("polygon", name), points: ringToPoints(ring) } };
+}
+
+function circle(name, lat, lon, radius) {
+  return { zone: { ...newZone("circle", name), center: [Number(lat), Number(lon)], radius_m: Number(radius) } };
+}
+
+function unsupported(name, type) {
+  return { zone: { ...newZone("polygon", name) }, problem: t("import.errors.unsupportedShape", { type }) };
+}
+
+// ------------------------------------------------------------------
+// GeoJSON
+// ------------------------------------------------------------------
+
+function parseGeoJSON(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { throw new Error(t("import.errors.notJson")); }
+
+  const features =
+    doc?.type === "FeatureCollection" ? doc.features || []
+    : doc?.type === "Feature" ? [doc]
+    : doc?.type ? [{ type: "Feature", geometry: doc, properties: {} }]
+    : null;
+  if (!Array.isArray(features)) throw new Error(t("import.errors.notGeoJson"));
+
+  return features.flatMap(f => {
+    const props = f.properties || {};
+    // Our exports also carry the track and its positions: not fences
+    if (props.kind === "track" || props.kind === "position") return [];
+    const name = props.name || props.Name || props.title || "";
+    return fromGeometry(f.geometry, name, props);
+  });
+}
+
+function fromGeometry(g, name, props) {
+  switch (g?.type) {
+    case "Polygon": {
+      if (props.shape === "circle" && Number(props.radius_m) > 0) {
+        return [circle(name, props.center_lat, props.center_lon, props.radius_m)];
+      }
+      return [polygon(name, g.coordinates?.[0] || [])];
+    }
+    case "MultiPolygon":
+      return (g.coordinates || []).map((p, i, all) =>
+        polygon(all.length > 1 && name ? `${name} (${i + 1})` : name, p[0] || []));
+    case "Point": {
+      const radius = props.radius_m ?? props.radius;
+      if (Number(radius) > 0) return [circle(name, g.coordinates[1], g.coordinates[0], radius)];
+      return [{ ...unsupported(name, "Point"), problem: t("import.errors.pointRadius") }];
+    }
+    case "GeometryCollection":
+      return (g.geometries || []).flatMap(sub => fromGeometry(sub, name, props));
+    default:
+      return [unsupported(name, g?.type || "Empty")];
+  }
+}
+
+// ------------------------------------------------------------------
+// KML
+// ------------------------------------------------------------------
+
+function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error(t("import.errors.notXml"));
+  if (!doc.getElementsByTagName("kml").length) throw new Error(t("import.errors.notKml"));
+
+  const child = (el, tag) => el.getElementsByTagName(tag)[0] || null;
+  const coords = (el) => (el?.textContent || "").trim().split(/\s+/).filter(Boolean).map(c => c.split(","));
+
+  return Array.from(doc.getElementsByTagName("Placemark")).flatMap(pm => {
+    const name = child(pm, "name")?.textContent.trim() || "";
+    // ExtendedData <Data name="..."><value>...</value></Data>
+    const data = {};
+    Array.from(pm.getElementsByTagName("Data")).forEach(d => {
+      data[d.getAttribute("name")] = child(d, "value")?.textContent.trim();
+    });
+    // Our exports: the track placemark and the positions are not fences
+    if (child(pm, "styleUrl")?.textContent.trim() === "#track") return [];
+    if (child(pm, "LineString") && !child(pm, "Polygon")) return [unsupported(name, "Line")];
+
+    const polygons = Array.from(pm.getElementsByTagName("Polygon"));
+    if (polygons.length === 1 && data.shape === "circle" && Number(data.radius_m) > 0) {
+      // Exported circle: the ring is regular, its vertex average is the center
+      const pts = ringToPoints(coords(child(polygons[0], "coordinates")));
+      const avg = (k) => pts.reduce((sum, p) => sum + p[k], 0) / (pts.length || 1);
+      return [circle(name, avg(0), avg(1), data.radius_m)];
+    }
+    if (polygons.length) {
+      return polygons.map((p, i) => {
+        const ring = coords(child(child(p, "outerBoundaryIs") || p, "coordinates"));
+        const label = polygons.length > 1 && name ? `${name} (${i + 1})` : name;
+        return polygon(label, ring);
+      });
+    }
+
+    const point = child(pm, "Point");
+    if (point) {
+      const [lon, lat] = coords(child(point, "coordinates"))[0] || [];
+      const radius = data.radius_m ?? data.radius;
+      if (Number(radius) > 0) return [circle(name, lat, lon, radius)];
+      if (data.device_state !== undefined) return [];   // a position from our exports
+      return [{ ...unsupported(name, "Point"), problem: t("import.errors.pointRadius") }];
+    }
+    return [];
+  });
+}
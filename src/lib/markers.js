@@ -0,0 +1,118 @@
+// src/lib/markers.js
+import L from "leaflet";
+import { STALE_AFTER_MS } from "../config";
+
+/**
+ * Colors of the device states (marker ring, sidebar dot...).
+ * Unknown states fall back to UNKNOWN_COLOR.
+ */
+export const STATE_COLORS = {
+  moving: "#22c55e",
+  idle: "#eab308",
+  offline: "#6b7280",
+};
+export const UNKNOWN_COLOR = "#9ca3af";
+
+export function stateColor(state) {
+  return STATE_COLORS[state] || UNKNOWN_COLOR;
+}
+
+// Past this age a fix is shown very faded: the device is probably gone
+const LOST_AFTER_MS = 60 * 60 * 1000;
+
+/**
+ * fixOpacity:
+ * How opaque a marker is for a fix taken at `ts` (epoch seconds):
+ * 1 while fresh, then fading down to 0.35 once the fix is an hour old.
+ */
+export function fixOpacity(ts, now = Date.now()) {
+  if (!ts) return 0.35;
+  const age = now - Number(ts) * 1000;
+  if (age <= STALE_AFTER_MS) return 1;
+  if (age >= LOST_AFTER_MS) return 0.35;
+  return 1 - 0.65 * (age - STALE_AFTER_MS) / (LOST_AFTER_MS - STALE_AFTER_MS);
+}
+
+const TRACKER_SVG = `${import.meta.env.BASE_URL}tracker.svg`;
+const icons = new Map();
+
+/**
+ * trackerIcon:
+ * Leaflet divIcon built from public/tracker.svg: round badge with a ring
+ * in the state color, plus an arrow pointing to `course` (degrees, 0 = north)
+ * when the device reports one. Icons are cached by their parameters.
+ * - opacity: see fixOpacity (rounded so we don't build one icon per ms)
+ * - selected: the active device gets a larger badge
+ */
+export function trackerIcon({ state, course, opacity = 1, selected = false }) {
+  const color = stateColor(state);
+  const heading = Number.isFinite(course) ? Math.round(course / 5) * 5 : null;
+  const alpha = Math.round(opacity * 20) / 20;
+  const key = `${color}|${heading}|${alpha}|${selected}`;
+  if (icons.has(key)) return icons.get(key);
+
+  const size = selected ? 40 : 32;
+  const arrow = heading === null ? "" : `
+    <div style="position:absolute;inset:-9px;transform:rotate(${heading}deg)">
+      <div style="position:absolute;left:50%;top:0;margin-left:-6px;width:0;height:0;
+        border-left:6px solid transparent;border-right:6px solid transparent;border-bottom:9px solid ${color}"></div>
+    </div>`;
+  const icon = L.divIcon({
+    className: "",
+    html: `<div style="position:relative;width:${size}px;height:${size}px;opacity:${alpha}">${arrow}
+      <img src="${TRACKER_SVG}" alt="" draggable="false" style="display:block;width:100%;height:100%;
+        box-sizing:border-box;border-radius:50%;border:3px solid ${color};background:#003380;
+        box-shadow:0 2px 6px rgba(0,0,0,${selected ? ".45" : ".3"})" />
+    </div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    popupAnchor: [0, -size / 2],
+  });
+  icons.set(key, icon);
+  return icon;
+}
+
+// Order of the states around a cluster ring (others come after, in gray)
+const STATE_ORDER = ["moving", "idle", "offline"];
+const clusterIcons = new Map();
+
+/**
+ * clusterIcon:
+ * Leaflet divIcon of a marker cluster: the device count inside a ring
+ * split by state (share of moving / idle / offline devices, in the state
+ * colors). Cached by count and breakdown; the cache is reset when it grows
+ * large since counts vary a lot.
+ * - label: the count, already formatted for the locale
+ * - states: { [state]: number of devices }
+ */
+export function clusterIcon({ label, states }) {
+  const entries = Object.entries(states).sort(([a], [b]) => {
+    const i = STATE_ORDER.indexOf(a), j = STATE_ORDER.indexOf(b);
+    return (i < 0 ? STATE_ORDER.length : i) - (j < 0 ? STATE_ORDER.length : j);
+  });
+  const count = entries.reduce((sum, [, n]) => sum + n, 0);
+  const key = `${label}|${entries.map(([s, n]) => `${s}=${n}`).join(",")}`;
+  if (clusterIcons.has(key)) return clusterIcons.get(key);
+  if (clusterIcons.size > 500) clusterIcons.clear();
+
+  let from = 0;
+  const stops = entries.map(([state, n]) => {
+    const to = from + (n / count) * 360;
+    const stop = `${stateColor(state)} ${from}deg ${to}deg`;
+    from = to;
+    return stop;
+  }).join(",");
+  const size = count < 10 ? 36 : count < 100 ? 42 : 50;
+  const icon = L.divIcon({
+    className: "",
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;background:conic-gradient(${stops});
+      display:flex;align-items:center;justify-content:center;box-shadow:0 2px 6px rgba(0,0,0,.3)">
+      <div style="width:${size - 12}px;height:${size - 12}px;border-radius:50%;background:#0b1220;color:#fff;
+        display:flex;align-items:center;justify-content:center;font:700 12px/1 system-ui,sans-serif">${label}</div>
+    </div>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+  clusterIcons.set(key, icon);
+  return icon;
+}
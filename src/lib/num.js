@@ -0,0 +1,12 @@
+// src/lib/num.js
+
+/**
+ * num:
+ * A finite number within [min, max], or null. Numeric strings are read,
+ * but null, booleans and empty strings are not numbers (Number() would
+ * turn them into 0 or 1).
+ */
+export function num(v, min = -Infinity, max = Infinity) {
+  const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+  return typeof n === "number" && Number.isFinite(n) && n >= min && n <= max ? n : null;
+}
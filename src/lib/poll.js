@@ -0,0 +1,65 @@
+// src/lib/poll.js
+import { POLL_MAX_BACKOFF_MS, REFRESH_MS } from "../config";
+import { backoffDelay } from "./backoff";
+
+/**
+ * startPolling:
+ * Runs round(signal) every REFRESH_MS, one round at a time.
+ * - round resolves true when it worked, false when it failed (the pace
+ *   slows down with backoffDelay, up to POLL_MAX_BACKOFF_MS, and resets on
+ *   success) or null to stop polling for good. signal is aborted by stop():
+ *   a round must not report anything once it is.
+ * - Nothing is sent while the tab is hidden or the browser is offline;
+ *   polling resumes at once when the tab is visible / online again.
+ *
+ * Returns stop().
+ */
+export function startPolling(round) {
+  const ctrl = new AbortController();   // cancels the in-flight round on stop
+  let done = false;
+  let timer = null;
+  let running = false;
+  let failures = 0;
+
+  const canPoll = () => document.visibilityState !== "hidden" && navigator.onLine !== false;
+
+  function schedule(ms) {
+    clearTimeout(timer);
+    timer = setTimeout(loop, ms);
+  }
+
+  async function loop() {
+    timer = null;
+    if (done || !canPoll()) return;   // resume() restarts us later
+
+    running = true;
+    const ok = await round(ctrl.signal);
+    running = false;
+    if (done) return;
+    if (ok === null) {
+      stop();
+      return;
+    }
+
+    failures = ok ? 0 : failures + 1;
+    schedule(backoffDelay(REFRESH_MS, failures, POLL_MAX_BACKOFF_MS));
+  }
+
+  function resume() {
+    // Only when paused: a pending (backoff) timer is left alone
+    if (!done && !running && timer === null && canPoll()) schedule(0);
+  }
+
+  function stop() {
+    done = true;
+    ctrl.abort();
+    clearTimeout(timer);
+    document.removeEventListener("visibilitychange", resume);
+    window.removeEventListener("online", resume);
+  }
+
+  document.addEventListener("visibilitychange", resume);
+  window.addEventListener("online", resume);
+  loop();
+  return stop;
+}
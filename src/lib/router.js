@@ -0,0 +1,138 @@
+// src/lib/router.js
+import { shareTokenFromPath } from "./share";
+
+/**
+ * Router:
+ * The few routes of the app, on top of the History API (no dependency).
+ * Paths are relative to the app base (import.meta.env.BASE_URL):
+ *
+ *   /                               -> { name: "map" }
+ *   /devices/:id                    -> { name: "device", params: { id } }
+ *   /devices/:id/history?from=&to=  -> { name: "history", params: { id } } (epoch seconds)
+ *   /settings                       -> { name: "settings" }
+ *   /share/:token                   -> { name: "share", params: { token } } (public page)
+ *
+ * Any route may carry ?map=zoom/lat/lon, the map view to restore (left out
+ * while the map follows a tracker). Other paths give { name: null }.
+ *
+ * The current route is a small store like the i18n one: getRoute() /
+ * subscribe(fn), updated by navigate() and by the browser's back/forward.
+ */
+const BASE = import.meta.env.BASE_URL;
+
+const listeners = new Set();
+let route = parse(window.location);
+
+/**
+ * parse:
+ * Route of a location ({ pathname, search }):
+ * { name, params, query } where query is a plain object of strings.
+ */
+export function parse({ pathname, search }) {
+  const query = Object.fromEntries(new URLSearchParams(search));
+  const token = shareTokenFromPath(pathname);
+  if (token) return { name: "share", params: { token }, query };
+
+  const path = pathname.startsWith(BASE) ? `/${pathname.slice(BASE.length)}`.replace(/\/+$/, "") || "/" : null;
+  let m;
+  if (path === "/") return { name: "map", params: {}, query };
+  if (path === "/settings") return { name: "settings", params: {}, query };
+  if ((m = path?.match(/^\/devices\/([^/]+)$/))) return { name: "device", params: { id: decodeURIComponent(m[1]) }, query };
+  if ((m = path?.match(/^\/devices\/([^/]+)\/history$/))) return { name: "history", params: { id: decodeURIComponent(m[1]) }, query };
+  return { name: null, params: {}, query };
+}
+
+/**
+ * hrefOf:
+ * URL (path + query) of a route; empty query values are left out.
+ */
+export function hrefOf(name, params = {}, query = {}) {
+  const enc = encodeURIComponent;
+  const path = {
+    map: "",
+    device: `devices/${enc(params.id)}`,
+    history: `devices/${enc(params.id)}/history`,
+    settings: "settings",
+    share: `share/${enc(params.token)}`,
+  }[name];
+  const q = new URLSearchParams(Object.entries(query).filter(([, v]) => v != null && v !== "")).toString();
+  return `${BASE}${path}${q ? `?${q}` : ""}`;
+}
+
+/**
+ * isAppHref:
+ * True for a path of this app (same origin, under the base): the only
+ * kind of link we go back to after signing in.
+ */
+export function isAppHref(href) {
+  return typeof href === "string" && href.startsWith(BASE) && !href.startsWith("//");
+}
+
+export function getRoute() {
+  return route;
+}
+
+/**
+ * subscribe:
+ * Call fn(route) on every route change. Returns the unsubscribe function.
+ */
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function update() {
+  route = parse(window.location);
+  listeners.forEach(fn => fn(route));
+}
+
+window.addEventListener("popstate", update);
+
+/**
+ * navigate:
+ * Go to `href` (see hrefOf): a new history entry, or the current one
+ * replaced with { replace: true }.
+ */
+export function navigate(href, { replace = false } = {}) {
+  const here = window.location.pathname + window.location.search;
+  if (href === here) return;
+  window.history[replace ? "replaceState" : "pushState"]({}, "", href);
+  update();
+}
+
+/**
+ * setQuery:
+ * Patch the query of the current URL in place (null removes a key).
+ * The route doesn't change (no listener is called): only for values the
+ * page already shows, like the map view.
+ */
+export function setQuery(patch) {
+  const params = new URLSearchParams(window.location.search);
+  Object.entries(patch).forEach(([k, v]) => (v == null ? params.delete(k) : params.set(k, v)));
+  const q = params.toString();
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}${q ? `?${q}` : ""}`);
+}
+
+/**
+ * mapViewOf / mapViewParam:
+ * The ?map=zoom/lat/lon value, read ({ center: [lat, lon], zoom } or null)
+ * and written.
+ */
+export function mapViewOf(query) {
+  const [zoom, lat, lon] = String(query.map ?? "").split("/").map(Number);
+  const ok = [zoom, lat, lon].every(Number.isFinite) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && zoom >= 0 && zoom <= 22;
+  return ok ? { center: [lat, lon], zoom } : null;
+}
+export function mapViewParam(center, zoom) {
+  return `${zoom}/${center[0].toFixed(5)}/${center[1].toFixed(5)}`;
+}
+
+/**
+ * rangeOf:
+ * The ?from=&to= of a history route as { from, to } (epoch seconds), or
+ * null when missing or not a valid range.
+ */
+export function rangeOf(query) {
+  const from = Number(query.from), to = Number(query.to);
+  return query.from && query.to && Number.isFinite(from) && Number.isFinite(to) && from < to ? { from, to } : null;
+}
@@ -0,0 +1,42 @@
+// src/lib/share.js
+
+/**
+ * Share links:
+ * A share is a random token the backend maps to one device, with an expiry
+ * and a "show the geofence too" flag. Anyone holding the link sees that
+ * device's live position, read-only, without signing in:
+ *
+ *   { token, device_id, created_ts, expires_ts, include_fence }
+ *
+ *   <app>/share/<token>  -> public page (components/SharedMapView.jsx)
+ *
+ * Revoking a share (or reaching its expiry) makes the link answer 410.
+ */
+
+// Lifetimes offered when creating a link (the backend caps them at 7 days)
+export const SHARE_DURATIONS = [
+  { key: "1h", seconds: 3600 },
+  { key: "8h", seconds: 8 * 3600 },
+  { key: "24h", seconds: 24 * 3600 },
+  { key: "7d", seconds: 7 * 24 * 3600 },
+];
+
+const SHARE_PREFIX = `${import.meta.env.BASE_URL}share/`;
+
+/**
+ * shareUrl:
+ * Full URL of the public page of a share token.
+ */
+export function shareUrl(token) {
+  return new URL(`${SHARE_PREFIX}${encodeURIComponent(token)}`, window.location.origin).toString();
+}
+
+/**
+ * shareTokenFromPath:
+ * Token of a public share page path ("/share/<token>"), or null.
+ */
+export function shareTokenFromPath(pathname) {
+  if (!pathname.startsWith(SHARE_PREFIX)) return null;
+  const token = decodeURIComponent(pathname.slice(SHARE_PREFIX.length).replace(/\/$/, ""));
+  return token && !token.includes("/") ? token : null;
+}
@@ -0,0 +1,92 @@
+// src/lib/tiles.js
+import { DEFAULT_BASE_LAYER, TILE_CACHE, TILE_CACHE_MAX, TILE_PROVIDERS_JSON } from "../config";
+
+/**
+ * Base layer providers offered by the layer switcher.
+ * { id, name, url, attribution, maxZoom?, subdomains? } as understood by
+ * Leaflet's TileLayer. `name` is used when the i18n catalog has no
+ * "layers.<id>" entry (custom providers).
+ */
+const BUILT_IN = [
+  {
+    id: "osm",
+    name: "Streets",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: "&copy; OpenStreetMap contributors",
+    maxZoom: 19,
+  },
+  {
+    id: "satellite",
+    name: "Satellite",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution: "Tiles &copy; Esri, Maxar, Earthstar Geographics",
+    maxZoom: 19,
+  },
+  {
+    id: "dark",
+    name: "Dark",
+    url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
+    attribution: "&copy; OpenStreetMap contributors &copy; CARTO",
+    subdomains: "abcd",
+    maxZoom: 20,
+  },
+];
+
+/**
+ * Providers from VITE_TILE_PROVIDERS when set (and valid), else the
+ * built-in ones. A bad value is reported once and ignored.
+ */
+function configuredProviders() {
+  if (!TILE_PROVIDERS_JSON) return BUILT_IN;
+  try {
+    const list = JSON.parse(TILE_PROVIDERS_JSON)
+      .filter(p => p && typeof p.id === "string" && typeof p.url === "string")
+      .map(p => ({ name: p.id, attribution: "", ...p }));
+    if (list.length) return list;
+  } catch (e) {
+    console.warn("[tiles] VITE_TILE_PROVIDERS is not valid JSON:", e);
+  }
+  return BUILT_IN;
+}
+
+export const TILE_PROVIDERS = configuredProviders();
+
+const STORAGE_KEY = "ui.baseLayer";
+
+/**
+ * Base layer to show first: the user's last choice, then
+ * VITE_DEFAULT_BASE_LAYER, then the first provider.
+ */
+export function initialBaseLayer() {
+  const ids = TILE_PROVIDERS.map(p => p.id);
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (ids.includes(saved)) return saved;
+  return ids.includes(DEFAULT_BASE_LAYER) ? DEFAULT_BASE_LAYER : ids[0];
+}
+
+export function saveBaseLayer(id) {
+  localStorage.setItem(STORAGE_KEY, id);
+}
+
+/**
+ * setupTileCache:
+ * Registers the tile cache service worker when VITE_TILE_CACHE=1, and
+ * removes it (with its cache) when the option was turned off again.
+ */
+export async function setupTileCache() {
+  if (!("serviceWorker" in navigator)) return;
+  const script = `${import.meta.env.BASE_URL}tile-sw.js`;
+  try {
+    if (TILE_CACHE) {
+      await navigator.serviceWorker.register(`${script}?max=${TILE_CACHE_MAX}`);
+      return;
+    }
+    const regs = await navigator.serviceWorker.getRegistrations();
+    const ours = regs.filter(r => r.active?.scriptURL.includes("/tile-sw.js"));
+    if (ours.length === 0) return;
+    await Promise.all(ours.map(r => r.unregister()));
+    await caches.delete("tiles-v1");
+  } catch (e) {
+    console.warn("[tiles] service worker setup failed:", e);
+  }
+}
@@ -0,0 +1,47 @@
+// src/lib/track.js
+import { num } from "./num";
+
+/**
+ * normalizeTrack:
+ * Turns the /devices/:id/history payload into a list of points sorted by time.
+ * Accepts a bare array or { points: [...] }, and the field names used by the
+ * status endpoint (last_lat/last_lon/last_update_ts) as well as short ones.
+ * Each point: { ts (epoch seconds), lat, lon, device_state }
+ * Points without a valid time or position (null, "", out of range) are dropped.
+ */
+export function normalizeTrack(payload) {
+  const list = Array.isArray(payload) ? payload : payload?.points || [];
+  return list
+    .map(p => ({
+      ts: num(p?.ts ?? p?.timestamp ?? p?.last_update_ts, 0),
+      lat: num(p?.lat ?? p?.last_lat, -90, 90),
+      lon: num(p?.lon ?? p?.lng ?? p?.last_lon, -180, 180),
+      device_state: p?.device_state ?? p?.state ?? null,
+    }))
+    .filter(p => p.ts !== null && p.lat !== null && p.lon !== null)
+    .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * positionAt:
+ * Where was the device at time t (epoch seconds)?
+ * We linearly interpolate between the two recorded points around t,
+ * and clamp to the first/last point outside the track.
+ * Returns [lat, lon] or null for an empty track.
+ */
+export function positionAt(points, t) {
+  if (!points.length) return null;
+  if (t <= points[0].ts) return [points[0].lat, points[0].lon];
+  const last = points[points.length - 1];
+  if (t >= last.ts) return [last.lat, last.lon];
+
+  // Binary search for the last point with ts <= t
+  let lo = 0, hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].ts <= t) lo = mid; else hi = mid;
+  }
+  const a = points[lo], b = points[hi];
+  const k = b.ts === a.ts ? 0 : (t - a.ts) / (b.ts - a.ts);
+  return [a.lat + (b.lat - a.lat) * k, a.lon + (b.lon - a.lon) * k];
+}
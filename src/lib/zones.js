@@ -0,0 +1,97 @@
+// src/lib/zones.js
+import { GEOFENCE_MAX_RADIUS_M, GEOFENCE_MIN_RADIUS_M } from "../config";
+import { formatDistance, t } from "../i18n";
+
+/**
+ * Zones model:
+ * A device geofence document keeps its historical single circle
+ * (center_lat, center_lon, radius_m) and may carry extra named zones:
+ *
+ *   zones: [
+ *     { id, name, type: "polygon", points: [[lat, lon], ...] },
+ *     { id, name, type: "circle", center: [lat, lon], radius_m },
+ *   ]
+ *
+ * The whole document is saved back with PUT /geofence/:id.
+ */
+
+/**
+ * zonesOf:
+ * Extra zones of a fence document, skipping anything we can't draw.
+ */
+export function zonesOf(fence) {
+  const list = Array.isArray(fence?.zones) ? fence.zones : [];
+  return list.filter(z => validateZone(z) === null);
+}
+
+/**
+ * storedZones:
+ * Every zone of a fence document read from the API (see validateGeofence),
+ * including the ones zonesOf skips. Saves start from this list and only
+ * replace or remove the zone being edited.
+ */
+export function storedZones(fence) {
+  return Array.isArray(fence?.stored_zones) ? fence.stored_zones : [];
+}
+
+/**
+ * newZone:
+ * An empty zone of the given type, ready to be drawn on the map.
+ */
+export function newZone(type, name) {
+  const id = `zone-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  return type === "circle"
+    ? { id, name, type, center: null, radius_m: 200 }
+    : { id, name, type: "polygon", points: [] };
+}
+
+/**
+ * validateZone:
+ * Returns null when the zone can be saved, otherwise a message for the user.
+ */
+export function validateZone(z) {
+  if (!z || !String(z.name || "").trim()) return t("zones.invalid.noName");
+  if (z.type === "polygon") {
+    if (!Array.isArray(z.points) || z.points.length < 3) return t("zones.invalid.polygonMin");
+    if (!z.points.every(isLatLon)) return t("zones.invalid.polygonPoints");
+    return null;
+  }
+  if (z.type === "circle") {
+    if (!isLatLon(z.center)) return t("zones.invalid.circleCenter");
+    if (!(Number(z.radius_m) > 0)) return t("zones.invalid.radius");
+    return null;
+  }
+  return t("zones.invalid.unknownType", { type: z.type });
+}
+
+/**
+ * validateFenceCircle:
+ * Same as validateZone for the main circle being edited: center as
+ * { lat, lon } (numbers, NaN when the input is not a number) and radius in
+ * meters within the configured range.
+ */
+export function validateFenceCircle({ lat, lon, radius }) {
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90) return t("map.invalid.lat");
+  if (!Number.isFinite(lon) || Math.abs(lon) > 180) return t("map.invalid.lon");
+  if (!Number.isFinite(radius) || radius < GEOFENCE_MIN_RADIUS_M || radius > GEOFENCE_MAX_RADIUS_M) {
+    return t("map.invalid.radius", {
+      min: formatDistance(GEOFENCE_MIN_RADIUS_M),
+      max: formatDistance(GEOFENCE_MAX_RADIUS_M),
+    });
+  }
+  return null;
+}
+
+/**
+ * clampFenceRadius:
+ * Keeps a radius (e.g. from the drag handle) inside the configured range.
+ */
+export function clampFenceRadius(m) {
+  return Math.min(GEOFENCE_MAX_RADIUS_M, Math.max(GEOFENCE_MIN_RADIUS_M, Math.round(m)));
+}
+
+function isLatLon(p) {
+  return Array.isArray(p) && p.length === 2
+    && Number.isFinite(p[0]) && Math.abs(p[0]) <= 90
+    && Number.isFinite(p[1]) && Math.abs(p[1]) <= 180;
+}
@@ -0,0 +1,161 @@
+// src/live/transports.js
+import { API_BATCH, API_BATCH_SIZE } from "../config";
+import { api, describeError } from "../api";
+import { validateStatus } from "../api/validate";
+import { chunk } from "../lib/batch";
+import { startPolling } from "../lib/poll";
+
+/**
+ * Live-update transports.
+ * They all share the same shape so useLiveStatuses can swap them:
+ *
+ *   create({ idToken, ids, onStatus, onError, onRecover, onOpen, onDown }) -> { close() }
+ *
+ * - onStatus(id, status): a fresh status for one device
+ * - onError(message): a non-fatal problem worth showing to the user
+ * - onRecover(): updates work again (clears the last error)
+ * - onOpen(): the transport is delivering data
+ * - onDown(wasOpen): the transport stopped by itself (called at most once)
+ *
+ * Browsers can't put an Authorization header on WebSocket/EventSource
+ * connections, so push transports pass the id token as ?token=...
+ */
+
+/**
+ * parseEvent:
+ * Push messages may be { device_id, ...status } or
+ * { type: "status", device_id, status: {...} }. Returns [id, status] or null.
+ */
+function parseEvent(raw) {
+  let msg;
+  try { msg = JSON.parse(raw); } catch { return null; }
+  if (msg?.type && msg.type !== "status") return null;   // ignore pings, acks...
+  const id = msg?.device_id ?? msg?.tracker_id;
+  if (!id) return null;
+  try {
+    return [String(id), validateStatus(msg.status ?? msg)];
+  } catch {
+    return null;   // malformed status: drop it
+  }
+}
+
+/**
+ * fetchStatuses:
+ * One GET /devices/:id/status per device, or with API_BATCH one
+ * GET /devices/status?ids=... per API_BATCH_SIZE devices. A failing device
+ * (or batch) doesn't hide the others.
+ * Resolves with { ok: { [id]: status }, failed: [ApiError] }.
+ */
+export async function fetchStatuses(ids, signal) {
+  const ok = {};
+  const failed = [];
+  if (API_BATCH) {
+    const results = await Promise.allSettled(chunk(ids, API_BATCH_SIZE).map(part => api.devices.statuses(part, { signal })));
+    results.forEach(r => {
+      if (r.status === "fulfilled") Object.assign(ok, r.value);
+      else failed.push(r.reason);
+    });
+  } else {
+    const results = await Promise.allSettled(ids.map(id => api.devices.status(id, { signal })));
+    results.forEach((r, i) => {
+      if (r.status === "fulfilled") ok[ids[i]] = r.value;
+      else failed.push(r.reason);
+    });
+  }
+  return { ok, failed };
+}
+
+/**
+ * Polling transport: the historical loop, every REFRESH_MS (see
+ * lib/poll.js startPolling: backoff while every request fails, paused
+ * while the tab is hidden or the browser is offline).
+ */
+export function createPollingTransport({ ids, onStatus, onError, onRecover, onOpen }) {
+  onOpen?.();
+  const stop = startPolling(async (signal) => {
+    const { ok, failed } = await fetchStatuses(ids, signal);
+    if (signal.aborted) return null;
+
+    Object.entries(ok).forEach(([id, s]) => onStatus(id, s));
+    if (failed.length) onError(describeError(failed[0]));
+    else onRecover?.();
+    return !(failed.length && Object.keys(ok).length === 0);
+  });
+  return { close: stop };
+}
+
+/**
+ * WebSocket transport. After connecting we send a subscribe message
+ * ({ action, devices }, the API Gateway WebSocket routing style).
+ */
+export function createWebSocketTransport({ url, idToken, ids, onStatus, onOpen, onDown }) {
+  const u = new URL(url);
+  u.searchParams.set("token", idToken);
+
+  let opened = false;
+  let done = false;
+  const ws = new WebSocket(u.toString());
+
+  const down = () => {
+    if (done) return;
+    done = true;
+    onDown(opened);
+  };
+
+  ws.onopen = () => {
+    opened = true;
+    ws.send(JSON.stringify({ action: "subscribe", devices: ids }));
+    onOpen();
+  };
+  ws.onmessage = (e) => {
+    const ev = parseEvent(e.data);
+    if (ev) onStatus(...ev);
+  };
+  ws.onerror = down;
+  ws.onclose = down;
+
+  return {
+    close() {
+      done = true;
+      ws.close();
+    },
+  };
+}
+
+/**
+ * Server-Sent Events transport. The device list goes in the query string.
+ * EventSource reconnects by itself on network blips; we only give up
+ * (onDown) when it reports it is fully closed.
+ */
+export function createSseTransport({ url, idToken, ids, onStatus, onOpen, onDown }) {
+  const u = new URL(url);
+  u.searchParams.set("token", idToken);
+  u.searchParams.set("devices", ids.join(","));
+
+  let opened = false;
+  let done = false;
+  const es = new EventSource(u.toString());
+
+  es.onopen = () => {
+    if (!opened) onOpen();
+    opened = true;
+  };
+  es.onmessage = (e) => {
+    const ev = parseEvent(e.data);
+    if (ev) onStatus(...ev);
+  };
+  es.onerror = () => {
+    // Before the first open, or once the browser stops retrying: give up
+    if (done || (opened && es.readyState !== EventSource.CLOSED)) return;
+    done = true;
+    es.close();
+    onDown(opened);
+  };
+
+  return {
+    close() {
+      done = true;
+      es.close();
+    },
+  };
+}
@@ -1,16 +1,39 @@
 import React from "react";
 import ReactDOM from "react-dom/client";
 import App from "./App.jsx";
+import SharedMapView from "./components/SharedMapView.jsx";
 import "./style.css";
 import { Amplify } from "aws-amplify";
 import awsConfig from "./awsConfig";
+import { MOCK_MODE } from "./config";
+import { setupTileCache } from "./lib/tiles";
+import { getRoute } from "./lib/router";
 
 
 Amplify.configure(awsConfig);
 
+// Offline tile cache (only when VITE_TILE_CACHE=1, see lib/tiles.js)
+setupTileCache();
 
-ReactDOM.createRoot(document.getElementById("root")).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Public share links (/share/<token>) get the read-only map, without sign-in
+const route = getRoute();
+
+function render() {
+  ReactDOM.createRoot(document.getElementById("root")).render(
+    <React.StrictMode>
+      {route.name === "share" ? <SharedMapView token={route.params.token} /> : <App />}
+    </React.StrictMode>
+  );
+}
+
+// Mock mode: answer API calls in the browser before the app makes any.
+// Loaded on demand so the mock code stays out of the normal bundle.
+if (MOCK_MODE) {
+  import("./mock").then(({ installMockBackend }) => {
+    installMockBackend();
+    render();
+  });
+} else {
+  render();
+}
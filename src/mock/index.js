@@ -0,0 +1,63 @@
+// src/mock/index.js
+import { API_BASE } from "../config";
+import { handle } from "./server";
+
+// Answered without a token: sign-in, the place list of the local geocoder
+// and the public side of share links
+const PUBLIC = (path) => path.startsWith("/auth/") || path.startsWith("/public/") || path === "/places";
+
+// Fake network latency, so loading states are visible in demos
+const LATENCY_MS = [120, 350];
+
+/**
+ * Decode the claims of one of our mock tokens (null if it isn't one).
+ */
+function claimsOf(authHeader) {
+  const token = authHeader?.replace(/^Bearer /, "");
+  try { return JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))); } catch { return null; }
+}
+
+/**
+ * installMockBackend:
+ * Wraps window.fetch so every call to API_BASE is answered by mock/server.js
+ * instead of the network. Other URLs (map tiles, etc.) go through untouched.
+ * Protected routes behave like API Gateway: 401 without a valid, unexpired token,
+ * 403 when the user's role doesn't allow the call (see mock/server.js).
+ */
+export function installMockBackend() {
+  const realFetch = window.fetch.bind(window);
+  const base = new URL(API_BASE, window.location.origin).toString().replace(/\/$/, "");
+
+  window.fetch = async (input, init = {}) => {
+    const url = new URL(typeof input === "string" || input instanceof URL ? input : input.url, window.location.origin);
+    if (!url.toString().startsWith(base)) return realFetch(input, init);
+
+    const path = url.pathname.slice(new URL(base).pathname.replace(/\/$/, "").length);
+    const method = (init.method || "GET").toUpperCase();
+    const body = init.body ? JSON.parse(init.body) : undefined;
+
+    const wait = LATENCY_MS[0] + Math.random() * (LATENCY_MS[1] - LATENCY_MS[0]);
+    await new Promise((resolve, reject) => {
+      const t = setTimeout(resolve, wait);
+      init.signal?.addEventListener("abort", () => {
+        clearTimeout(t);
+        reject(new DOMException("Aborted", "AbortError"));
+      });
+    });
+
+    let res;
+    const claims = claimsOf(init.headers?.Authorization);
+    if (!PUBLIC(path) && (!claims || claims.exp * 1000 < Date.now())) {
+      res = { status: 401, body: { code: "unauthorized", message: "Unauthorized" } };
+    } else {
+      res = handle(method, path, url.searchParams, body, claims);
+    }
+
+    return new Response(JSON.stringify(res.body), {
+      status: res.status,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+
+  console.info(`[mock] backend active: ${base} is served in the browser`);
+}
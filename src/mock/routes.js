@@ -0,0 +1,157 @@
+// src/mock/routes.js
+import { haversineMeters } from "../lib/geo";
+
+/**
+ * Scripted trackers for mock mode.
+ * Each route is a loop of waypoints around the default site (FALLBACK_FENCE);
+ * the tracker walks/drives between them at `speed` m/s and waits `dwell`
+ * seconds at waypoints that have one. The loop repeats forever, so any
+ * time (past or present) maps to a position: that is how history works.
+ */
+export const MOCK_DEVICES = [
+  {
+    id: "tracker1",
+    name: "Delivery van",
+    speed: 8,
+    route: [
+      { lat: 10.0440679, lon: 76.3263556, dwell: 120 },
+      { lat: 10.0462, lon: 76.3281 },
+      { lat: 10.0487, lon: 76.3262 },
+      { lat: 10.0479, lon: 76.3224, dwell: 300 },
+      { lat: 10.0451, lon: 76.3219 },
+    ],
+  },
+  {
+    id: "tracker2",
+    name: "Forklift A",
+    speed: 2,
+    route: [
+      { lat: 10.0436, lon: 76.3258, dwell: 60 },
+      { lat: 10.0436, lon: 76.3270 },
+      { lat: 10.0445, lon: 76.3270, dwell: 90 },
+      { lat: 10.0445, lon: 76.3258 },
+    ],
+  },
+  {
+    id: "tracker3",
+    name: "Security patrol",
+    speed: 1.4,
+    route: [
+      { lat: 10.0428, lon: 76.3248 },
+      { lat: 10.0428, lon: 76.3279 },
+      { lat: 10.0453, lon: 76.3279 },
+      { lat: 10.0453, lon: 76.3248, dwell: 240 },
+    ],
+  },
+  {
+    // Stopped reporting an hour ago: useful to see stale/offline UI
+    id: "tracker4",
+    name: "Spare tracker",
+    speed: 0,
+    offlineSince: 3600,
+    route: [{ lat: 10.0419, lon: 76.3291 }],
+  },
+];
+
+/**
+ * Named places of the mock site, served by GET /places for the "local"
+ * geocoder (place search and addresses in the tracker popup).
+ */
+export const MOCK_PLACES = [
+  { name: "Main gate", lat: 10.0440679, lon: 76.3263556 },
+  { name: "North parking", lat: 10.0487, lon: 76.3262 },
+  { name: "Warehouse B", lat: 10.0479, lon: 76.3224 },
+  { name: "Loading dock", lat: 10.0445, lon: 76.3270 },
+  { name: "Workshop", lat: 10.0436, lon: 76.3258 },
+  { name: "Security office", lat: 10.0453, lon: 76.3248 },
+  { name: "Spare parts store", lat: 10.0419, lon: 76.3291 },
+];
+
+/**
+ * Pre-compute the legs of a route: each leg is a travel or a dwell with
+ * its start time within the loop (seconds) and its duration.
+ */
+function legsOf(device) {
+  const legs = [];
+  let t = 0;
+  const pts = device.route;
+  pts.forEach((p, i) => {
+    if (p.dwell) {
+      legs.push({ kind: "dwell", from: p, to: p, start: t, duration: p.dwell });
+      t += p.dwell;
+    }
+    const next = pts[(i + 1) % pts.length];
+    if (pts.length > 1 && device.speed > 0) {
+      const dist = haversineMeters([p.lat, p.lon], [next.lat, next.lon]);
+      const duration = dist / device.speed;
+      legs.push({ kind: "move", from: p, to: next, start: t, duration });
+      t += duration;
+    }
+  });
+  return { legs, total: t };
+}
+
+// Legs of each route, computed on first use
+const LEGS = new Map();
+function legsFor(device) {
+  if (!LEGS.has(device.id)) LEGS.set(device.id, legsOf(device));
+  return LEGS.get(device.id);
+}
+
+/**
+ * mockFleet:
+ * `count` extra scripted devices spread over a few kilometers around the
+ * site, to try the map with a large fleet (localStorage "mock.fleet").
+ * The same count always gives the same devices and routes.
+ */
+let fleet = [];
+export function mockFleet(count) {
+  if (fleet.length === count) return fleet;
+  let seed = 42;
+  const rand = () => ((seed = (seed * 16807) % 2147483647) - 1) / 2147483646;
+  const [lat0, lon0] = [10.0440679, 76.3263556];
+  fleet = Array.from({ length: count }, (_, i) => {
+    const home = { lat: lat0 + (rand() - .5) * .08, lon: lon0 + (rand() - .5) * .08 };
+    const route = [{ ...home, dwell: Math.round(rand() * 600) }];
+    for (let k = 0; k < 3; k++) route.push({ lat: home.lat + (rand() - .5) * .01, lon: home.lon + (rand() - .5) * .01 });
+    return {
+      id: `fleet${i + 1}`,
+      name: `Vehicle ${i + 1}`,
+      speed: 1 + Math.round(rand() * 12),
+      offlineSince: rand() < .1 ? 7200 : undefined,
+      fleet: true,
+      route,
+    };
+  });
+  return fleet;
+}
+
+function bearing(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const y = Math.sin(toRad(b.lon - a.lon)) * Math.cos(toRad(b.lat));
+  const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat))
+    - Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(toRad(b.lon - a.lon));
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * sampleRoute:
+ * Where a scripted device is at epoch second `ts`.
+ * Returns { lat, lon, moving, course_deg, speed_mps }.
+ */
+export function sampleRoute(device, ts) {
+  const { legs, total } = legsFor(device);
+  const first = device.route[0];
+  if (!total) return { lat: first.lat, lon: first.lon, moving: false, course_deg: null, speed_mps: 0 };
+
+  const t = ((ts % total) + total) % total;
+  const leg = legs.find(l => t >= l.start && t < l.start + l.duration) || legs[legs.length - 1];
+  const k = leg.duration ? (t - leg.start) / leg.duration : 0;
+  return {
+    lat: leg.from.lat + (leg.to.lat - leg.from.lat) * k,
+    lon: leg.from.lon + (leg.to.lon - leg.from.lon) * k,
+    moving: leg.kind === "move",
+    course_deg: leg.kind === "move" ? Math.round(bearing(leg.from, leg.to)) : null,
+    speed_mps: leg.kind === "move" ? device.speed : 0,
+  };
+}
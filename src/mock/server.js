@@ -0,0 +1,424 @@
+// src/mock/server.js
+import { FALLBACK_FENCE } from "../config";
+import { MOCK_DEVICES, MOCK_PLACES, mockFleet, sampleRoute } from "./routes";
+import { fenceAreas } from "../lib/geo";
+import { zonesOf } from "../lib/zones";
+import { inQuietHours, ruleCondition } from "../lib/alerts";
+import { can, roleOfClaims } from "../auth/roles";
+
+/**
+ * In-browser stand-in for the API Gateway + Lambda backend.
+ * Same routes, same payload shapes; data lives in localStorage ("mock.*")
+ * so edits survive reloads. See mock/index.js for how requests get here.
+ */
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function load(key, fallback) {
+  try { return JSON.parse(localStorage.getItem(key)) ?? fallback; } catch { return fallback; }
+}
+function save(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+/**
+ * Trackers placed with POST /trackers: { [id]: { lat, lon, ts } }.
+ * A placed scripted device stays where it was put instead of following
+ * its route; an unknown id becomes a new static device.
+ * Parsed again only when the stored value changes (read on every status).
+ */
+let placedCache = { raw: undefined, value: {} };
+function placed() {
+  const raw = localStorage.getItem("mock.trackers");
+  if (raw !== placedCache.raw) placedCache = { raw, value: load("mock.trackers", {}) };
+  return placedCache.value;
+}
+
+// Extra generated devices; set localStorage "mock.fleet" (e.g. 1000) to
+// try the map with a large fleet
+function fleetSize() {
+  const n = Math.floor(Number(localStorage.getItem("mock.fleet")));
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 5000) : 0;
+}
+
+/**
+ * Every device (scripted, generated, placed), as a list and by id.
+ * Built once, and again only when the fleet size or the placed trackers
+ * change, so a status round of a large fleet stays linear.
+ */
+let deviceCache = { key: null, list: [], byId: new Map() };
+function devicesById() {
+  const p = placed();
+  const size = fleetSize();
+  if (deviceCache.key?.size === size && deviceCache.key.placed === p) return deviceCache;
+
+  const byId = new Map([...MOCK_DEVICES, ...mockFleet(size)].map(d => [d.id, d]));
+  Object.keys(p)
+    .filter(id => !byId.has(id))
+    .forEach(id => byId.set(id, { id, name: id, speed: 0, route: [p[id]] }));
+  deviceCache = { key: { size, placed: p }, list: [...byId.values()], byId };
+  return deviceCache;
+}
+
+function allDevices() {
+  return devicesById().list;
+}
+
+function findDevice(id) {
+  return devicesById().byId.get(id) || null;
+}
+
+// ------------------------------------------------------------------
+// Auth: unsigned JWT-looking tokens (the app only decodes the claims)
+// ------------------------------------------------------------------
+
+function b64url(obj) {
+  return btoa(JSON.stringify(obj)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// Groups of the demo user; set localStorage "mock.groups" (e.g. "viewer")
+// to try the app with another role
+function mockGroups() {
+  const raw = localStorage.getItem("mock.groups");
+  return raw ? raw.split(/[,\s]+/).filter(Boolean) : ["admin"];
+}
+
+function issueTokens(withRefresh) {
+  const iat = now();
+  const claims = {
+    sub: "mock-user",
+    email: "demo@example.com",
+    "cognito:username": "demo",
+    "cognito:groups": mockGroups(),
+    iat,
+    exp: iat + 3600,
+  };
+  const idToken = `${b64url({ alg: "none", typ: "JWT" })}.${b64url(claims)}.mock`;
+  return {
+    id_token: idToken,
+    access_token: idToken,
+    ...(withRefresh ? { refresh_token: "mock-refresh-token" } : {}),
+    token_type: "Bearer",
+    expires_in: 3600,
+  };
+}
+
+// ------------------------------------------------------------------
+// Device status / history
+// ------------------------------------------------------------------
+
+function positionAt(device, ts) {
+  const fixed = placed()[device.id];
+  if (fixed) return { lat: fixed.lat, lon: fixed.lon, moving: false, course_deg: null, speed_mps: 0 };
+  return sampleRoute(device, ts);
+}
+
+function statusOf(device) {
+  const ts = device.offlineSince ? now() - device.offlineSince : now();
+  const p = positionAt(device, ts);
+  return {
+    device_id: device.id,
+    last_lat: p.lat,
+    last_lon: p.lon,
+    last_update_ts: ts,
+    device_state: device.offlineSince ? "offline" : p.moving ? "moving" : "idle",
+    course_deg: p.course_deg,
+    speed_mps: p.speed_mps,
+    accuracy_m: p.moving ? 12 : 6,
+    battery_pct: device.offlineSince ? 3 : 78,
+    signal_dbm: -71,
+  };
+}
+
+const HISTORY_STEP_S = 30;
+const HISTORY_MAX_POINTS = 5000;
+
+function historyOf(device, from, to) {
+  const end = Math.min(to, device.offlineSince ? now() - device.offlineSince : now());
+  const step = Math.max(HISTORY_STEP_S, Math.ceil((end - from) / HISTORY_MAX_POINTS));
+  const points = [];
+  for (let ts = from; ts <= end; ts += step) {
+    const p = positionAt(device, ts);
+    points.push({ ts, lat: p.lat, lon: p.lon, device_state: p.moving ? "moving" : "idle" });
+  }
+  return points;
+}
+
+// ------------------------------------------------------------------
+// Geofences
+// ------------------------------------------------------------------
+
+function geofenceOf(id, all = load("mock.geofences", {})) {
+  if (all[id]) return all[id];
+  // Generated devices get a small fence around their first stop
+  const device = findDevice(id);
+  const home = device?.fleet ? device.route[0] : null;
+  return home
+    ? { center_lat: home.lat, center_lon: home.lon, radius_m: 60, zones: [] }
+    : { ...FALLBACK_FENCE, zones: [] };
+}
+
+// ------------------------------------------------------------------
+// Alerts
+// ------------------------------------------------------------------
+
+const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Evaluate every enabled rule against the current statuses, like the
+ * backend would on each report. A rule raises one alert when its
+ * condition becomes true; "mock.alertState" keeps the last result.
+ * Email/webhook channels are only recorded, nothing is sent.
+ */
+function evaluateRules() {
+  const rules = load("mock.alertRules", []);
+  const state = load("mock.alertState", {});
+  const alerts = load("mock.alerts", []);
+  const ts = now();
+
+  rules.filter(r => r.enabled).forEach(r => {
+    const device = findDevice(r.device_id);
+    const fence = geofenceOf(r.device_id);
+    const value = device ? ruleCondition(r, statusOf(device), fenceAreas(fence, "main", zonesOf(fence)), ts) : null;
+    const was = state[r.id] === true;
+    state[r.id] = value !== null;
+    if (value === null || was) return;
+
+    const muted = inQuietHours(r.quiet_hours);
+    alerts.unshift({
+      id: newId("alert"),
+      rule_id: r.id,
+      rule_name: r.name,
+      device_id: r.device_id,
+      type: r.type,
+      value,
+      status: "open",
+      triggered_ts: ts,
+      muted,
+      in_app: r.channels.in_app,
+      notified: muted ? [] : ["email", "webhook"].filter(c => r.channels[c]),
+    });
+  });
+
+  save("mock.alertState", state);
+  save("mock.alerts", alerts.slice(0, 500));
+}
+
+function setAlertStatus(id, status) {
+  const alerts = load("mock.alerts", []);
+  const a = alerts.find(x => x.id === id);
+  if (!a) return notFound("Alert");
+  if (status === "acknowledged" && a.status !== "open") {
+    return json(409, { code: "conflict", message: `Alert is already ${a.status}` });
+  }
+  a.status = status;
+  a[`${status}_ts`] = now();
+  save("mock.alerts", alerts);
+  return json(200, a);
+}
+
+// ------------------------------------------------------------------
+// Share links: { [token]: { token, device_id, created_ts, expires_ts,
+// include_fence, revoked } } in "mock.shares"
+// ------------------------------------------------------------------
+
+const SHARE_MAX_S = 7 * 24 * 3600;
+
+// Shares neither revoked nor expired
+function liveShares() {
+  const t = now();
+  return Object.fromEntries(Object.entries(load("mock.shares", {})).filter(([, s]) => !s.revoked && s.expires_ts > t));
+}
+
+function createShare(body) {
+  const { device_id, expires_in, include_fence } = body || {};
+  if (!findDevice(device_id)) return notFound("Device");
+  if (!Number.isFinite(expires_in) || expires_in <= 0 || expires_in > SHARE_MAX_S) {
+    return json(400, { code: "invalid_request", message: `expires_in must be 1..${SHARE_MAX_S} seconds` });
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(18));
+  const token = btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_");
+  const share = { token, device_id, created_ts: now(), expires_ts: now() + expires_in, include_fence: include_fence === true };
+  save("mock.shares", { ...load("mock.shares", {}), [token]: { ...share, revoked: false } });
+  return json(201, share);
+}
+
+// Public side of a link: 404 for unknown tokens, 410 once revoked or expired
+function sharedView(token) {
+  const share = load("mock.shares", {})[token];
+  if (!share) return notFound("Share");
+  if (share.revoked || share.expires_ts <= now()) return json(410, { code: "share_gone", message: "This link is no longer valid" });
+  const d = findDevice(share.device_id);
+  if (!d) return notFound("Device");
+  return json(200, {
+    name: d.name,
+    expires_ts: share.expires_ts,
+    status: statusOf(d),
+    geofence: share.include_fence ? geofenceOf(d.id) : null,
+  });
+}
+
+// ------------------------------------------------------------------
+// Router
+// ------------------------------------------------------------------
+
+/**
+ * actionOf:
+ * Permission a call needs (see auth/roles.js), or null when any signed-in
+ * user may make it. Reads and the user's own preferences are open to all.
+ */
+function actionOf(method, path) {
+  if (method === "GET") return null;
+  if (path.startsWith("/geofence/")) return "geofence.edit";
+  if (path === "/trackers") return "tracker.move";
+  if (/^\/alerts\/[^/]+\/(ack|resolve)$/.test(path)) return "alerts.manage";
+  if (path.startsWith("/alert-rules")) return "alertRules.edit";
+  if (path.startsWith("/shares")) return "devices.share";
+  return null;
+}
+
+const json = (status, body) => ({ status, body });
+const notFound = (what) => json(404, { code: "not_found", message: `${what} not found` });
+
+/**
+ * handle:
+ * - method, path (without API base), query (URLSearchParams), body (parsed JSON)
+ * - claims: decoded id token of the caller (null on public routes)
+ * Returns { status, body }.
+ */
+export function handle(method, path, query, body, claims) {
+  let m;
+
+  const action = actionOf(method, path);
+  if (action && !can(roleOfClaims(claims), action)) {
+    return json(403, { code: "forbidden", message: "Forbidden" });
+  }
+
+  if (method === "POST" && path === "/auth/exchange") {
+    if (!body?.code) return json(400, { code: "invalid_request", message: "Missing code" });
+    return json(200, issueTokens(true));
+  }
+  if (method === "POST" && path === "/auth/refresh") {
+    if (body?.refreshToken !== "mock-refresh-token") return json(400, { code: "invalid_grant", message: "Refresh token expired" });
+    return json(200, issueTokens(false));
+  }
+
+  if (method === "GET" && path === "/devices") {
+    return json(200, allDevices().map(d => ({ device_id: d.id, name: d.name })));
+  }
+
+  // Batch reads: ?ids=a,b,c (unknown devices are left out)
+  if (method === "GET" && path === "/devices/status") {
+    const ids = (query.get("ids") || "").split(",").filter(Boolean);
+    return json(200, ids.map(findDevice).filter(Boolean).map(statusOf));
+  }
+  if (method === "GET" && path === "/geofences") {
+    const ids = (query.get("ids") || "").split(",").filter(Boolean);
+    const all = load("mock.geofences", {});
+    return json(200, ids.filter(findDevice).map(id => ({ device_id: id, ...geofenceOf(id, all) })));
+  }
+
+  if ((m = path.match(/^\/devices\/([^/]+)\/status$/)) && method === "GET") {
+    const d = findDevice(decodeURIComponent(m[1]));
+    return d ? json(200, statusOf(d)) : notFound("Device");
+  }
+
+  if ((m = path.match(/^\/devices\/([^/]+)\/history$/)) && method === "GET") {
+    const d = findDevice(decodeURIComponent(m[1]));
+    if (!d) return notFound("Device");
+    const from = Number(query.get("from")), to = Number(query.get("to"));
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from >= to) {
+      return json(400, { code: "invalid_range", message: "from/to must be epoch seconds with from < to" });
+    }
+    return json(200, historyOf(d, from, to));
+  }
+
+  if ((m = path.match(/^\/geofence\/([^/]+)$/))) {
+    const id = decodeURIComponent(m[1]);
+    if (method === "GET") return json(200, { device_id: id, ...geofenceOf(id) });
+    if (method === "PUT") {
+      const all = load("mock.geofences", {});
+      all[id] = { ...body };
+      save("mock.geofences", all);
+      return json(200, { ok: true });
+    }
+  }
+
+  if (path === "/profile/preferences") {
+    if (method === "GET") return json(200, load("mock.profile", {}));
+    if (method === "PUT") {
+      save("mock.profile", { locale: body?.locale, units: body?.units });
+      return json(200, { ok: true });
+    }
+  }
+
+  if (path === "/alert-rules") {
+    if (method === "GET") return json(200, load("mock.alertRules", []));
+    if (method === "POST") {
+      const rule = { ...body, id: newId("rule") };
+      save("mock.alertRules", [...load("mock.alertRules", []), rule]);
+      return json(201, rule);
+    }
+  }
+
+  if ((m = path.match(/^\/alert-rules\/([^/]+)$/))) {
+    const id = decodeURIComponent(m[1]);
+    const rules = load("mock.alertRules", []);
+    if (!rules.some(r => r.id === id)) return notFound("Alert rule");
+    if (method === "PUT") {
+      const rule = { ...body, id };
+      save("mock.alertRules", rules.map(r => (r.id === id ? rule : r)));
+      return json(200, rule);
+    }
+    if (method === "DELETE") {
+      save("mock.alertRules", rules.filter(r => r.id !== id));
+      return json(200, { ok: true });
+    }
+  }
+
+  if (method === "GET" && path === "/alerts") {
+    evaluateRules();
+    const all = load("mock.alerts", []);
+    return json(200, query.get("status") === "all" ? all : all.filter(a => a.status !== "resolved"));
+  }
+
+  if ((m = path.match(/^\/alerts\/([^/]+)\/(ack|resolve)$/)) && method === "POST") {
+    return setAlertStatus(decodeURIComponent(m[1]), m[2] === "ack" ? "acknowledged" : "resolved");
+  }
+
+  if (path === "/shares") {
+    if (method === "GET") {
+      const id = query.get("device_id");
+      return json(200, Object.values(liveShares()).filter(s => !id || s.device_id === id));
+    }
+    if (method === "POST") return createShare(body);
+  }
+
+  if ((m = path.match(/^\/shares\/([^/]+)$/)) && method === "DELETE") {
+    const token = decodeURIComponent(m[1]);
+    const all = load("mock.shares", {});
+    if (!all[token]) return notFound("Share");
+    all[token] = { ...all[token], revoked: true };
+    save("mock.shares", all);
+    return json(200, { ok: true });
+  }
+
+  if ((m = path.match(/^\/public\/shares\/([^/]+)$/)) && method === "GET") {
+    return sharedView(decodeURIComponent(m[1]));
+  }
+
+  if (method === "GET" && path === "/places") {
+    return json(200, MOCK_PLACES);
+  }
+
+  if (method === "POST" && path === "/trackers") {
+    const { tracker_id, lat, lon } = body || {};
+    if (!tracker_id || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+      return json(400, { code: "invalid_request", message: "tracker_id, lat and lon are required" });
+    }
+    save("mock.trackers", { ...placed(), [tracker_id]: { lat, lon, ts: now() } });
+    return json(200, { ok: true });
+  }
+
+  return json(404, { code: "no_route", message: `No mock route for ${method} ${path}` });
+}
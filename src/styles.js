@@ -0,0 +1,18 @@
+// src/styles.js
+/* Simple inline styles shared by the map panels (you could move these to CSS modules or Tailwind) */
+
+export const btnPrimary = {
+  background:"#1e40af", color:"#fff", border:0,
+  padding:"8px 12px", borderRadius:8, cursor:"pointer", fontWeight:600
+};
+export const btnGhost = { ...btnPrimary, background:"#e5e7eb", color:"#111" };
+
+// White floating card used by the bottom-left panels (edit, history...)
+export const floatingPanel = {
+  position:"absolute", left:16, bottom:80, zIndex: 1000,
+  background:"#ffffff", color:"#111", borderRadius:10, padding:12, minWidth:260,
+  boxShadow:"0 6px 24px rgba(0,0,0,.15)"
+};
+
+// "✕" button in the header of a floating panel
+export const btnClose = { background:"transparent", border:0, cursor:"pointer", fontSize:16 };